@@ -0,0 +1,128 @@
+// File: src/core/admission.js
+
+// Priority classes a request type can have, most important first. Load
+// shedding drops low priority requests first, then normal ones; high
+// priority requests are never shed.
+export const PRIORITIES = {
+    high: 'High',
+    normal: 'Normal',
+    low: 'Low'
+};
+
+// Admission control is off by default: every request goes to the balancer
+export const DEFAULT_ADMISSION_CONFIG = {
+    rateLimit: 0,               // Requests per second let in overall, 0 = no limit
+    burst: 20,                  // Requests the overall rate limit lets through at once
+    clientRateLimit: 0,         // Requests per second let in per client, 0 = no limit
+    clientBurst: 5,             // Requests a client may send at once
+    concurrencyLimit: 0,        // Requests in flight (running or queued) overall, 0 = no limit
+    clientConcurrencyLimit: 0,  // Requests in flight per client, 0 = no limit
+    shedding: false,            // Shed by priority when the fleet is saturated
+    shedThreshold: 80           // % fleet load at which low priority requests start being shed
+};
+
+// ms over which the fleet load is smoothed, so shedding follows sustained
+// load rather than every request coming and going
+const LOAD_WINDOW = 1000;
+
+// Holds up to `burst` tokens and refills at `rate` per second; every request
+// let through takes one. Rate and burst are passed in so changes apply at once.
+class TokenBucket {
+    constructor(burst, now) {
+        this.tokens = burst;
+        this.updatedAt = now;
+    }
+
+    take(rate, burst, now) {
+        this.tokens = Math.min(burst, this.tokens + (now - this.updatedAt) * rate / 1000);
+        this.updatedAt = now;
+        if (this.tokens < 1) return false;
+        this.tokens--;
+        return true;
+    }
+}
+
+// Gate in front of the load balancing algorithm. The engine asks it about
+// every new request and tells it when an admitted one is done, whatever the
+// outcome, so it knows what is in flight.
+export class AdmissionController {
+    constructor(config = DEFAULT_ADMISSION_CONFIG) {
+        this.config = { ...config };
+        this.reset();
+    }
+
+    setConfig(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    reset() {
+        this.bucket = null;
+        this.clientBuckets = new Map();   // Client id -> TokenBucket
+        this.inFlight = 0;
+        this.clientInFlight = new Map();  // Client id -> admitted requests not done yet
+        this.load = 0;                    // Smoothed fleet load, %
+        this.loadObservedAt = null;
+    }
+
+    // Fleet load in % of capacity at `now`, averaged over LOAD_WINDOW
+    observeLoad(load, now) {
+        const elapsed = this.loadObservedAt === null ? Infinity : now - this.loadObservedAt;
+        this.load += (load - this.load) * (1 - Math.exp(-elapsed / LOAD_WINDOW));
+        this.loadObservedAt = now;
+    }
+
+    // Chance a request of `priority` is shed at the current load. Low
+    // priority ramps from none at the threshold to all halfway to 100%,
+    // normal priority over the second half.
+    shedProbability(priority) {
+        if (!this.config.shedding || priority === 'high') return 0;
+        const threshold = this.config.shedThreshold;
+        const middle = (threshold + 100) / 2;
+        const [from, to] = priority === 'low' ? [threshold, middle] : [middle, 100];
+        if (to <= from) return this.load >= from ? 1 : 0;
+        return Math.min(1, Math.max(0, (this.load - from) / (to - from)));
+    }
+
+    // null lets the request in, otherwise it is turned away for the returned
+    // reason ('concurrency', 'rateLimited' or 'shed'). Limits that don't
+    // spend anything are checked first, so a refused request costs no tokens.
+    admit(request, now, random) {
+        const config = this.config;
+        const client = request.client.id;
+        if (config.clientConcurrencyLimit > 0 && (this.clientInFlight.get(client) || 0) >= config.clientConcurrencyLimit) {
+            return 'concurrency';
+        }
+        if (config.concurrencyLimit > 0 && this.inFlight >= config.concurrencyLimit) return 'concurrency';
+
+        if (config.clientRateLimit > 0) {
+            if (!this.clientBuckets.has(client)) this.clientBuckets.set(client, new TokenBucket(config.clientBurst, now));
+            if (!this.clientBuckets.get(client).take(config.clientRateLimit, config.clientBurst, now)) return 'rateLimited';
+        }
+        if (config.rateLimit > 0) {
+            if (!this.bucket) this.bucket = new TokenBucket(config.burst, now);
+            if (!this.bucket.take(config.rateLimit, config.burst, now)) return 'rateLimited';
+        }
+
+        const shedProbability = this.shedProbability(request.priority);
+        if (shedProbability > 0 && random() < shedProbability) return 'shed';
+
+        request.admitted = true;
+        this.inFlight++;
+        this.clientInFlight.set(client, (this.clientInFlight.get(client) || 0) + 1);
+        return null;
+    }
+
+    // An admitted request completed, failed or was rejected further on
+    release(request) {
+        if (!request.admitted) return;
+        request.admitted = false;
+        this.inFlight--;
+        const client = request.client.id;
+        const count = this.clientInFlight.get(client) - 1;
+        if (count > 0) {
+            this.clientInFlight.set(client, count);
+        } else {
+            this.clientInFlight.delete(client);
+        }
+    }
+}
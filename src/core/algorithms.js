@@ -0,0 +1,575 @@
+// File: src/core/algorithms.js
+import { hashString } from './hashing.js';
+
+// `context` carries engine state algorithms may need: { random, now, state }.
+// Use context.random instead of Math.random() so seeded runs stay reproducible,
+// and context.state for anything that belongs to one run rather than the algorithm.
+//
+// Affinity-based algorithms also implement lookupClient(servers, client, context),
+// returning the index a client maps to (or -1) without side effects. The engine
+// uses it to count remapped clients when the fleet changes.
+//
+// Algorithms with tunable settings list them in `static optionSchema`:
+//   { key, label, type: 'number' | 'select', default, min, max, step, choices }
+// and read the current values from `this.options`.
+//
+// onRequestCompleted and onRequestFailed are called as requests finish, for
+// algorithms that learn from outcomes. See plugins.js for adding algorithms
+// without touching this file.
+export class LoadBalancerAlgorithm {
+    static optionSchema = [];
+
+    constructor() {
+        this.options = {};
+        this.constructor.optionSchema.forEach(field => {
+            this.options[field.key] = field.default;
+        });
+    }
+
+    setOption(key, value) {
+        this.options[key] = value;
+    }
+
+    selectServer(servers, currentIndex, request, context) {
+        throw new Error('Method not implemented');
+    }
+
+    onRequestCompleted(server, request, context) {}
+
+    // reason is one of FAILURE_REASONS
+    onRequestFailed(server, request, reason, context) {}
+}
+
+// Load figure the sampling algorithms compare servers by
+function getLoad(server, metric) {
+    return metric === 'cpu' ? server.getUtilization().cpu : server.getOutstandingRequests();
+}
+
+// Pick `count` distinct server indices (partial Fisher-Yates shuffle)
+function sampleIndices(length, count, random) {
+    const indices = Array.from({ length }, (_, i) => i);
+    const sampleSize = Math.min(count, length);
+    for (let i = 0; i < sampleSize; i++) {
+        const j = i + Math.floor(random() * (length - i));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, sampleSize);
+}
+
+// Whether a server is in the request's client zone. Without zones (client
+// zone null) every server is; a pool is when all its servers are.
+function isLocal(server, request) {
+    const zone = request.client ? request.client.zone : null;
+    return zone === null || server.zone === zone;
+}
+
+// Index of the server with the fewest outstanding requests among `indices`
+function leastRequestsOf(servers, indices) {
+    return indices.reduce((best, index) =>
+        servers[index].getOutstandingRequests() < servers[best].getOutstandingRequests() ? index : best);
+}
+
+// Latency estimate from one of a server's moving averages (see
+// Server.observeLatency()). A server that hasn't answered yet counts as
+// instant while idle, so it gets tried, and as unknown while it has requests out.
+function estimateLatency(server, average) {
+    if (average > 0) return average;
+    return server.getOutstandingRequests() === 0 ? 0 : Infinity;
+}
+
+// Index with the lowest score among `indices`, fewer outstanding requests breaking ties
+function lowestScoreOf(servers, indices, score) {
+    const scores = new Map(indices.map(index => [index, score(servers[index])]));
+    return indices.reduce((best, index) => {
+        if (scores.get(index) !== scores.get(best)) return scores.get(index) < scores.get(best) ? index : best;
+        return servers[index].getOutstandingRequests() < servers[best].getOutstandingRequests() ? index : best;
+    });
+}
+
+// CPU and memory utilization (%) a server would have with `request` added
+function projectedUtilization(server, request) {
+    const utilization = server.getUtilization();
+    return {
+        cpu: utilization.cpu + request.cpuLoad / server.maxCpu * 100,
+        memory: utilization.memory + request.memoryLoad / server.maxMemory * 100
+    };
+}
+
+// Indices of the servers the request fits on within 100% of both resources,
+// else of those that accept it at all (CPU can oversubscribe under processor
+// sharing), else every index
+function fittingIndices(servers, request) {
+    const indices = servers.map((server, index) => index);
+    const accepting = indices.filter(index => servers[index].canHandleRequest(request));
+    const fitting = accepting.filter(index => {
+        const projected = projectedUtilization(servers[index], request);
+        return projected.cpu <= 100 && projected.memory <= 100;
+    });
+    if (fitting.length > 0) return fitting;
+    return accepting.length > 0 ? accepting : indices;
+}
+
+// Index with the lowest score among the servers the request fits on
+function lowestProjectedScore(servers, request, score) {
+    return lowestScoreOf(servers, fittingIndices(servers, request),
+        server => score(projectedUtilization(server, request)));
+}
+
+const LOAD_METRIC_OPTION = {
+    key: 'metric', label: 'Load metric', type: 'select', default: 'requests',
+    choices: [{ value: 'requests', label: 'Active requests' }, { value: 'cpu', label: 'CPU utilization' }]
+};
+
+export class RoundRobinAlgorithm extends LoadBalancerAlgorithm {
+    selectServer(servers, currentIndex, request) {
+        for (let i = 0; i < servers.length; i++) {
+            const serverIndex = (currentIndex + i) % servers.length;
+            if (servers[serverIndex].canHandleRequest(request)) {
+                return serverIndex;
+            }
+        }
+        return currentIndex;  // Return current if none can handle
+    }
+}
+
+export class RandomAlgorithm extends LoadBalancerAlgorithm {
+    selectServer(servers, currentIndex, request, context) {
+        // Try up to servers.length times to find an available server
+        const tried = new Set();
+        while (tried.size < servers.length) {
+            const index = Math.floor(context.random() * servers.length);
+            if (servers[index].canHandleRequest(request)) {
+                return index;
+            }
+            tried.add(index);
+        }
+        return Math.floor(context.random() * servers.length);  // Return random if none can handle
+    }
+}
+
+export class LeastRequestsAlgorithm extends LoadBalancerAlgorithm {
+    selectServer(servers, currentIndex, request) {
+        let minRequests = Infinity;
+        let selectedIndex = 0;
+
+        // Find the server with the least number of active requests
+        servers.forEach((server, index) => {
+            if (server.getOutstandingRequests() < minRequests) {
+                minRequests = server.getOutstandingRequests();
+                selectedIndex = index;
+            }
+        });
+
+        return selectedIndex;
+    }
+}
+
+// Lowest recent latency: the moving average of each server's answers, which
+// forgets old ones, so a server that turns slow loses traffic within a decay time
+export class LeastResponseTimeAlgorithm extends LoadBalancerAlgorithm {
+    selectServer(servers, currentIndex, request) {
+        return lowestScoreOf(servers, servers.map((server, index) => index),
+            server => estimateLatency(server, server.latencyEwma));
+    }
+}
+
+export class DynamicAlgorithm extends LoadBalancerAlgorithm {
+    selectServer(servers, currentIndex, request) {
+        let minCpuLoad = Infinity;
+        let selectedIndex = 0;
+
+        // Find the server with the least CPU utilization
+        servers.forEach((server, index) => {
+            const utilization = server.getUtilization();
+            if (utilization.cpu < minCpuLoad) {
+                minCpuLoad = utilization.cpu;
+                selectedIndex = index;
+            }
+        });
+
+        return selectedIndex;
+    }
+}
+
+// Dynamic CPU for both resources: the server whose busier resource, counting
+// the incoming request, is least used. Memory-heavy requests stop piling onto
+// servers whose CPU looks idle but whose memory is nearly gone.
+export class LeastMaxUtilizationAlgorithm extends LoadBalancerAlgorithm {
+    selectServer(servers, currentIndex, request) {
+        return lowestProjectedScore(servers, request, projected => Math.max(projected.cpu, projected.memory));
+    }
+}
+
+// Weighted sum of CPU and memory utilization counting the incoming request,
+// for when one resource matters more than the other
+export class WeightedResourcesAlgorithm extends LoadBalancerAlgorithm {
+    static optionSchema = [
+        { key: 'cpuWeight', label: 'CPU weight', type: 'number', default: 1, min: 0, max: 10, step: 0.1 },
+        { key: 'memoryWeight', label: 'Memory weight', type: 'number', default: 1, min: 0, max: 10, step: 0.1 }
+    ];
+
+    selectServer(servers, currentIndex, request) {
+        const { cpuWeight, memoryWeight } = this.options;
+        return lowestProjectedScore(servers, request, projected => cpuWeight * projected.cpu + memoryWeight * projected.memory);
+    }
+}
+
+// Looks at the resource the request needs most of (its dominant resource, as
+// in Dominant Resource Fairness) and picks the server with the most of that
+// one left: compute-heavy requests go where CPU is free, memory-heavy ones
+// where memory is. As in DRF, the dominant resource is the larger share of
+// each server's capacity, so it can differ between unequal servers.
+export class DominantResourceAlgorithm extends LoadBalancerAlgorithm {
+    selectServer(servers, currentIndex, request) {
+        return lowestScoreOf(servers, fittingIndices(servers, request), server => {
+            const dominant = request.memoryLoad / server.maxMemory > request.cpuLoad / server.maxCpu ? 'memory' : 'cpu';
+            return projectedUtilization(server, request)[dominant];
+        });
+    }
+}
+
+// Bin packing over CPU and memory. Best fit sends a request to the fullest
+// server it still fits on, keeping other servers empty for large requests
+// (or to be scaled in); worst fit to the emptiest, spreading load out.
+export class BinPackingAlgorithm extends LoadBalancerAlgorithm {
+    static optionSchema = [
+        {
+            key: 'fit', label: 'Fit', type: 'select', default: 'best',
+            choices: [{ value: 'best', label: 'Best fit (fullest)' }, { value: 'worst', label: 'Worst fit (emptiest)' }]
+        }
+    ];
+
+    selectServer(servers, currentIndex, request) {
+        const sign = this.options.fit === 'best' ? -1 : 1;
+        return lowestProjectedScore(servers, request, projected => sign * (projected.cpu + projected.memory));
+    }
+}
+
+// Smooth weighted round robin (as in nginx): every pick adds each server's
+// weight to its running score, the highest score wins and pays back the total.
+// Spreads a 3:1 weighting as A A B A rather than A A A B.
+export class WeightedRoundRobinAlgorithm extends LoadBalancerAlgorithm {
+    selectServer(servers, currentIndex, request, context) {
+        const currentWeights = this.getCurrentWeights(context);
+        let totalWeight = 0;
+        let selectedIndex = -1;
+        let fallbackIndex = -1;
+
+        servers.forEach((server, index) => {
+            const current = (currentWeights.get(server) || 0) + server.weight;
+            currentWeights.set(server, current);
+            totalWeight += server.weight;
+
+            if (fallbackIndex === -1 || current > currentWeights.get(servers[fallbackIndex])) {
+                fallbackIndex = index;
+            }
+            // Prefer servers that can take the request, like Round Robin does
+            if (server.canHandleRequest(request) &&
+                (selectedIndex === -1 || current > currentWeights.get(servers[selectedIndex]))) {
+                selectedIndex = index;
+            }
+        });
+
+        if (selectedIndex === -1) selectedIndex = fallbackIndex;
+        const selected = servers[selectedIndex];
+        currentWeights.set(selected, currentWeights.get(selected) - totalWeight);
+        return selectedIndex;
+    }
+
+    getCurrentWeights(context) {
+        if (!context.state.currentWeights) context.state.currentWeights = new WeakMap();  // Server -> running score
+        return context.state.currentWeights;
+    }
+}
+
+export class WeightedLeastRequestsAlgorithm extends LoadBalancerAlgorithm {
+    selectServer(servers, currentIndex, request) {
+        let minScore = Infinity;
+        let selectedIndex = 0;
+
+        // Active requests relative to weight; +1 so idle servers still prefer the heavier weight
+        servers.forEach((server, index) => {
+            const score = server.weight > 0 ? (server.getOutstandingRequests() + 1) / server.weight : Infinity;
+            if (score < minScore) {
+                minScore = score;
+                selectedIndex = index;
+            }
+        });
+
+        return selectedIndex;
+    }
+}
+
+// Power of d choices: sample d random servers and use the least loaded of them.
+// Gets most of the benefit of Least Requests without scanning every server.
+export class PowerOfTwoChoicesAlgorithm extends LoadBalancerAlgorithm {
+    static optionSchema = [
+        { key: 'choices', label: 'Candidates (d)', type: 'number', default: 2, min: 1, max: 20, step: 1 },
+        LOAD_METRIC_OPTION
+    ];
+
+    selectServer(servers, currentIndex, request, context) {
+        let minLoad = Infinity;
+        let selectedIndex = 0;
+
+        sampleIndices(servers.length, this.options.choices, context.random).forEach(index => {
+            const load = getLoad(servers[index], this.options.metric);
+            if (load < minLoad) {
+                minLoad = load;
+                selectedIndex = index;
+            }
+        });
+
+        return selectedIndex;
+    }
+}
+
+// Peak-EWMA, as in Finagle and Linkerd: cost is the peak-sensitive latency
+// average times (outstanding requests + 1). The average jumps up at the first
+// slow answer and only slowly comes down, and the outstanding factor reacts
+// before answers are back. Compares d random servers, like those proxies do.
+export class PeakEwmaAlgorithm extends LoadBalancerAlgorithm {
+    static optionSchema = [
+        { key: 'choices', label: 'Candidates (d)', type: 'number', default: 2, min: 1, max: 20, step: 1 }
+    ];
+
+    selectServer(servers, currentIndex, request, context) {
+        return lowestScoreOf(servers, sampleIndices(servers.length, this.options.choices, context.random),
+            server => estimateLatency(server, server.peakLatencyEwma) * (server.getOutstandingRequests() + 1));
+    }
+}
+
+// Best of k with memory: like Power of Two Choices, but the least loaded
+// servers seen last time are remembered and compete with the fresh samples.
+// A small memory is enough to get close to full least-loaded balance.
+export class BestOfKWithMemoryAlgorithm extends LoadBalancerAlgorithm {
+    static optionSchema = [
+        { key: 'choices', label: 'Candidates (k)', type: 'number', default: 2, min: 1, max: 20, step: 1 },
+        { key: 'memory', label: 'Remembered servers', type: 'number', default: 1, min: 1, max: 5, step: 1 },
+        LOAD_METRIC_OPTION
+    ];
+
+    selectServer(servers, currentIndex, request, context) {
+        const candidates = new Set(sampleIndices(servers.length, this.options.choices, context.random));
+        // Remembered servers that have left the list since are skipped
+        (context.state.remembered || []).forEach(server => {
+            const index = servers.indexOf(server);
+            if (index !== -1) candidates.add(index);
+        });
+
+        const loads = new Map([...candidates].map(index => [index, getLoad(servers[index], this.options.metric)]));
+        const selectedIndex = [...candidates].reduce((best, index) => loads.get(index) < loads.get(best) ? index : best);
+
+        // Remember the least loaded candidates as they will be after this assignment
+        loads.set(selectedIndex, loads.get(selectedIndex) + (this.options.metric === 'cpu' ?
+            request.cpuLoad / servers[selectedIndex].maxCpu * 100 : 1));
+        const memory = [...candidates]
+            .sort((a, b) => loads.get(a) - loads.get(b))
+            .slice(0, this.options.memory);
+        context.state.remembered = memory.map(index => servers[index]);  // Servers to try again next pick
+
+        return selectedIndex;
+    }
+}
+
+// Hashes the client address onto the server list. Simple and stateless, but
+// changing the number of servers moves almost every client.
+export class SourceIpHashAlgorithm extends LoadBalancerAlgorithm {
+    selectServer(servers, currentIndex, request, context) {
+        return this.lookupClient(servers, request.client, context);
+    }
+
+    lookupClient(servers, client, context) {
+        return hashString(client.ip) % servers.length;
+    }
+}
+
+// Cookie-based sticky sessions: the first request of a session goes to the
+// least busy server and the response pins the session to it with a cookie.
+export class StickySessionAlgorithm extends LoadBalancerAlgorithm {
+    selectServer(servers, currentIndex, request, context) {
+        const cookies = this.getCookies(context);
+        const pinnedIndex = this.lookupClient(servers, request.client, context);
+        if (pinnedIndex !== -1) return pinnedIndex;
+
+        let selectedIndex = 0;
+        servers.forEach((server, index) => {
+            if (server.getOutstandingRequests() < servers[selectedIndex].getOutstandingRequests()) {
+                selectedIndex = index;
+            }
+        });
+        cookies.set(request.client.sessionId, servers[selectedIndex].id);
+        return selectedIndex;
+    }
+
+    lookupClient(servers, client, context) {
+        const serverId = this.getCookies(context).get(client.sessionId);
+        return serverId === undefined ? -1 : servers.findIndex(server => server.id === serverId);
+    }
+
+    getCookies(context) {
+        if (!context.state.cookies) context.state.cookies = new Map();  // Session -> server id
+        return context.state.cookies;
+    }
+}
+
+// Ketama-style consistent hashing: each server owns many points on a hash
+// ring (in proportion to its weight) and a client goes to the first point
+// clockwise from its own hash. Adding or removing a server only moves the
+// clients between it and its neighbours.
+export class RingHashAlgorithm extends LoadBalancerAlgorithm {
+    static optionSchema = [
+        { key: 'virtualNodes', label: 'Virtual nodes per server', type: 'number', default: 100, min: 1, max: 1000, step: 1 }
+    ];
+
+    constructor() {
+        super();
+        this.rings = new WeakMap();  // Server list -> { virtualNodes, points }
+    }
+
+    selectServer(servers, currentIndex, request, context) {
+        return this.lookupClient(servers, request.client, context);
+    }
+
+    lookupClient(servers, client, context) {
+        const points = this.getRing(servers);
+        const hash = hashString(client.ip);
+
+        // First point at or after the hash, wrapping around
+        let low = 0;
+        let high = points.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (points[mid].hash < hash) low = mid + 1;
+            else high = mid;
+        }
+        return points[low % points.length].index;
+    }
+
+    getRing(servers) {
+        const cached = this.rings.get(servers);
+        if (cached && cached.virtualNodes === this.options.virtualNodes) return cached.points;
+
+        const points = [];
+        servers.forEach((server, index) => {
+            const count = Math.max(1, Math.round(this.options.virtualNodes * server.weight));
+            for (let i = 0; i < count; i++) {
+                points.push({ hash: hashString(`server-${server.id}-${i}`), index });
+            }
+        });
+        points.sort((a, b) => a.hash - b.hash);
+        this.rings.set(servers, { virtualNodes: this.options.virtualNodes, points });
+        return points;
+    }
+}
+
+// Maglev hashing (Google's L4 balancer): every server fills slots of a fixed
+// size lookup table in its own pseudo-random order, taking turns. Gives an
+// almost perfectly even spread and O(1) lookups with little remapping.
+export class MaglevAlgorithm extends LoadBalancerAlgorithm {
+    static optionSchema = [
+        {
+            key: 'tableSize', label: 'Lookup table size', type: 'select', default: '65537',
+            choices: [{ value: '251', label: '251' }, { value: '4099', label: '4099' }, { value: '65537', label: '65537' }]
+        }
+    ];
+
+    constructor() {
+        super();
+        this.tables = new WeakMap();  // Server list -> { tableSize, table }
+    }
+
+    selectServer(servers, currentIndex, request, context) {
+        return this.lookupClient(servers, request.client, context);
+    }
+
+    lookupClient(servers, client, context) {
+        const table = this.getTable(servers);
+        return table[hashString(client.ip) % table.length];
+    }
+
+    getTable(servers) {
+        const size = parseInt(this.options.tableSize);  // Prime, so every skip visits every slot
+        const cached = this.tables.get(servers);
+        if (cached && cached.size === size) return cached.table;
+
+        const offsets = servers.map(server => hashString(`server-${server.id}`, 1) % size);
+        const skips = servers.map(server => hashString(`server-${server.id}`, 2) % (size - 1) + 1);
+        const next = servers.map(() => 0);
+        const table = new Int32Array(size).fill(-1);
+
+        let filled = 0;
+        while (filled < size) {
+            for (let i = 0; i < servers.length && filled < size; i++) {
+                // Walk server i's permutation to its next free slot
+                let slot = (offsets[i] + next[i] * skips[i]) % size;
+                while (table[slot] !== -1) {
+                    next[i]++;
+                    slot = (offsets[i] + next[i] * skips[i]) % size;
+                }
+                table[slot] = i;
+                next[i]++;
+                filled++;
+            }
+        }
+
+        this.tables.set(servers, { size, table });
+        return table;
+    }
+}
+
+// Least Requests within the client's zone, so requests don't pay for
+// crossing zones. Other zones only get a request when no local server can
+// take it (or there are no local servers).
+export class ZoneAwareLeastRequestsAlgorithm extends LoadBalancerAlgorithm {
+    selectServer(servers, currentIndex, request) {
+        const indices = servers.map((server, index) => index);
+        const local = indices.filter(index => isLocal(servers[index], request) && servers[index].canHandleRequest(request));
+        return leastRequestsOf(servers, local.length > 0 ? local : indices);
+    }
+}
+
+// Locality with spillover: the least busy server of the client's zone, until
+// even that one is past the CPU threshold; then the least busy server of any
+// zone, trading network latency for headroom.
+export class LocalityWithSpilloverAlgorithm extends LoadBalancerAlgorithm {
+    static optionSchema = [
+        { key: 'threshold', label: 'Spill over above CPU (%)', type: 'number', default: 80, min: 0, max: 100, step: 5 }
+    ];
+
+    selectServer(servers, currentIndex, request) {
+        const cpu = index => servers[index].getUtilization().cpu;
+        const leastCpu = indices => indices.reduce((best, index) => cpu(index) < cpu(best) ? index : best);
+
+        const indices = servers.map((server, index) => index);
+        const local = indices.filter(index => isLocal(servers[index], request));
+        if (local.length > 0) {
+            const best = leastCpu(local);
+            if (cpu(best) < this.options.threshold && servers[best].canHandleRequest(request)) return best;
+        }
+        return leastCpu(indices);
+    }
+}
+
+export const algorithms = {
+    'Round Robin': new RoundRobinAlgorithm(),
+    'Random': new RandomAlgorithm(),
+    'Least Requests': new LeastRequestsAlgorithm(),
+    'Least Response Time': new LeastResponseTimeAlgorithm(),
+    'Dynamic CPU': new DynamicAlgorithm(),
+    'Least Max Utilization': new LeastMaxUtilizationAlgorithm(),
+    'Weighted Resources': new WeightedResourcesAlgorithm(),
+    'Dominant Resource': new DominantResourceAlgorithm(),
+    'Bin Packing': new BinPackingAlgorithm(),
+    'Weighted Round Robin': new WeightedRoundRobinAlgorithm(),
+    'Weighted Least Requests': new WeightedLeastRequestsAlgorithm(),
+    'Power of Two Choices': new PowerOfTwoChoicesAlgorithm(),
+    'Best of k with Memory': new BestOfKWithMemoryAlgorithm(),
+    'Peak EWMA': new PeakEwmaAlgorithm(),
+    'Source IP Hash': new SourceIpHashAlgorithm(),
+    'Sticky Sessions': new StickySessionAlgorithm(),
+    'Ring Hash': new RingHashAlgorithm(),
+    'Maglev': new MaglevAlgorithm(),
+    'Zone-aware Least Requests': new ZoneAwareLeastRequestsAlgorithm(),
+    'Locality with Spillover': new LocalityWithSpilloverAlgorithm()
+};
@@ -0,0 +1,116 @@
+// File: src/core/autoscaler.js
+
+export const SCALING_POLICIES = {
+    none: 'Off',
+    target: 'Target tracking',   // Keep average CPU near targetCpu
+    step: 'Step scaling',        // Add or remove servers when CPU crosses a threshold
+    scheduled: 'Scheduled'       // Set the server count at fixed times
+};
+
+export const DEFAULT_AUTOSCALING_CONFIG = {
+    policy: 'none',
+    minServers: 2,
+    maxServers: 12,
+    targetCpu: 60,             // % average CPU target tracking aims for
+    scaleOutThreshold: 80,     // % average CPU above which step scaling adds servers
+    scaleInThreshold: 30,      // % average CPU below which step scaling removes servers
+    stepSize: 1,               // Servers added or removed per step
+    schedule: [],              // { at, servers }, `at` in ms after the run started
+    evaluationInterval: 1000,  // ms between decisions, CPU is averaged over it
+    scaleOutCooldown: 5000,    // ms after scaling out before scaling out again
+    scaleInCooldown: 15000,    // ms after any scaling before scaling in
+    warmup: 5000               // ms a new server takes to start before it gets traffic
+};
+
+// Step scaling adds one more step for every this many points CPU is over
+// the threshold, so a big spike is answered with a big step
+const STEP_BREACH_WIDTH = 20;
+
+// Decides how many servers there should be. The engine feeds it the CPU of
+// the servers taking traffic and carries out its decisions by starting and
+// draining servers. `current` counts starting servers but not draining ones,
+// `active` only the ones taking traffic.
+export class Autoscaler {
+    constructor(config = DEFAULT_AUTOSCALING_CONFIG) {
+        this.config = { ...config };
+        this.nextEvaluationTime = Infinity;
+        this.reset();
+    }
+
+    setConfig(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    reset() {
+        this.cpuIntegral = 0;   // Average CPU × ms since the last evaluation
+        this.observedTime = 0;
+        this.lastScaleOut = -Infinity;
+        this.lastScaleIn = -Infinity;
+    }
+
+    // First decision one interval after `now`
+    schedule(now) {
+        this.nextEvaluationTime = this.config.policy === 'none' ? Infinity : now + this.config.evaluationInterval;
+    }
+
+    observe(averageCpu, elapsed) {
+        this.cpuIntegral += averageCpu * elapsed;
+        this.observedTime += elapsed;
+    }
+
+    // Server count wanted at `now` (simulated time, `elapsed` into the run),
+    // with the average CPU since the last evaluation. Returns
+    // { desired, cpu, reason }; desired equals current when nothing changes.
+    evaluate({ current, active }, now, elapsed) {
+        this.nextEvaluationTime = now + this.config.evaluationInterval;
+        const cpu = this.observedTime > 0 ? this.cpuIntegral / this.observedTime : 0;
+        this.cpuIntegral = 0;
+        this.observedTime = 0;
+
+        const { minServers, maxServers } = this.config;
+        let desired = current;
+        let reason = null;
+        switch (active > 0 ? this.config.policy : 'none') {
+            case 'target':
+                // Enough servers to bring the average to the target, assuming
+                // load spreads evenly over them. Starting servers count as
+                // capacity already, so their warm-up doesn't cause overshoot.
+                desired = Math.ceil(active * cpu / this.config.targetCpu);
+                reason = `CPU ${Math.round(cpu)}% vs target ${this.config.targetCpu}%`;
+                break;
+            case 'step':
+                if (cpu > this.config.scaleOutThreshold) {
+                    const steps = 1 + Math.floor((cpu - this.config.scaleOutThreshold) / STEP_BREACH_WIDTH);
+                    desired = current + steps * this.config.stepSize;
+                    reason = `CPU ${Math.round(cpu)}% > ${this.config.scaleOutThreshold}%`;
+                } else if (cpu < this.config.scaleInThreshold) {
+                    desired = current - this.config.stepSize;
+                    reason = `CPU ${Math.round(cpu)}% < ${this.config.scaleInThreshold}%`;
+                }
+                break;
+            case 'scheduled': {
+                const entry = this.config.schedule.filter(({ at }) => at <= elapsed).pop();
+                if (entry) {
+                    desired = entry.servers;
+                    reason = `scheduled at ${entry.at / 1000}s`;
+                }
+                break;
+            }
+        }
+
+        // Limits always hold, whatever the policy wants
+        desired = Math.min(maxServers, Math.max(minServers, desired));
+        if (current < minServers) reason = `below min ${minServers}`;
+        if (current > maxServers) reason = `above max ${maxServers}`;
+
+        // Scheduled actions ignore cooldowns, like they do on cloud autoscalers
+        const scheduled = this.config.policy === 'scheduled';
+        if (desired > current && !scheduled && now - this.lastScaleOut < this.config.scaleOutCooldown) desired = current;
+        if (desired < current && !scheduled &&
+            now - Math.max(this.lastScaleOut, this.lastScaleIn) < this.config.scaleInCooldown) desired = current;
+
+        if (desired > current) this.lastScaleOut = now;
+        if (desired < current) this.lastScaleIn = now;
+        return { desired, cpu, reason };
+    }
+}
@@ -0,0 +1,56 @@
+// File: src/core/clients.js
+import { hashString } from './hashing.js';
+
+export const DEFAULT_CLIENTS = { count: 1000, skew: 0 };
+
+// The set of clients sending requests. With skew > 0 client popularity
+// follows a Zipf-like law: client i is picked with weight 1 / (i + 1)^skew,
+// so a handful of clients send most of the traffic.
+export class ClientPopulation {
+    constructor({ count = DEFAULT_CLIENTS.count, skew = DEFAULT_CLIENTS.skew } = {}) {
+        this.count = count;
+        this.skew = skew;
+
+        this.clients = Array.from({ length: count }, (_, id) => ({
+            id,
+            ip: `10.${(id >> 16) & 255}.${(id >> 8) & 255}.${id & 255}`,
+            sessionId: `session-${id}`,
+            zone: null  // Availability zone index, see assignZones()
+        }));
+
+        // Cumulative weights for sampling
+        this.cdf = new Float64Array(count);
+        let total = 0;
+        for (let i = 0; i < count; i++) {
+            total += 1 / Math.pow(i + 1, skew);
+            this.cdf[i] = total;
+        }
+        this.totalWeight = total;
+    }
+
+    // Spread the clients over zones in proportion to `shares`, fewer than two
+    // shares puts them in none. Goes by a hash of the address rather than the
+    // seeded random, so a client keeps its zone and runs stay reproducible.
+    assignZones(shares) {
+        const total = shares.reduce((sum, share) => sum + share, 0);
+        this.clients.forEach(client => {
+            client.zone = null;
+            if (shares.length < 2 || total <= 0) return;
+            let point = hashString(client.ip, 0x2f0e) / 0x100000000 * total;
+            client.zone = shares.findIndex(share => (point -= share) < 0);
+            if (client.zone === -1) client.zone = shares.length - 1;
+        });
+    }
+
+    sample(random) {
+        const target = random() * this.totalWeight;
+        let low = 0;
+        let high = this.count - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.cdf[mid] > target) high = mid;
+            else low = mid + 1;
+        }
+        return this.clients[low];
+    }
+}
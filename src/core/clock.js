@@ -0,0 +1,77 @@
+// File: src/core/clock.js
+
+// Clock that only moves when told to - used for headless runs and tests
+export class ManualClock {
+    constructor(startTime = 0) {
+        this.time = startTime;  // milliseconds
+    }
+
+    now() {
+        return this.time;
+    }
+
+    advance(ms) {
+        this.time += ms;
+        return this.time;
+    }
+
+    set(time) {
+        this.time = time;
+    }
+}
+
+// Clock that follows real time, starting at 0 when created
+export class WallClock {
+    constructor() {
+        this.origin = performance.now();
+    }
+
+    now() {
+        return performance.now() - this.origin;
+    }
+}
+
+// Simulated time that follows another clock at an adjustable speed and can
+// stand still. Every change takes effect from the current reading, so time
+// never jumps; advance() moves it on by hand, e.g. to step while paused.
+export class ScaledClock {
+    constructor(source = new WallClock(), speed = 1) {
+        this.source = source;
+        this.speed = speed;
+        this.paused = false;
+        this.sourceOrigin = source.now();
+        this.origin = 0;  // Reading at sourceOrigin
+    }
+
+    now() {
+        if (this.paused) return this.origin;
+        return this.origin + (this.source.now() - this.sourceOrigin) * this.speed;
+    }
+
+    // Carry on from the current reading
+    rebase() {
+        this.origin = this.now();
+        this.sourceOrigin = this.source.now();
+    }
+
+    setSpeed(speed) {
+        this.rebase();
+        this.speed = speed;
+    }
+
+    pause() {
+        this.rebase();
+        this.paused = true;
+    }
+
+    resume() {
+        this.sourceOrigin = this.source.now();
+        this.paused = false;
+    }
+
+    advance(ms) {
+        this.rebase();
+        this.origin += ms;
+        return this.origin;
+    }
+}
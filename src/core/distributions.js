@@ -0,0 +1,43 @@
+// File: src/core/distributions.js
+
+// Processing time distributions for request types. A duration spec is
+//   { distribution, mean, min, max, sigma }
+// of which each distribution reads only the fields listed in `params`.
+export const DISTRIBUTIONS = {
+    fixed: { label: 'Fixed', params: ['mean'] },
+    uniform: { label: 'Uniform', params: ['min', 'max'] },
+    exponential: { label: 'Exponential', params: ['mean'] },
+    lognormal: { label: 'Log-normal', params: ['mean', 'sigma'] }   // sigma of the underlying normal
+};
+
+// Durations never drop below this, so every request takes some time
+const MIN_DURATION = 1;
+
+// Standard normal via Box-Muller
+function sampleNormal(random) {
+    const u = 1 - random();  // (0, 1], keeps log() finite
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Processing time in ms drawn from a duration spec
+export function sampleDuration(spec, random) {
+    switch (spec.distribution) {
+        case 'fixed':
+            return Math.max(MIN_DURATION, spec.mean);
+        case 'exponential':
+            return Math.max(MIN_DURATION, -Math.log(1 - random()) * spec.mean);
+        case 'lognormal': {
+            // Pick mu so the distribution's mean is spec.mean
+            const mu = Math.log(spec.mean) - spec.sigma * spec.sigma / 2;
+            return Math.max(MIN_DURATION, Math.exp(mu + spec.sigma * sampleNormal(random)));
+        }
+        default:
+            return Math.max(MIN_DURATION, spec.min + random() * (spec.max - spec.min));
+    }
+}
+
+// Expected processing time of a duration spec
+export function meanDuration(spec) {
+    return spec.distribution === 'uniform' ? (spec.min + spec.max) / 2 : spec.mean;
+}
@@ -0,0 +1,1216 @@
+// File: src/core/engine.js
+import { EventEmitter } from './events.js';
+import { ManualClock } from './clock.js';
+import { Request } from './request.js';
+import { Server, DEFAULT_SERVER_SPEC, DEFAULT_LATENCY_DECAY } from './server.js';
+import { createRandom, randomSeed } from './random.js';
+import { ClientPopulation } from './clients.js';
+import { HealthChecker, DEFAULT_HEALTH_CHECK_CONFIG } from './health.js';
+import { Autoscaler, DEFAULT_AUTOSCALING_CONFIG } from './autoscaler.js';
+import { AdmissionController, DEFAULT_ADMISSION_CONFIG, PRIORITIES } from './admission.js';
+import { OutlierDetector, DEFAULT_OUTLIER_CONFIG, DEFAULT_CIRCUIT_BREAKER_CONFIG } from './outliers.js';
+import { RetryPolicy, DEFAULT_RETRY_CONFIG } from './retries.js';
+import { Pool } from './topology.js';
+import { DEFAULT_NETWORK_CONFIG } from './zones.js';
+import { TrafficGenerator, DEFAULT_TRAFFIC_CONFIG } from './traffic.js';
+import { sampleDuration } from './distributions.js';
+import { LatencyHistogram } from './latency.js';
+import { calculateStats, calculateBalanceScore } from './stats.js';
+
+// Request classes. `duration` is a spec for sampleDuration(), `mix` the
+// relative share of traffic (shares don't need to add up to 100) and
+// `priority` one of PRIORITIES.
+const DEFAULT_DURATION = { distribution: 'uniform', min: 1, max: 500, mean: 250, sigma: 1 };
+export const DEFAULT_REQUEST_TYPES = [
+    { name: 'Light', cpu: 5, memory: 3, color: '#4CAF50', duration: DEFAULT_DURATION, mix: 25, priority: 'normal' },  // Green - Low CPU, Low Memory
+    { name: 'Compute', cpu: 8, memory: 4, color: '#2196F3', duration: DEFAULT_DURATION, mix: 25, priority: 'normal' },  // Blue - Medium CPU, Low Memory
+    { name: 'Memory', cpu: 4, memory: 8, color: '#FF9800', duration: DEFAULT_DURATION, mix: 25, priority: 'normal' },  // Orange - Low CPU, Medium Memory
+    { name: 'Heavy', cpu: 10, memory: 6, color: '#F44336', duration: DEFAULT_DURATION, mix: 25, priority: 'normal' }  // Red - High CPU, Medium Memory
+];
+
+// Range of each setting of a request type, in the editor or a scenario
+export const REQUEST_TYPE_LIMITS = {
+    cpu: { min: 0, max: 100 },
+    memory: { min: 0, max: 100 },
+    mix: { min: 0, max: 1000 },
+    duration: {
+        mean: { min: 1, max: 60000 },
+        min: { min: 1, max: 60000 },
+        max: { min: 1, max: 60000 },
+        sigma: { min: 0.05, max: 3 }
+    }
+};
+
+// Queueing is off by default: a request that doesn't fit is rejected at once
+export const DEFAULT_QUEUE_CONFIG = {
+    serverQueueSize: 0,   // Requests each server can hold waiting for capacity
+    globalQueueSize: 0,   // Requests the load balancer can hold when servers are full
+    queueTimeout: 1000    // ms a request may wait in a queue before it is dropped
+};
+
+// ms a removed server gets to finish its requests before they fail
+export const DEFAULT_DRAIN_TIMEOUT = 30000;
+
+export const REJECTION_REASONS = {
+    capacity: 'server full',
+    queueFull: 'queue full',
+    timeout: 'timed out in queue',
+    unavailable: 'no healthy servers',
+    rateLimited: 'rate limited',
+    concurrency: 'concurrency limit',
+    shed: 'shed under load'
+};
+
+// How requests of each priority ended; shed ones aren't counted as rejected
+export const PRIORITY_OUTCOMES = ['completed', 'rejected', 'shed', 'failed'];
+
+// What a server was out of when it turned a request away as full
+export const EXHAUSTED_RESOURCES = {
+    cpu: 'CPU',
+    memory: 'memory',
+    both: 'CPU and memory'
+};
+
+// Requests that reached a server but never got a good answer
+export const FAILURE_REASONS = {
+    crashed: 'server crashed',
+    error: 'error response',
+    drained: 'drain timed out'
+};
+
+// Insert `entry` ({ at, ... }) into a list kept soonest first, after any due at the same time
+function insertByTime(list, entry) {
+    let index = list.length;
+    while (index > 0 && list[index - 1].at > entry.at) index--;
+    list.splice(index, 0, entry);
+}
+
+// Headless load balancer simulation. Knows nothing about rendering; views
+// subscribe to its events:
+//   'serversChanged' (servers)
+//   'requestAssigned' (request, server)   routed to a server, running or queued there
+//   'requestQueued' (request, server)     server is null for the load balancer's queue
+//   'requestStarted' (request, server)
+//   'requestRejected' (request, server, reason, resource)   reason is one of
+//                                         REJECTION_REASONS; resource, one of
+//                                         EXHAUSTED_RESOURCES, says what a full server lacked
+//   'requestFailed' (request, server, reason)     reason is one of FAILURE_REASONS
+//   'requestCompleted' (request, server)
+//   'requestTimedOut' (request)           its client stopped waiting; whatever the
+//                                         server still does with it goes unreported
+//   'serverFaultChanged' (server)
+//   'serverHealthChanged' (server)        entered or left rotation: health checks,
+//                                         outlier ejection or its circuit breaker
+//   'keysRemapped' ({ previousServers, servers, remapped, total })
+//   'scalingEvent' ({ time, from, to, cpu, reason })   autoscaler changed the server count
+//   'tick' (now)
+//   'reset'
+//
+// Time is simulated: the clock only says how far to advance, and arrivals and
+// completions are processed in order at their exact simulated times. Together
+// with the seed this makes every run reproducible regardless of frame timing.
+export class SimulationEngine extends EventEmitter {
+    constructor({ algorithm, numServers = 4, fleet = null, clients = undefined, clock = new ManualClock(), requestTypes = DEFAULT_REQUEST_TYPES, serviceModel = 'fixed', seed = randomSeed() } = {}) {
+        super();
+        this.algorithm = algorithm;
+        this.clock = clock;
+        this.requestTypes = requestTypes;
+        this.time = clock.now();  // Simulated time of the event being processed
+
+        // Automatic request generation
+        this.running = false;
+        this.traffic = new TrafficGenerator(DEFAULT_TRAFFIC_CONFIG);
+        this.nextArrivalTime = null;
+
+        this.setSeed(seed);
+        this.clients = new ClientPopulation(clients);
+        this.algorithmState = new WeakMap();  // Algorithm -> per-run state, see createContext()
+        this.queueConfig = { ...DEFAULT_QUEUE_CONFIG };
+        this.drainTimeout = DEFAULT_DRAIN_TIMEOUT;
+        this.latencyDecay = DEFAULT_LATENCY_DECAY;  // See Server.observeLatency()
+        this.serviceModel = serviceModel;  // See SERVICE_MODELS
+        this.globalQueue = [];  // Requests waiting at the load balancer, oldest first
+        this.healthChecker = new HealthChecker(DEFAULT_HEALTH_CHECK_CONFIG);
+        this.autoscaler = new Autoscaler(DEFAULT_AUTOSCALING_CONFIG);
+        this.admission = new AdmissionController(DEFAULT_ADMISSION_CONFIG);
+        this.outlierDetector = new OutlierDetector(DEFAULT_OUTLIER_CONFIG);
+        this.breakerConfig = { ...DEFAULT_CIRCUIT_BREAKER_CONFIG };
+        this.retryPolicy = new RetryPolicy(DEFAULT_RETRY_CONFIG);
+        this.clientDeadlines = [];  // { at, request } for attempts sent with a timeout, soonest first
+        this.pendingRetries = [];   // { at, request } retries waiting out their backoff, soonest first
+        this.rotationStale = false;  // Rotation to be rebuilt before the next routing decision
+        this.faultSchedule = [];    // { at, serverId, fault }, `at` in ms after the run started
+        this.pendingFaults = [];    // Scheduled faults not applied yet this run, soonest first
+        this.startTime = null;      // Simulated time the run was first started
+
+        // One spec per server, see DEFAULT_SERVER_SPEC
+        this.fleet = fleet || Array.from({ length: numServers }, () => ({ ...DEFAULT_SERVER_SPEC }));
+        this.numServers = this.fleet.length;
+        this.servers = [];
+        this.pools = [];  // Backend pools behind the front balancer, empty for a single tier
+        this.zones = [];  // Availability zones ({ name, clientShare }), empty when locality is off
+        this.networkConfig = { ...DEFAULT_NETWORK_CONFIG };
+        this.currentServerIndex = 0;
+        this.requestCount = 0;
+        this.totalRejectedRequests = 0;
+        this.rejectionsByReason = this.createRejectionCounts();
+        this.rejectionsByResource = this.createResourceCounts();  // 'capacity' rejections by what ran out
+        this.failedRequests = 0;
+        this.failuresByReason = this.createFailureCounts();
+        this.outcomesByPriority = this.createPriorityCounts();
+        this.ejections = 0;           // Servers ejected by outlier detection
+        this.breakerTrips = 0;        // Circuit breakers that opened
+        this.localRequests = 0;       // Routed within their client's zone, only counted with zones
+        this.crossZoneRequests = 0;   // Routed to another zone
+        this.retries = 0;             // Attempts that were retries, also counted in requestCount
+        this.retriesDenied = 0;       // Retries the budget didn't allow
+        this.clientTimeouts = 0;      // Attempts their client stopped waiting for
+        this.lateAnswers = 0;         // Completed after their client had timed out
+        this.gaveUp = 0;              // Requests whose last attempt didn't work out, retried or not
+
+        // Run totals, kept across server changes
+        this.completedRequests = 0;
+        this.totalResponseTime = 0;
+        this.latency = new LatencyHistogram();  // End-to-end latency of every completed request
+        this.balanceTime = 0;           // Simulated ms the balance integrals cover
+        this.cpuBalanceIntegral = 0;
+        this.memoryBalanceIntegral = 0;
+
+        this.initializeServers();
+    }
+
+    now() {
+        return this.time;
+    }
+
+    // Separate streams so the request stream doesn't depend on the algorithm
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.requestRandom = createRandom(`${this.seed}/requests`);
+        this.algorithmRandom = createRandom(`${this.seed}/algorithm`);
+        this.faultRandom = createRandom(`${this.seed}/faults`);
+        this.arrivalRandom = createRandom(`${this.seed}/arrivals`);
+        this.admissionRandom = createRandom(`${this.seed}/admission`);
+        this.retryRandom = createRandom(`${this.seed}/retries`);
+    }
+
+    start(rate = this.traffic.config.rate) {
+        this.running = true;
+        if (this.startTime === null) this.startTime = this.time;
+        this.healthChecker.schedule(this.time);
+        this.outlierDetector.schedule(this.time);
+        this.autoscaler.schedule(this.time);
+        this.setRate(rate);
+    }
+
+    stop() {
+        this.running = false;
+        this.nextArrivalTime = null;
+    }
+
+    // Base rate of the traffic pattern, requests per second
+    setRate(rate) {
+        this.setTrafficConfig({ rate });
+    }
+
+    // See DEFAULT_TRAFFIC_CONFIG
+    setTrafficConfig(config) {
+        this.traffic.setConfig(config);
+        if (this.running) this.scheduleNextArrival(this.time);
+    }
+
+    scheduleNextArrival(from) {
+        this.nextArrivalTime = this.startTime + this.traffic.nextArrival(from - this.startTime, this.arrivalRandom);
+    }
+
+    // Requests per second the traffic pattern asks for right now
+    getCurrentRate() {
+        return this.traffic.rateAt(this.startTime === null ? 0 : this.time - this.startTime);
+    }
+
+    initializeServers() {
+        this.servers = [];
+        this.fleet.forEach(spec => this.servers.push(this.createServer(spec)));
+        this.updateRotation();
+        this.emit('serversChanged', this.servers);
+    }
+
+    // Takes the lowest id not in use, so a server added back gets the id (and
+    // hash ring position) of one removed earlier
+    createServer(spec) {
+        let id = 0;
+        while (this.servers.some(server => server.id === id)) id++;
+        const server = new Server(id, spec);
+        server.queueLimit = this.queueConfig.serverQueueSize;
+        server.latencyDecay = this.latencyDecay;
+        server.serviceModel = this.serviceModel;
+        server.workUpdatedAt = this.time;
+        return server;
+    }
+
+    // Servers the algorithm chooses from, or with pools the pools that have
+    // any. Kept as one array between health and fleet changes, so algorithms
+    // caching per server list (hash rings) stay valid.
+    updateRotation() {
+        const inRotation = server => server.healthy && server.lifecycle === 'active' &&
+            !server.isEjected() && server.breaker.allowsRequest(this.breakerConfig);
+        this.rotationStale = false;
+        if (this.pools.length === 0) {
+            this.rotation = this.servers.filter(inRotation);
+        } else {
+            this.assignPools();
+            this.pools.forEach(pool => {
+                pool.rotation = pool.servers.filter(inRotation);
+                pool.currentIndex = 0;
+            });
+            this.rotation = this.pools.filter(pool => pool.rotation.length > 0);
+        }
+        this.currentServerIndex = 0;
+    }
+
+    // Two tiers: the engine's algorithm picks one of `pools` ({ name,
+    // algorithm, algorithmName }), whose algorithm picks the server. Servers
+    // join the pool their spec's `pool` names, the last one if there is no
+    // such pool. Fewer than two pools means one balancer in front of them all.
+    setPools(pools) {
+        this.pools = pools.length < 2 ? [] : pools.map(({ name, algorithm, algorithmName }, i) => new Pool(i, name, algorithm, algorithmName));
+        this.updateRotation();
+        this.emit('serversChanged', this.servers);
+    }
+
+    getPool(server) {
+        return this.pools.length === 0 ? null : this.pools[Math.min(server.pool, this.pools.length - 1)];
+    }
+
+    // Sort the servers into their pools; nothing to do for a single tier
+    assignPools() {
+        if (this.pools.length === 0) return;
+        this.pools.forEach(pool => {
+            pool.servers = [];
+        });
+        this.servers.forEach(server => this.getPool(server).servers.push(server));
+    }
+
+    // Availability zones ({ name, clientShare }): clients are spread over
+    // them by share and servers sit in the zone their spec names. A request
+    // served outside its client's zone pays the network config's latency and
+    // cost. Fewer than two zones turns locality off.
+    setZones(zones) {
+        this.zones = zones.length < 2 ? [] : zones.map(zone => ({ ...zone }));
+        this.clients.assignZones(this.zones.map(zone => zone.clientShare));
+        this.emit('serversChanged', this.servers);
+    }
+
+    setNetworkConfig(config) {
+        this.networkConfig = { ...this.networkConfig, ...config };
+    }
+
+    isCrossZone(request, server) {
+        return this.zones.length > 0 && request.client !== null && request.client.zone !== server.zone;
+    }
+
+    // Add a server without disturbing the others. With a warm-up it only
+    // takes traffic once that is over.
+    addServer(spec = DEFAULT_SERVER_SPEC, warmup = 0) {
+        const server = this.createServer(spec);
+        if (warmup > 0) {
+            server.lifecycle = 'starting';
+            server.readyAt = this.time + warmup;
+        }
+        this.servers.push(server);
+        this.updateRotation();
+        this.emit('serversChanged', this.servers);
+        return server;
+    }
+
+    nextLaunchTime() {
+        return this.servers.reduce((min, server) => server.lifecycle === 'starting' ? Math.min(min, server.readyAt) : min, Infinity);
+    }
+
+    finishLaunches() {
+        this.servers.forEach(server => {
+            if (server.lifecycle === 'starting' && server.readyAt <= this.time) {
+                server.lifecycle = 'active';
+                server.readyAt = null;
+            }
+        });
+        this.updateRotation();
+    }
+
+    // Take a server out of rotation. Its running and queued requests may
+    // finish, then it is removed; whatever is left after the drain timeout
+    // fails. A server still starting is removed right away.
+    removeServer(server) {
+        if (server.lifecycle === 'starting') {
+            server.lifecycle = 'stopped';
+        } else {
+            server.lifecycle = 'draining';
+            server.drainDeadline = this.time + this.drainTimeout;
+        }
+        this.updateRotation();
+        this.removeDrainedServers();
+    }
+
+    setDrainTimeout(timeout) {
+        this.drainTimeout = timeout;
+    }
+
+    nextDrainDeadline() {
+        return this.servers.reduce((min, server) => server.lifecycle === 'draining' ? Math.min(min, server.drainDeadline) : min, Infinity);
+    }
+
+    expireDrains() {
+        this.servers.forEach(server => {
+            if (server.lifecycle !== 'draining' || server.drainDeadline > this.time) return;
+            server.evict().forEach(request => this.fail(request, server, 'drained'));
+        });
+        this.removeDrainedServers();
+    }
+
+    removeDrainedServers() {
+        const remaining = this.servers.filter(server => server.lifecycle === 'active' || server.lifecycle === 'starting' ||
+            server.requests.length > 0 || server.queue.length > 0);
+        if (remaining.length === this.servers.length) return;
+        this.servers = remaining;
+        this.assignPools();
+        this.emit('serversChanged', this.servers);
+    }
+
+    setAutoscalingConfig(config) {
+        this.autoscaler.setConfig(config);
+        if (this.running) this.autoscaler.schedule(this.time);
+    }
+
+    // Let the autoscaler decide, then start or drain servers to match
+    runAutoscaler() {
+        const provisioned = this.servers.filter(server => server.lifecycle === 'active' || server.lifecycle === 'starting');
+        const active = provisioned.filter(server => server.lifecycle === 'active');
+        const current = provisioned.length;
+        const { desired, cpu, reason } = this.autoscaler.evaluate(
+            { current, active: active.length }, this.time, this.time - this.startTime);
+        if (desired === current) return;
+
+        if (desired > current) {
+            for (let i = current; i < desired; i++) this.addServer(this.scaleOutSpec(), this.autoscaler.config.warmup);
+        } else {
+            // Cancel the newest launches first, then drain the least busy servers
+            const candidates = [
+                ...provisioned.filter(server => server.lifecycle === 'starting').reverse(),
+                ...active.sort((a, b) => a.getOutstandingRequests() - b.getOutstandingRequests() || b.id - a.id)
+            ];
+            candidates.slice(0, current - desired).forEach(server => this.removeServer(server));
+        }
+        this.emit('scalingEvent', { time: this.time, from: current, to: desired, cpu, reason });
+    }
+
+    // Spec for the next server the autoscaler launches: it joins the pool
+    // furthest below its share of the fleet and, within that pool, the zone
+    // with the fewest servers, with the capacity of the pool's fleet servers
+    scaleOutSpec() {
+        const provisioned = this.servers.filter(server => server.lifecycle === 'active' || server.lifecycle === 'starting');
+        const poolCount = Math.max(1, this.pools.length);
+        const zoneCount = Math.max(1, this.zones.length);
+        const poolOf = spec => Math.min(spec.pool || 0, poolCount - 1);
+
+        let pool = 0;
+        let lowest = Infinity;
+        for (let i = 0; i < poolCount; i++) {
+            const share = Math.max(1, this.fleet.filter(spec => poolOf(spec) === i).length);
+            const fill = provisioned.filter(server => poolOf(server) === i).length / share;
+            if (fill < lowest) {
+                lowest = fill;
+                pool = i;
+            }
+        }
+
+        const zoneCounts = new Array(zoneCount).fill(0);
+        provisioned.filter(server => poolOf(server) === pool)
+            .forEach(server => zoneCounts[Math.min(server.zone, zoneCount - 1)]++);
+        const zone = zoneCounts.indexOf(Math.min(...zoneCounts));
+
+        const template = [...this.fleet].reverse().find(spec => poolOf(spec) === pool) || DEFAULT_SERVER_SPEC;
+        return { ...template, pool, zone };
+    }
+
+    setQueueConfig(config) {
+        this.queueConfig = { ...this.queueConfig, ...config };
+        this.servers.forEach(server => {
+            server.queueLimit = this.queueConfig.serverQueueSize;
+            // Shrinking a queue drops what no longer fits
+            server.queue.splice(server.queueLimit).forEach(request => this.reject(request, server, 'queueFull'));
+        });
+        this.globalQueue.splice(this.queueConfig.globalQueueSize)
+            .forEach(request => this.reject(request, null, 'queueFull'));
+    }
+
+    // See DEFAULT_ADMISSION_CONFIG
+    setAdmissionConfig(config) {
+        this.admission.setConfig(config);
+    }
+
+    // See DEFAULT_RETRY_CONFIG. Applies to attempts sent from now on; retries
+    // already waiting out their backoff still go.
+    setRetryConfig(config) {
+        this.retryPolicy.setConfig(config);
+    }
+
+    // Average over the servers in rotation of each one's busier resource, in
+    // % of its capacity. Above 100 under processor sharing when CPU is
+    // oversubscribed; 100 when nothing is in rotation.
+    getFleetLoad() {
+        const servers = this.servers.filter(server => server.healthy && server.lifecycle === 'active');
+        if (servers.length === 0) return 100;
+        return servers.reduce((sum, server) => {
+            const utilization = server.getUtilization();
+            return sum + Math.max(utilization.cpu, utilization.memory);
+        }, 0) / servers.length;
+    }
+
+    setLatencyDecay(decay) {
+        this.latencyDecay = decay;
+        this.servers.forEach(server => {
+            server.latencyDecay = decay;
+        });
+    }
+
+    setServiceModel(model) {
+        this.serviceModel = model;
+        this.servers.forEach(server => server.setServiceModel(model, this.time));
+    }
+
+    createRejectionCounts() {
+        return Object.fromEntries(Object.keys(REJECTION_REASONS).map(reason => [reason, 0]));
+    }
+
+    createResourceCounts() {
+        return Object.fromEntries(Object.keys(EXHAUSTED_RESOURCES).map(resource => [resource, 0]));
+    }
+
+    createFailureCounts() {
+        return Object.fromEntries(Object.keys(FAILURE_REASONS).map(reason => [reason, 0]));
+    }
+
+    // { high: { completed, rejected, shed, failed }, normal: ..., low: ... }
+    createPriorityCounts() {
+        return Object.fromEntries(Object.keys(PRIORITIES).map(priority => [
+            priority, Object.fromEntries(PRIORITY_OUTCOMES.map(outcome => [outcome, 0]))
+        ]));
+    }
+
+    setHealthCheckConfig(config) {
+        this.healthChecker.setConfig(config);
+        if (!this.healthChecker.config.enabled) {
+            // Without health checks the load balancer trusts every server again
+            this.servers.forEach(server => {
+                server.healthy = true;
+                server.consecutiveFailures = 0;
+                server.consecutiveSuccesses = 0;
+            });
+            this.updateRotation();
+        }
+        if (this.running) this.healthChecker.schedule(this.time);
+    }
+
+    // Apply a fault to a server now, see FAULT_TYPES
+    injectFault(serverId, fault) {
+        const server = this.servers.find(candidate => candidate.id === serverId);
+        if (!server) return;
+        server.setFault(fault).forEach(request => this.fail(request, server, 'crashed'));
+        this.emit('serverFaultChanged', server);
+    }
+
+    // Apply a fault `at` ms after the run starts; a time already passed applies it now
+    scheduleFault(at, serverId, fault) {
+        const entry = { at, serverId, fault };
+        this.faultSchedule.push(entry);
+        this.pendingFaults.push(entry);
+        this.pendingFaults.sort((a, b) => a.at - b.at);
+    }
+
+    clearScheduledFaults() {
+        this.faultSchedule = [];
+        this.pendingFaults = [];
+    }
+
+    nextScheduledFaultTime() {
+        if (this.startTime === null || this.pendingFaults.length === 0) return Infinity;
+        return Math.max(this.time, this.startTime + this.pendingFaults[0].at);
+    }
+
+    applyScheduledFault() {
+        const { serverId, fault } = this.pendingFaults.shift();
+        this.injectFault(serverId, fault);
+    }
+
+    // See DEFAULT_OUTLIER_CONFIG; turning detection off lets every ejected server back in
+    setOutlierConfig(config) {
+        this.outlierDetector.setConfig(config);
+        if (!this.outlierDetector.config.enabled) {
+            this.servers.forEach(server => {
+                server.ejectedUntil = null;
+                server.ejections = 0;
+                server.consecutiveErrors = 0;
+            });
+            this.updateRotation();
+        }
+        if (this.running) this.outlierDetector.schedule(this.time);
+    }
+
+    // See DEFAULT_CIRCUIT_BREAKER_CONFIG; turning breakers off closes them all
+    setCircuitBreakerConfig(config) {
+        this.breakerConfig = { ...this.breakerConfig, ...config };
+        if (!this.breakerConfig.enabled) this.servers.forEach(server => server.breaker.reset());
+        this.updateRotation();
+    }
+
+    // Tell outlier detection and the server's circuit breaker how a request
+    // went. Rotation is rebuilt before the next decision rather than right
+    // away, as this can happen halfway through routing.
+    observeOutcome(server, request, success) {
+        let changed = false;
+        if (this.outlierDetector.config.enabled &&
+            this.outlierDetector.record(server, success, request.getLatency(), this.servers, this.time)) {
+            this.ejections++;
+            changed = true;
+        }
+        if (this.breakerConfig.enabled && server.breaker.record(request, success, this.time, this.breakerConfig)) {
+            if (server.breaker.state === 'open') this.breakerTrips++;
+            changed = true;
+        }
+        if (!changed) return;
+        this.rotationStale = true;
+        this.emit('serverHealthChanged', server);
+    }
+
+    nextOutlierEventTime() {
+        const sweep = this.running ? this.outlierDetector.nextSweepTime : Infinity;
+        return this.servers.reduce((min, server) => Math.min(min,
+            server.isEjected() ? server.ejectedUntil : Infinity,
+            server.breaker.nextTransitionTime(this.breakerConfig)), sweep);
+    }
+
+    // Sweep for outliers when it's time, let in servers whose ejection is
+    // over and turn open breakers half-open once they have waited long enough
+    updateOutliers() {
+        const changed = new Set();
+        if (this.running && this.outlierDetector.nextSweepTime <= this.time) {
+            const servers = this.servers.filter(server => server.lifecycle !== 'starting');
+            this.outlierDetector.sweep(servers, this.time).forEach(server => {
+                this.ejections++;
+                changed.add(server);
+            });
+        }
+        this.servers.forEach(server => {
+            if (server.isEjected() && server.ejectedUntil <= this.time) {
+                server.ejectedUntil = null;
+                changed.add(server);
+            }
+            if (server.breaker.update(this.time, this.breakerConfig)) changed.add(server);
+        });
+        if (changed.size === 0) return;
+        this.updateRotation();
+        changed.forEach(server => this.emit('serverHealthChanged', server));
+    }
+
+    runHealthChecks() {
+        const changed = this.healthChecker.run(this.servers, this.time, this.faultRandom);
+        if (changed.length === 0) return;
+        this.updateRotation();
+        changed.forEach(server => this.emit('serverHealthChanged', server));
+    }
+
+    // Grow or shrink the fleet in place: new servers (standard ones past the
+    // end of the fleet) join right away, removed ones drain, the newest first.
+    // Everything else, running requests and stats included, carries on.
+    setNumServers(count) {
+        const previousServers = this.rotation.length;
+        const before = this.snapshotClientAffinity();
+
+        const fleet = this.fleet.slice(0, count);
+        while (fleet.length < count) {
+            fleet.push({ ...DEFAULT_SERVER_SPEC });
+        }
+        this.fleet = fleet;
+        this.numServers = count;
+
+        const inService = this.servers.filter(server => server.lifecycle === 'active' || server.lifecycle === 'starting');
+        for (let i = inService.length; i < count; i++) {
+            this.addServer(fleet[i]);
+        }
+        inService.slice(count).reverse().forEach(server => this.removeServer(server));
+        this.reportRemapped(before, previousServers, this.rotation.length);
+    }
+
+    // Replaces every server, e.g. after their specs changed
+    setFleet(fleet) {
+        const previousServers = this.servers.length;
+        const before = this.snapshotClientAffinity();
+
+        this.fleet = fleet;
+        this.numServers = fleet.length;
+        this.initializeServers();
+        this.reportRemapped(before, previousServers, this.numServers);
+    }
+
+    // For affinity-based algorithms, report how many clients now land elsewhere
+    reportRemapped(before, previousServers, servers) {
+        const after = this.snapshotClientAffinity();
+        if (before && after) {
+            let remapped = 0;
+            let total = 0;
+            before.forEach((serverId, i) => {
+                if (serverId === null) return;
+                total++;
+                if (after[i] !== serverId) remapped++;
+            });
+            this.emit('keysRemapped', { previousServers, servers, remapped, total });
+        }
+    }
+
+    // Server id each client maps to (null if unmapped), or null when the
+    // algorithm has no notion of client affinity
+    snapshotClientAffinity() {
+        if (!this.algorithm || !this.algorithm.lookupClient || this.rotation.length === 0) return null;
+        const context = this.createContext();
+        return this.clients.clients.map(client => {
+            const index = this.algorithm.lookupClient(this.rotation, client, context);
+            return index === -1 ? null : this.rotation[index].id;
+        });
+    }
+
+    setRequestTypes(requestTypes) {
+        this.requestTypes = requestTypes;
+    }
+
+    // Pick a request type in proportion to its share of the mix
+    pickRequestType() {
+        const total = this.requestTypes.reduce((sum, type) => sum + type.mix, 0);
+        let point = this.requestRandom() * total;
+        for (const type of this.requestTypes) {
+            point -= type.mix;
+            if (point < 0) return type;
+        }
+        return this.requestTypes[this.requestTypes.length - 1];
+    }
+
+    setClients(clients) {
+        this.clients = new ClientPopulation(clients);
+        this.clients.assignZones(this.zones.map(zone => zone.clientShare));
+    }
+
+    setAlgorithm(algorithm) {
+        this.algorithm = algorithm;
+    }
+
+    // Passed to selectServer. `state` is a scratch object private to this
+    // engine and algorithm, for things like session cookies, cleared on reset.
+    // `owner` keys the per-run state: the front algorithm, or a pool for the
+    // pool's algorithm, so an algorithm used on several balancers keeps their
+    // state apart
+    createContext(owner = this.algorithm) {
+        if (!this.algorithmState.has(owner)) {
+            this.algorithmState.set(owner, {});
+        }
+        return {
+            random: this.algorithmRandom,
+            now: this.time,
+            state: this.algorithmState.get(owner)
+        };
+    }
+
+    // Tell the algorithms that routed a request how it went. With pools the
+    // front algorithm hears about the pool, the pool's about the server.
+    notifyAlgorithms(method, server, request, ...args) {
+        const pool = this.getPool(server);
+        if (pool) {
+            this.algorithm[method](pool, request, ...args, this.createContext());
+            pool.algorithm[method](server, request, ...args, this.createContext(pool));
+        } else {
+            this.algorithm[method](server, request, ...args, this.createContext());
+        }
+    }
+
+    createRequest() {
+        const requestType = this.pickRequestType();
+
+        const request = new Request(
+            this.requestCount++,
+            requestType.cpu,
+            requestType.memory,
+            sampleDuration(requestType.duration, this.requestRandom),
+            this.now()
+        );
+        request.type = requestType;
+        request.priority = requestType.priority || 'normal';
+        request.client = this.clients.sample(this.requestRandom);
+
+        this.retryPolicy.recordRequest(this.time);
+        this.send(request);
+        return request;
+    }
+
+    // A client sends an attempt and waits for the answer up to its timeout
+    send(request) {
+        const timeout = this.retryPolicy.config.timeout;
+        if (timeout > 0) {
+            request.deadline = this.time + timeout;
+            insertByTime(this.clientDeadlines, { at: request.deadline, request });
+        }
+        this.dispatch(request);
+    }
+
+    // After an attempt that didn't work out, schedule the client's next one
+    // if its retry policy and the budget allow; otherwise it gives up
+    retryLater(request, cause) {
+        const policy = this.retryPolicy;
+        if (!policy.allows(request, cause)) {
+            this.gaveUp++;
+            return;
+        }
+        if (!policy.withdraw(this.time)) {
+            this.retriesDenied++;
+            this.gaveUp++;
+            return;
+        }
+        const at = this.time + policy.backoff(request.attempt + 1, this.retryRandom);
+        insertByTime(this.pendingRetries, { at, request });
+    }
+
+    // Send the retries that are due: the same work again, from the same client
+    sendRetries() {
+        while (this.pendingRetries.length > 0 && this.pendingRetries[0].at <= this.time) {
+            const { request } = this.pendingRetries.shift();
+            const retry = new Request(this.requestCount++, request.cpuLoad, request.memoryLoad, request.processingTime, this.time);
+            retry.type = request.type;
+            retry.priority = request.priority;
+            retry.client = request.client;
+            retry.attempt = request.attempt + 1;
+            retry.retryOf = request.attempt === 0 ? request.id : request.retryOf;
+            this.retries++;
+            this.send(retry);
+        }
+    }
+
+    // Earliest client timeout still to come; answered attempts are dropped on the way
+    nextClientTimeout() {
+        const deadlines = this.clientDeadlines;
+        while (deadlines.length > 0 && deadlines[0].request.deadline === null) deadlines.shift();
+        return deadlines.length > 0 ? deadlines[0].at : Infinity;
+    }
+
+    // Clients give up on the attempts they have waited for long enough. A
+    // server has no idea and carries on; only the load balancer's own queue
+    // notices the client is gone.
+    expireClientTimeouts() {
+        while (this.nextClientTimeout() <= this.time) {
+            const { request } = this.clientDeadlines.shift();
+            request.deadline = null;
+            request.timedOut = true;
+            this.clientTimeouts++;
+            const queued = this.globalQueue.indexOf(request);
+            if (queued !== -1) {
+                this.globalQueue.splice(queued, 1);
+                this.admission.release(request);
+            }
+            this.emit('requestTimedOut', request);
+            this.retryLater(request, 'timeout');
+        }
+    }
+
+    // Route a new request; returns the server it was sent to or null
+    dispatch(request) {
+        // Admission control turns requests away before the algorithm sees them
+        if (this.admission.config.shedding) this.admission.observeLoad(this.getFleetLoad(), this.time);
+        const refused = this.admission.admit(request, this.time, this.admissionRandom);
+        if (refused) {
+            this.reject(request, null, refused);
+            return null;
+        }
+
+        // Nobody jumps the load balancer's queue
+        if (this.globalQueue.length > 0) {
+            if (this.globalQueue.length < this.queueConfig.globalQueueSize) {
+                this.queueAtLoadBalancer(request);
+            } else {
+                this.reject(request, null, 'queueFull');
+            }
+            return null;
+        }
+
+        const server = this.route(request);
+        if (server) return server;
+
+        if (this.globalQueue.length < this.queueConfig.globalQueueSize) {
+            this.queueAtLoadBalancer(request);
+            return null;
+        }
+
+        if (this.rotation.length === 0) {
+            this.reject(request, null, 'unavailable');
+            return null;
+        }
+
+        // The selected server can't handle the request, reject it
+        const selected = this.lastSelectedServer;
+        if (this.queueConfig.serverQueueSize > 0 || this.queueConfig.globalQueueSize > 0) {
+            this.reject(request, selected, 'queueFull');
+        } else {
+            this.reject(request, selected, 'capacity', selected.getExhaustedResource(request));
+        }
+        return null;
+    }
+
+    // Ask the algorithm for a server in rotation and start or queue the request
+    // there. Returns the server, or null (without rejecting) if it has no room.
+    route(request) {
+        if (this.rotationStale) this.updateRotation();
+        if (this.rotation.length === 0) return null;
+        const index = this.algorithm.selectServer(this.rotation, this.currentServerIndex, request, this.createContext());
+        let server;
+        if (this.pools.length === 0) {
+            server = this.assign(request, this.rotation[index]);
+        } else {
+            const pool = this.rotation[index];
+            const serverIndex = pool.algorithm.selectServer(pool.rotation, pool.currentIndex, request, this.createContext(pool));
+            server = this.assign(request, pool.rotation[serverIndex]);
+            if (server) pool.currentIndex = (serverIndex + 1) % pool.rotation.length;
+        }
+        if (server) this.currentServerIndex = (index + 1) % this.rotation.length;
+        // A half-open breaker out of trial requests takes its server out of rotation
+        if (server && !server.breaker.allowsRequest(this.breakerConfig)) this.rotationStale = true;
+        return server;
+    }
+
+    // Hand a request to the chosen server; null if it can neither run nor queue it
+    assign(request, server) {
+        this.lastSelectedServer = server;
+
+        // A crashed server the health checks haven't caught yet refuses the connection
+        const crashed = server.isCrashed();
+        const canStart = !crashed && server.queue.length === 0 && server.canHandleRequest(request);
+        if (!crashed && !canStart && !server.canQueueRequest()) return null;
+
+        this.crossZones(request, server);
+        server.breaker.onAssigned(request);
+        this.emit('requestAssigned', request, server);
+        if (crashed) {
+            this.fail(request, server, 'crashed');
+        } else if (canStart) {
+            this.startRequest(request, server);
+        } else {
+            server.enqueue(request, this.time);
+            this.emit('requestQueued', request, server);
+        }
+        return server;
+    }
+
+    // Charge the trip to another zone, if the request has to make one
+    crossZones(request, server) {
+        if (this.zones.length === 0) return;
+        if (this.isCrossZone(request, server)) {
+            request.networkLatency = this.networkConfig.crossZoneLatency;
+            this.crossZoneRequests++;
+        } else {
+            this.localRequests++;
+        }
+    }
+
+    startRequest(request, server) {
+        request.startTime = this.time;
+        server.addRequest(request);
+        this.emit('requestStarted', request, server);
+    }
+
+    queueAtLoadBalancer(request) {
+        request.queuedAt = this.time;
+        this.globalQueue.push(request);
+        this.emit('requestQueued', request, null);
+    }
+
+    // Once a client has timed out on a request, what becomes of it only
+    // counts on the load balancer's and the server's side
+    reject(request, server, reason, resource = null) {
+        if (server) {
+            server.rejectedRequests++;
+            this.releaseTrial(request, server);
+        }
+        this.admission.release(request);
+        if (request.timedOut) return;
+
+        request.deadline = null;
+        this.totalRejectedRequests++;
+        this.rejectionsByReason[reason]++;
+        if (resource) this.rejectionsByResource[resource]++;
+        this.outcomesByPriority[request.priority][reason === 'shed' ? 'shed' : 'rejected']++;
+        this.emit('requestRejected', request, server, reason, resource);
+        this.retryLater(request, 'rejection');
+    }
+
+    fail(request, server, reason) {
+        const waiting = !request.timedOut;
+        if (waiting) {
+            request.deadline = null;
+            this.failedRequests++;
+            this.failuresByReason[reason]++;
+            this.outcomesByPriority[request.priority].failed++;
+        }
+        server.failedRequests++;
+        this.admission.release(request);
+        // Draining is the load balancer's doing, not the server's
+        if (reason === 'drained') {
+            this.releaseTrial(request, server);
+        } else {
+            this.observeOutcome(server, request, false);
+        }
+        this.notifyAlgorithms('onRequestFailed', server, request, reason);
+        if (!waiting) return;
+        this.emit('requestFailed', request, server, reason);
+        this.retryLater(request, 'error');
+    }
+
+    // Without this a half-open breaker would wait forever for the answer to a
+    // trial that timed out in a queue or was drained, and keep its server out
+    releaseTrial(request, server) {
+        if (server.breaker.release(request)) this.rotationStale = true;
+    }
+
+    // Catch the simulation up with the clock. Engines sharing a clock can be
+    // given one reading so they stop at exactly the same time.
+    tick(now = this.clock.now()) {
+        this.advanceTo(now);
+        this.emit('tick', this.time);
+    }
+
+    // Process every arrival, retry, completion, queue or client timeout, fault,
+    // health check and outlier event up to `time`, in order
+    advanceTo(time) {
+        // Every event comes before an infinite or NaN time, so this would never return
+        if (!Number.isFinite(time)) throw new Error(`Cannot advance the simulation to ${time}`);
+        for (;;) {
+            const pending = this.getPendingEventTimes();
+            const next = Math.min(...Object.values(pending));
+            if (next > time) break;
+
+            // Completions win ties so a freed slot is visible to the arrival
+            this.completeRequests(next);
+            if (pending.completion <= next) continue;
+            if (pending.fault <= next) {
+                this.applyScheduledFault();
+            } else if (pending.check <= next) {
+                this.runHealthChecks();
+            } else if (pending.outlier <= next) {
+                this.updateOutliers();
+            } else if (pending.drain <= next) {
+                this.expireDrains();
+            } else if (pending.launch <= next) {
+                this.finishLaunches();
+            } else if (pending.scaling <= next) {
+                this.runAutoscaler();
+            } else if (pending.timeout <= next) {
+                this.expireClientTimeouts();
+            } else if (pending.retry <= next) {
+                this.sendRetries();
+            } else {
+                this.createRequest();
+                this.scheduleNextArrival(next);
+            }
+        }
+        this.completeRequests(time);
+    }
+
+    // Simulated time of the next event of each kind, Infinity when none is due
+    getPendingEventTimes() {
+        return {
+            completion: Math.min(this.nextCompletionTime(), this.nextQueueTimeout()),  // Or a queue timeout
+            fault: this.nextScheduledFaultTime(),
+            check: this.running ? this.healthChecker.nextCheckTime : Infinity,
+            outlier: this.nextOutlierEventTime(),
+            drain: this.nextDrainDeadline(),
+            launch: this.nextLaunchTime(),
+            scaling: this.running ? this.autoscaler.nextEvaluationTime : Infinity,
+            timeout: this.nextClientTimeout(),
+            retry: this.running && this.pendingRetries.length > 0 ? this.pendingRetries[0].at : Infinity,
+            arrival: this.running ? this.nextArrivalTime : Infinity
+        };
+    }
+
+    // When anything happens next, for stepping through a run one event at a time
+    nextEventTime() {
+        return Math.min(...Object.values(this.getPendingEventTimes()));
+    }
+
+    nextCompletionTime() {
+        return this.servers.reduce((min, server) => Math.min(min, server.nextCompletionTime()), Infinity);
+    }
+
+    nextQueueTimeout() {
+        const oldest = [this.globalQueue, ...this.servers.map(server => server.queue)]
+            .reduce((min, queue) => queue.length > 0 ? Math.min(min, queue[0].queuedAt) : min, Infinity);
+        return oldest + this.queueConfig.queueTimeout;
+    }
+
+    completeRequests(time) {
+        this.accumulateBalance(time);
+        this.time = Math.max(this.time, time);
+        this.servers.forEach(server => {
+            server.updateRequests(this.time).forEach(request => {
+                if (server.fault.type === 'flaky' && this.faultRandom() < server.fault.errorRate) {
+                    this.fail(request, server, 'error');
+                    return;
+                }
+                if (request.timedOut) {
+                    // Work nobody is waiting for any more
+                    this.lateAnswers++;
+                } else {
+                    request.deadline = null;
+                    this.completedRequests++;
+                    this.outcomesByPriority[request.priority].completed++;
+                    this.totalResponseTime += request.getLatency();
+                    this.latency.record(request.getLatency());
+                }
+                this.admission.release(request);
+                server.latency.record(request.getLatency());
+                this.observeOutcome(server, request, true);
+                this.notifyAlgorithms('onRequestCompleted', server, request);
+                if (!request.timedOut) this.emit('requestCompleted', request, server);
+            });
+        });
+        this.drainQueues();
+        this.expireQueuedRequests();
+        this.removeDrainedServers();
+    }
+
+    // Freed capacity goes to server queues first, then to the load balancer's queue
+    drainQueues() {
+        this.servers.forEach(server => {
+            server.startQueuedRequests(this.time).forEach(request => {
+                this.emit('requestStarted', request, server);
+            });
+        });
+        while (this.globalQueue.length > 0 && this.route(this.globalQueue[0])) {
+            this.globalQueue.shift();
+        }
+    }
+
+    expireQueuedRequests() {
+        const timeout = this.queueConfig.queueTimeout;
+        this.servers.forEach(server => {
+            server.expireQueuedRequests(this.time, timeout).forEach(request => {
+                this.reject(request, server, 'timeout');
+            });
+        });
+        while (this.globalQueue.length > 0 && this.globalQueue[0].queuedAt + timeout <= this.time) {
+            this.reject(this.globalQueue.shift(), null, 'timeout');
+        }
+    }
+
+    // Integrate the balance scores over simulated time while generating traffic
+    accumulateBalance(time) {
+        const elapsed = time - this.time;
+        if (!this.running || elapsed <= 0) return;
+
+        const loads = this.getLoads();
+        this.balanceTime += elapsed;
+        const active = this.servers.filter(server => server.lifecycle === 'active');
+        if (active.length > 0) {
+            this.autoscaler.observe(active.reduce((sum, server) => sum + server.getUtilization().cpu, 0) / active.length, elapsed);
+        }
+        this.cpuBalanceIntegral += calculateBalanceScore(loads.map(load => load.cpu)) * elapsed;
+        this.memoryBalanceIntegral += calculateBalanceScore(loads.map(load => load.memory)) * elapsed;
+    }
+
+    // Utilization per server, so servers of different sizes compare fairly.
+    // Servers still starting are idle by definition and left out.
+    getLoads() {
+        return this.servers.filter(server => server.lifecycle !== 'starting').map(server => server.getUtilization());
+    }
+
+    getStats() {
+        const loads = this.getLoads();
+        const cpuLoads = loads.map(load => load.cpu);
+        const memoryLoads = loads.map(load => load.memory);
+
+        return {
+            cpu: calculateStats(cpuLoads),
+            memory: calculateStats(memoryLoads),
+            cpuBalance: calculateBalanceScore(cpuLoads),
+            memoryBalance: calculateBalanceScore(memoryLoads),
+            totalRejected: this.totalRejectedRequests
+        };
+    }
+
+    // Whole-run figures used to compare algorithms against each other
+    getSummary() {
+        return {
+            requests: this.requestCount,
+            completed: this.completedRequests,
+            rejected: this.totalRejectedRequests,
+            rejectionsByReason: { ...this.rejectionsByReason },
+            rejectionsByResource: { ...this.rejectionsByResource },
+            failed: this.failedRequests,
+            failuresByReason: { ...this.failuresByReason },
+            ejections: this.ejections,
+            breakerTrips: this.breakerTrips,
+            retries: this.retries,
+            retriesDenied: this.retriesDenied,
+            clientTimeouts: this.clientTimeouts,
+            lateAnswers: this.lateAnswers,
+            gaveUp: this.gaveUp,
+            outcomesByPriority: Object.fromEntries(Object.entries(this.outcomesByPriority)
+                .map(([priority, outcomes]) => [priority, { ...outcomes }])),
+            averageLatency: this.completedRequests === 0 ? 0 : this.totalResponseTime / this.completedRequests,
+            latencyPercentiles: this.latency.getPercentiles(),
+            p99Latency: this.latency.getPercentile(99),
+            cpuBalance: this.balanceTime === 0 ? 100 : this.cpuBalanceIntegral / this.balanceTime,
+            memoryBalance: this.balanceTime === 0 ? 100 : this.memoryBalanceIntegral / this.balanceTime,
+            crossZoneRequests: this.crossZoneRequests,
+            crossZoneShare: this.getCrossZoneShare(),
+            crossZoneCost: this.crossZoneRequests / 1000 * this.networkConfig.crossZoneCost
+        };
+    }
+
+    // % of routed requests that left their client's zone
+    getCrossZoneShare() {
+        const routed = this.localRequests + this.crossZoneRequests;
+        return routed === 0 ? 0 : this.crossZoneRequests / routed * 100;
+    }
+
+    clearRequests() {
+        // Fresh servers, undoing any autoscaling
+        this.initializeServers();
+        this.autoscaler.reset();
+        this.admission.reset();
+        this.retryPolicy.reset();
+        this.clientDeadlines = [];
+        this.pendingRetries = [];
+        this.globalQueue = [];
+        this.startTime = null;
+        this.pendingFaults = [...this.faultSchedule].sort((a, b) => a.at - b.at);  // Replayed on the next run
+
+        // Reset counters
+        this.requestCount = 0;
+        this.totalRejectedRequests = 0;
+        this.rejectionsByReason = this.createRejectionCounts();
+        this.rejectionsByResource = this.createResourceCounts();
+        this.failedRequests = 0;
+        this.failuresByReason = this.createFailureCounts();
+        this.outcomesByPriority = this.createPriorityCounts();
+        this.ejections = 0;
+        this.breakerTrips = 0;
+        this.localRequests = 0;
+        this.crossZoneRequests = 0;
+        this.retries = 0;
+        this.retriesDenied = 0;
+        this.clientTimeouts = 0;
+        this.lateAnswers = 0;
+        this.gaveUp = 0;
+        this.completedRequests = 0;
+        this.totalResponseTime = 0;
+        this.latency.reset();
+        this.balanceTime = 0;
+        this.cpuBalanceIntegral = 0;
+        this.memoryBalanceIntegral = 0;
+        this.algorithmState = new WeakMap();
+        this.emit('reset');
+    }
+}
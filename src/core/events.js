@@ -0,0 +1,27 @@
+// File: src/core/events.js
+
+// Minimal synchronous event emitter shared by the engine and its renderers
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);  // Unsubscribe handle
+    }
+
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) listeners.delete(listener);
+    }
+
+    emit(event, ...args) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+        [...listeners].forEach(listener => listener(...args));
+    }
+}
@@ -0,0 +1,22 @@
+// File: src/core/hashing.js
+
+// 32-bit string hash (murmur3) with good avalanche, for hash-based balancing
+export function hashString(text, seed = 0) {
+    let h = seed >>> 0;
+    for (let i = 0; i < text.length; i++) {
+        let k = text.charCodeAt(i);
+        k = Math.imul(k, 0xcc9e2d51);
+        k = (k << 15) | (k >>> 17);
+        k = Math.imul(k, 0x1b873593);
+        h ^= k;
+        h = (h << 13) | (h >>> 19);
+        h = (Math.imul(h, 5) + 0xe6546b64) >>> 0;
+    }
+    h ^= text.length;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
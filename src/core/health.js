@@ -0,0 +1,74 @@
+// File: src/core/health.js
+
+// Faults that can be injected into a server
+export const FAULT_TYPES = {
+    none: 'Healthy',
+    crash: 'Crashed',   // Drops everything in flight and refuses new requests
+    slow: 'Slow',       // Processes requests `slowdown` times slower
+    flaky: 'Flaky'      // Answers a share (`errorRate`) of requests with an error
+};
+
+export const DEFAULT_FAULT = { type: 'none', slowdown: 10, errorRate: 0.3 };
+
+// Active health checking done by the load balancer
+export const DEFAULT_HEALTH_CHECK_CONFIG = {
+    enabled: true,
+    interval: 1000,          // ms between probes of each server
+    timeout: 100,            // ms a probe may take before it counts as failed
+    unhealthyThreshold: 3,   // Consecutive failed probes before a server leaves rotation
+    healthyThreshold: 2      // Consecutive passed probes before it comes back
+};
+
+// Time a standard server takes to answer a probe
+const PROBE_TIME = 20;
+
+// Probes every server on a fixed interval and moves servers in and out of
+// rotation once they pass or fail enough probes in a row. A probe's outcome
+// is applied when it is sent; its own latency only decides whether it passes.
+export class HealthChecker {
+    constructor(config = DEFAULT_HEALTH_CHECK_CONFIG) {
+        this.config = { ...config };
+        this.nextCheckTime = Infinity;
+    }
+
+    setConfig(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    // First probes go out one interval after `now`
+    schedule(now) {
+        this.nextCheckTime = this.config.enabled ? now + this.config.interval : Infinity;
+    }
+
+    probe(server, random) {
+        switch (server.fault.type) {
+            case 'crash': return false;
+            case 'slow': return PROBE_TIME * server.fault.slowdown / server.speed <= this.config.timeout;
+            case 'flaky': return random() >= server.fault.errorRate;
+            default: return PROBE_TIME / server.speed <= this.config.timeout;
+        }
+    }
+
+    // Probe all servers; returns the ones that entered or left rotation
+    run(servers, now, random) {
+        this.nextCheckTime = now + this.config.interval;
+        return servers.filter(server => {
+            if (this.probe(server, random)) {
+                server.consecutiveFailures = 0;
+                server.consecutiveSuccesses++;
+                if (!server.healthy && server.consecutiveSuccesses >= this.config.healthyThreshold) {
+                    server.healthy = true;
+                    return true;
+                }
+            } else {
+                server.consecutiveSuccesses = 0;
+                server.consecutiveFailures++;
+                if (server.healthy && server.consecutiveFailures >= this.config.unhealthyThreshold) {
+                    server.healthy = false;
+                    return true;
+                }
+            }
+            return false;
+        });
+    }
+}
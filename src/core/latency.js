@@ -0,0 +1,102 @@
+// File: src/core/latency.js
+
+// Log-scale buckets: 50 per decade keeps percentiles within about 2.5%
+// while a whole run's latencies fit in a few hundred counters.
+const BUCKETS_PER_DECADE = 50;
+const MIN_LATENCY = 1;  // ms, lower edge of the first bucket
+
+export const REPORTED_PERCENTILES = [50, 90, 99, 99.9];
+
+function bucketIndex(latency) {
+    return Math.max(0, Math.floor(Math.log10(latency / MIN_LATENCY) * BUCKETS_PER_DECADE));
+}
+
+function bucketLowerBound(index) {
+    return MIN_LATENCY * Math.pow(10, index / BUCKETS_PER_DECADE);
+}
+
+// Records every latency it is given into log-scale buckets
+export class LatencyHistogram {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.counts = [];
+        this.count = 0;
+        this.sum = 0;
+        this.min = Infinity;
+        this.max = 0;
+    }
+
+    record(latency) {
+        const index = bucketIndex(latency);
+        while (this.counts.length <= index) this.counts.push(0);
+        this.counts[index]++;
+        this.count++;
+        this.sum += latency;
+        this.min = Math.min(this.min, latency);
+        this.max = Math.max(this.max, latency);
+    }
+
+    getMean() {
+        return this.count === 0 ? 0 : this.sum / this.count;
+    }
+
+    // Latency below which `percentile`% of the recorded ones fall, 0 when empty
+    getPercentile(percentile) {
+        if (this.count === 0) return 0;
+        const rank = Math.ceil(percentile / 100 * this.count);
+        let seen = 0;
+        for (let i = 0; i < this.counts.length; i++) {
+            seen += this.counts[i];
+            if (seen >= rank) {
+                // Middle of the bucket (geometrically), but never outside what was seen
+                const estimate = Math.sqrt(bucketLowerBound(i) * bucketLowerBound(i + 1));
+                return Math.min(this.max, Math.max(this.min, estimate));
+            }
+        }
+        return this.max;
+    }
+
+    // { 50: ms, 90: ms, ... } for REPORTED_PERCENTILES
+    getPercentiles() {
+        return Object.fromEntries(REPORTED_PERCENTILES.map(p => [p, this.getPercentile(p)]));
+    }
+
+    // Histogram with coarser bins for display: [{ from, to, count }]
+    getBins(binsPerDecade = 5) {
+        const step = BUCKETS_PER_DECADE / binsPerDecade;
+        const bins = [];
+        for (let start = 0; start < this.counts.length; start += step) {
+            let count = 0;
+            for (let i = start; i < Math.min(start + step, this.counts.length); i++) count += this.counts[i];
+            bins.push({ from: bucketLowerBound(start), to: bucketLowerBound(start + step), count });
+        }
+        // Drop the empty bins below the fastest request
+        while (bins.length > 0 && bins[0].count === 0) bins.shift();
+        return bins;
+    }
+
+    clone() {
+        const copy = new LatencyHistogram();
+        Object.assign(copy, this, { counts: [...this.counts] });
+        return copy;
+    }
+
+    // Latencies recorded since `earlier`, a clone of this histogram taken before.
+    // Min and max are approximated by the bucket edges.
+    since(earlier) {
+        const delta = new LatencyHistogram();
+        delta.counts = this.counts.map((count, i) => count - (earlier.counts[i] || 0));
+        delta.count = this.count - earlier.count;
+        delta.sum = this.sum - earlier.sum;
+        const first = delta.counts.findIndex(count => count > 0);
+        if (first !== -1) {
+            const last = delta.counts.length - 1 - [...delta.counts].reverse().findIndex(count => count > 0);
+            delta.min = bucketLowerBound(first);
+            delta.max = Math.min(this.max, bucketLowerBound(last + 1));
+        }
+        return delta;
+    }
+}
@@ -0,0 +1,198 @@
+// File: src/core/outliers.js
+
+// Passive outlier detection, after Envoy's: instead of probing, the load
+// balancer watches the answers servers give to real traffic and ejects the
+// ones that stand out. Off by default.
+export const DEFAULT_OUTLIER_CONFIG = {
+    enabled: false,
+    consecutiveErrors: 5,       // Errors in a row that eject a server at once, 0 = off
+    interval: 10000,            // ms between sweeps for success rate and latency outliers
+    successRateFactor: 1.9,     // Eject below mean - factor × stdev of the success rates, 0 = off
+    latencyFactor: 3,           // Eject above factor × the median average latency, 0 = off
+    minimumHosts: 3,            // Servers with enough requests a sweep needs to compare them
+    requestVolume: 20,          // Answers in an interval a server needs to be compared
+    baseEjectionTime: 30000,    // ms, times the number of times the server has been ejected
+    maxEjectionTime: 300000,    // ms an ejection lasts at most
+    maxEjectionPercent: 10      // Share of the fleet that may be ejected at once; one server always may
+};
+
+// Per-server circuit breakers, independent of outlier detection. Off by default.
+export const DEFAULT_CIRCUIT_BREAKER_CONFIG = {
+    enabled: false,
+    failureThreshold: 50,   // % of errors among the last `windowSize` answers that opens the breaker
+    windowSize: 20,         // Answers the error rate is taken over
+    minimumRequests: 10,    // Answers needed before the breaker may open
+    openDuration: 5000,     // ms the breaker stays open before trying again
+    halfOpenRequests: 3     // Trial requests let through half-open; all must succeed to close
+};
+
+export const BREAKER_STATES = {
+    closed: 'Closed',       // Requests flow
+    open: 'Open',           // No requests until openDuration has passed
+    halfOpen: 'Half-open'   // A few trial requests decide whether to close or open again
+};
+
+// Closed / open / half-open breaker of one server. The config is passed in
+// so changes apply to every breaker at once.
+export class CircuitBreaker {
+    constructor() {
+        this.state = 'closed';
+        this.outcomes = [];              // Last answers while closed, true for success
+        this.openedAt = null;
+        this.trials = new Set();         // Requests let through while half-open
+        this.trialSuccesses = 0;
+    }
+
+    // Whether the server may get another request
+    allowsRequest(config) {
+        if (!config.enabled || this.state === 'closed') return true;
+        return this.state === 'halfOpen' && this.trials.size < config.halfOpenRequests;
+    }
+
+    // Simulated time an open breaker turns half-open, Infinity otherwise
+    nextTransitionTime(config) {
+        return config.enabled && this.state === 'open' ? this.openedAt + config.openDuration : Infinity;
+    }
+
+    // Turn half-open once the open time is up; returns whether it did
+    update(now, config) {
+        if (this.nextTransitionTime(config) > now) return false;
+        this.state = 'halfOpen';
+        this.trials.clear();
+        this.trialSuccesses = 0;
+        return true;
+    }
+
+    // A request was sent to the server
+    onAssigned(request) {
+        if (this.state === 'halfOpen') this.trials.add(request);
+    }
+
+    // A trial request that ended without an answer (turned away from the
+    // server's queue, or given up on by the load balancer) frees its slot for
+    // another one; returns whether it was a trial
+    release(request) {
+        return this.trials.delete(request);
+    }
+
+    // An answer from the server; returns whether the state changed. Half-open
+    // only the trial requests count, answers to older ones are ignored.
+    record(request, success, now, config) {
+        if (this.state === 'open') return false;
+        if (this.state === 'halfOpen') {
+            if (!this.trials.has(request)) return false;
+            if (!success) {
+                this.open(now);
+                return true;
+            }
+            if (++this.trialSuccesses < config.halfOpenRequests) return false;
+            this.reset();
+            return true;
+        }
+
+        this.outcomes.push(success);
+        if (this.outcomes.length > config.windowSize) this.outcomes.shift();
+        const errors = this.outcomes.filter(outcome => !outcome).length;
+        if (this.outcomes.length < config.minimumRequests || errors / this.outcomes.length * 100 < config.failureThreshold) {
+            return false;
+        }
+        this.open(now);
+        return true;
+    }
+
+    open(now) {
+        this.state = 'open';
+        this.openedAt = now;
+        this.outcomes = [];
+    }
+
+    reset() {
+        this.state = 'closed';
+        this.outcomes = [];
+        this.openedAt = null;
+        this.trials.clear();
+        this.trialSuccesses = 0;
+    }
+}
+
+// Watches answers per server and ejects outliers for a while: right away
+// after enough errors in a row, and on every sweep the servers whose success
+// rate or latency over the last interval is far off the rest. Each ejection
+// lasts longer than the one before; every clean interval takes one step of
+// that back. Ejection state lives on the servers (ejectedUntil, ejections).
+export class OutlierDetector {
+    constructor(config = DEFAULT_OUTLIER_CONFIG) {
+        this.config = { ...config };
+        this.nextSweepTime = Infinity;
+    }
+
+    setConfig(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    // First sweep one interval after `now`
+    schedule(now) {
+        this.nextSweepTime = this.config.enabled ? now + this.config.interval : Infinity;
+    }
+
+    // An answer from `server`, one of `servers`; returns whether it got ejected
+    record(server, success, latency, servers, now) {
+        const stats = server.outlierStats;
+        if (success) {
+            stats.successes++;
+            stats.latency += latency;
+            server.consecutiveErrors = 0;
+            return false;
+        }
+        stats.errors++;
+        server.consecutiveErrors++;
+        const limit = this.config.consecutiveErrors;
+        return limit > 0 && server.consecutiveErrors >= limit && this.eject(server, servers, now);
+    }
+
+    eject(server, servers, now) {
+        const ejected = servers.filter(other => other.isEjected()).length;
+        const allowed = Math.max(1, Math.floor(servers.length * this.config.maxEjectionPercent / 100));
+        if (server.isEjected() || ejected >= allowed) return false;
+
+        server.ejections++;
+        server.ejectedUntil = now + Math.min(this.config.maxEjectionTime, this.config.baseEjectionTime * server.ejections);
+        server.consecutiveErrors = 0;
+        return true;
+    }
+
+    // Compare the servers that had enough traffic since the last sweep and
+    // eject the outliers, then start a new interval. Returns the servers ejected.
+    sweep(servers, now) {
+        this.nextSweepTime = now + this.config.interval;
+        const { minimumHosts, requestVolume, successRateFactor, latencyFactor } = this.config;
+        const answers = server => server.outlierStats.successes + server.outlierStats.errors;
+        const candidates = servers.filter(server => !server.isEjected() && answers(server) >= requestVolume);
+
+        const outliers = new Set();
+        if (candidates.length >= minimumHosts && successRateFactor > 0) {
+            const rates = candidates.map(server => server.outlierStats.successes / answers(server));
+            const mean = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+            const stdev = Math.sqrt(rates.reduce((sum, rate) => sum + (rate - mean) ** 2, 0) / rates.length);
+            candidates.forEach((server, i) => {
+                if (rates[i] < mean - successRateFactor * stdev) outliers.add(server);
+            });
+        }
+        const answered = candidates.filter(server => server.outlierStats.successes > 0);
+        if (answered.length >= minimumHosts && latencyFactor > 0) {
+            const averages = answered.map(server => server.outlierStats.latency / server.outlierStats.successes);
+            const sorted = [...averages].sort((a, b) => a - b);
+            const middle = sorted.length >> 1;
+            const median = sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+            answered.forEach((server, i) => {
+                if (averages[i] > latencyFactor * median) outliers.add(server);
+            });
+        }
+
+        servers.forEach(server => {
+            if (!server.isEjected() && !outliers.has(server) && server.ejections > 0) server.ejections--;
+            server.outlierStats = { successes: 0, errors: 0, latency: 0 };
+        });
+        return [...outliers].filter(server => this.eject(server, servers, now));
+    }
+}
@@ -0,0 +1,227 @@
+// File: src/core/plugins.js
+import { LoadBalancerAlgorithm, RoundRobinAlgorithm, algorithms } from './algorithms.js';
+import { ManualClock } from './clock.js';
+import { SimulationEngine } from './engine.js';
+
+// Custom algorithms are registered from a definition object:
+//
+//   registerAlgorithm({
+//       name: 'Least CPU',
+//       options: [                      // Optional, same fields as optionSchema
+//           { key: 'slack', label: 'Slack (%)', type: 'number', default: 5, min: 0, max: 50, step: 1 }
+//       ],
+//       selectServer(servers, currentIndex, request, context) {
+//           // Return the index of the chosen server in `servers`
+//       },
+//       onRequestCompleted(server, request, context) {},     // Optional
+//       onRequestFailed(server, request, reason, context) {}  // Optional
+//   });
+//
+// `servers`, `server` and `request` are frozen snapshots, see describeServer()
+// and describeRequest(). Inside the functions `this.options` holds the option
+// values, and `context` is what built-in algorithms get: a seeded random(),
+// the simulated time and a per-run state object.
+//
+// A definition that throws or returns something other than a server index
+// doesn't stop the simulation: that request is routed round robin instead and
+// the error is counted in errorCount / lastError.
+
+// Snapshot of a server for plugin code; cpu and memory are % in use
+function describeServer(server, request = null) {
+    const utilization = server.getUtilization();
+    return Object.freeze({
+        id: server.id,
+        cpu: utilization.cpu,
+        memory: utilization.memory,
+        maxCpu: server.maxCpu,
+        maxMemory: server.maxMemory,
+        speed: server.speed,
+        weight: server.weight,
+        zone: server.zone,
+        activeRequests: server.requests.length,
+        queuedRequests: server.queue.length,
+        averageResponseTime: server.getAverageResponseTime(),
+        latencyEwma: server.latencyEwma,
+        peakLatencyEwma: server.peakLatencyEwma,
+        completedRequests: server.completedRequests,
+        failedRequests: server.failedRequests,
+        canHandleRequest: request ? server.canHandleRequest(request) : null
+    });
+}
+
+// Snapshot of a request; latency is only known once it has completed
+function describeRequest(request, completed = false) {
+    return Object.freeze({
+        id: request.id,
+        type: request.type ? request.type.name : null,
+        cpu: request.cpuLoad,
+        memory: request.memoryLoad,
+        priority: request.priority,
+        attempt: request.attempt,
+        client: request.client ? Object.freeze({ ...request.client }) : null,
+        arrivalTime: request.arrivalTime,
+        latency: completed ? request.getLatency() : null
+    });
+}
+
+const fallback = new RoundRobinAlgorithm();
+
+export class PluginAlgorithm extends LoadBalancerAlgorithm {
+    constructor(definition, source = null) {
+        super();
+        this.definition = definition;
+        this.source = source;   // Code it was compiled from, if any
+        this.errorCount = 0;
+        this.lastError = null;
+    }
+
+    selectServer(servers, currentIndex, request, context) {
+        const snapshots = servers.map(server => describeServer(server, request));
+        try {
+            const index = this.definition.selectServer.call(this, snapshots, currentIndex, describeRequest(request), context);
+            if (Number.isInteger(index) && index >= 0 && index < servers.length) return index;
+            throw new Error(`selectServer returned ${String(index)}, not an index between 0 and ${servers.length - 1}`);
+        } catch (error) {
+            this.recordError(error);
+            return fallback.selectServer(servers, currentIndex, request);
+        }
+    }
+
+    onRequestCompleted(server, request, context) {
+        if (this.definition.onRequestCompleted) {
+            this.call('onRequestCompleted', describeServer(server), describeRequest(request, true), context);
+        }
+    }
+
+    onRequestFailed(server, request, reason, context) {
+        if (this.definition.onRequestFailed) {
+            this.call('onRequestFailed', describeServer(server), describeRequest(request), reason, context);
+        }
+    }
+
+    // Run one of the definition's hooks, catching whatever it throws
+    call(method, ...args) {
+        try {
+            this.definition[method].apply(this, args);
+        } catch (error) {
+            this.recordError(error);
+        }
+    }
+
+    recordError(error) {
+        this.errorCount++;
+        this.lastError = error instanceof Error ? error.message : String(error);
+    }
+
+    clearErrors() {
+        this.errorCount = 0;
+        this.lastError = null;
+    }
+}
+
+const OPTION_TYPES = ['number', 'select'];
+
+// Throws an Error saying what is wrong with a definition
+export function validateDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new Error('The code must return an object with name and selectServer');
+    }
+    if (typeof definition.name !== 'string' || !definition.name.trim()) {
+        throw new Error('name must be a non-empty string');
+    }
+    if (typeof definition.selectServer !== 'function') {
+        throw new Error('selectServer must be a function');
+    }
+    ['onRequestCompleted', 'onRequestFailed'].forEach(hook => {
+        if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+            throw new Error(`${hook} must be a function if given`);
+        }
+    });
+
+    const options = definition.options || [];
+    if (!Array.isArray(options)) throw new Error('options must be an array');
+    options.forEach((field, i) => {
+        if (!field || typeof field.key !== 'string') throw new Error(`options[${i}] needs a key`);
+        if (!OPTION_TYPES.includes(field.type)) throw new Error(`Option ${field.key}: type must be 'number' or 'select'`);
+        if (field.type === 'number' && typeof field.default !== 'number') {
+            throw new Error(`Option ${field.key}: default must be a number`);
+        }
+        if (field.type === 'select' && (!Array.isArray(field.choices) || !field.choices.some(choice => choice.value === field.default))) {
+            throw new Error(`Option ${field.key}: choices must be a list of { value, label } including the default`);
+        }
+    });
+}
+
+// Algorithm instance for a definition, with its options as optionSchema
+export function createPluginAlgorithm(definition, source = null) {
+    validateDefinition(definition);
+    const schema = (definition.options || []).map(field => ({ label: field.key, ...field }));
+    class Plugin extends PluginAlgorithm {
+        static optionSchema = schema;
+    }
+    return new Plugin(definition, source);
+}
+
+// Turn pasted code into a definition. The code is a function body ending in
+// `return { name, selectServer, ... }`, so it can declare helpers first.
+// It runs with the page's privileges: this guards against mistakes, not
+// against malicious code, and an endless loop still hangs the page.
+export function compileDefinition(source) {
+    try {
+        return new Function(`'use strict';\n${source}`)();
+    } catch (error) {
+        throw new Error(`The code doesn't run: ${error.message}`);
+    }
+}
+
+// Route some requests through a small fleet with a crashed server, so a
+// definition that fails straight away is caught before it is registered
+export function trialRun(algorithm) {
+    const clock = new ManualClock();
+    const engine = new SimulationEngine({
+        algorithm,
+        clock,
+        seed: 'plugin-trial',
+        fleet: [{ cpu: 100, memory: 100, speed: 1, weight: 1 }, { cpu: 200, memory: 200, speed: 2, weight: 2 }, { cpu: 50, memory: 50, speed: 0.5, weight: 1 }]
+    });
+    engine.injectFault(2, { type: 'crash' });
+    for (let i = 0; i < 200; i++) {
+        engine.createRequest();
+        clock.advance(20);
+        engine.tick();
+    }
+    clock.advance(60000);
+    engine.tick();
+
+    const { errorCount, lastError } = algorithm;
+    algorithm.clearErrors();
+    if (errorCount > 0) {
+        throw new Error(`Failed ${errorCount} times in a test run, last: ${lastError}`);
+    }
+}
+
+// Check a definition, try it out and add it to `algorithms`; registering a
+// name again replaces the earlier version. Returns the algorithm.
+export function registerAlgorithm(definition, source = null) {
+    const algorithm = createPluginAlgorithm(definition, source);
+    const name = definition.name.trim();
+    if (Object.hasOwn(algorithms, name) && !(algorithms[name] instanceof PluginAlgorithm)) {
+        throw new Error(`"${name}" is a built-in algorithm, pick another name`);
+    }
+    trialRun(algorithm);
+    algorithms[name] = algorithm;
+    return algorithm;
+}
+
+// Same from pasted code, see compileDefinition()
+export function registerAlgorithmSource(source) {
+    return registerAlgorithm(compileDefinition(source), source);
+}
+
+export function unregisterAlgorithm(name) {
+    if (algorithms[name] instanceof PluginAlgorithm) delete algorithms[name];
+}
+
+export function getPluginAlgorithms() {
+    return Object.entries(algorithms).filter(([, algorithm]) => algorithm instanceof PluginAlgorithm);
+}
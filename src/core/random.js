@@ -0,0 +1,29 @@
+// File: src/core/random.js
+
+// Hash a string or number seed into a 32-bit unsigned integer (FNV-1a)
+export function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Seedable PRNG (mulberry32). Returns a function behaving like Math.random()
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Fresh seed for runs where the user didn't pick one
+export function randomSeed() {
+    return String(Math.floor(Math.random() * 1000000));
+}
@@ -0,0 +1,221 @@
+// File: src/core/recorder.js
+
+// Simulated ms between time series samples
+const SAMPLE_INTERVAL = 1000;
+
+// Attempts kept in the request log; older ones are dropped as new ones arrive
+// so a long run's log stays a few tens of MB at most
+export const MAX_LOGGED_REQUESTS = 100000;
+
+const REQUEST_COLUMNS = ['id', 'attempt', 'retryOf', 'type', 'priority', 'client', 'arrival', 'pool', 'server', 'network', 'start', 'finish', 'latency', 'outcome', 'reason', 'resource'];
+
+// Records one engine's run for export: a log line per request and a time
+// series sampled every second. Times are ms since the run started. Starts
+// with the run and clears itself when the engine is reset. The log keeps the
+// latest maxRequests attempts and counts the ones it dropped.
+export class RunRecorder {
+    constructor(engine, maxRequests = MAX_LOGGED_REQUESTS) {
+        this.engine = engine;
+        this.maxRequests = maxRequests;
+        this.reset();
+
+        this.unsubscribers = [
+            engine.on('requestAssigned', (request, server) => {
+                const entry = this.getEntry(request);
+                if (!entry) return;
+                const pool = engine.getPool(server);
+                entry.pool = pool ? pool.name : null;
+                entry.server = server.id;
+                entry.network = request.networkLatency;  // ms spent crossing zones
+            }),
+            engine.on('requestQueued', request => this.getEntry(request)),
+            engine.on('requestStarted', request => {
+                const entry = this.getEntry(request);
+                if (entry) entry.start = this.elapsed(request.startTime);
+            }),
+            engine.on('requestCompleted', request => this.finish(request, 'completed', null)),
+            engine.on('requestRejected', (request, server, reason, resource) => {
+                const entry = this.finish(request, 'rejected', reason);
+                if (entry) entry.resource = resource;  // What a full server ran out of
+            }),
+            engine.on('requestFailed', (request, server, reason) => this.finish(request, 'failed', reason)),
+            engine.on('requestTimedOut', request => this.finish(request, 'timed out', null)),
+            engine.on('scalingEvent', ({ time, ...event }) => {
+                this.scalingEvents.push({ time: this.elapsed(time), ...event });
+            }),
+            engine.on('tick', now => this.sample(now)),
+            engine.on('reset', () => this.reset())
+        ];
+    }
+
+    reset() {
+        this.requests = new Map();  // Request id -> log entry, in arrival order
+        this.droppedRequests = 0;
+        this.firstLoggedId = 0;     // Entries below this id were dropped
+        this.samples = [];
+        this.scalingEvents = [];
+        this.nextSampleTime = null;
+        this.lastTotals = null;
+    }
+
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    elapsed(time) {
+        return time - this.engine.startTime;
+    }
+
+    // The request's log entry, created on first sight; null once it was dropped
+    getEntry(request) {
+        let entry = this.requests.get(request.id);
+        if (!entry) {
+            if (request.id < this.firstLoggedId) return null;
+            entry = {
+                id: request.id,
+                attempt: request.attempt,     // 0 for the first try, then 1, 2, ... for retries
+                retryOf: request.retryOf,     // Id of the first attempt
+                type: request.type ? request.type.name : null,
+                priority: request.priority,
+                client: request.client ? request.client.id : null,
+                arrival: this.elapsed(request.arrivalTime),
+                pool: null,
+                server: null,
+                network: null,
+                start: null,
+                finish: null,
+                latency: null,
+                outcome: 'in flight',
+                reason: null,
+                resource: null
+            };
+            this.requests.set(request.id, entry);
+            if (this.requests.size > this.maxRequests) this.dropOldest();
+        }
+        return entry;
+    }
+
+    dropOldest() {
+        const [oldestId] = this.requests.keys();
+        this.requests.delete(oldestId);
+        this.droppedRequests++;
+        this.firstLoggedId = Math.max(this.firstLoggedId, oldestId + 1);
+    }
+
+    finish(request, outcome, reason) {
+        const entry = this.getEntry(request);
+        if (!entry) return null;
+        entry.finish = this.elapsed(this.engine.now());
+        if (outcome === 'completed') entry.latency = request.getLatency();
+        entry.outcome = outcome;
+        entry.reason = reason;
+        return entry;
+    }
+
+    // Take one sample per simulated second while the run is going
+    sample(now) {
+        if (this.engine.startTime === null) return;
+        if (this.nextSampleTime === null) {
+            // The first tick has already handled its arrivals, so the first
+            // sample counts from zero rather than from now
+            this.nextSampleTime = this.engine.startTime + SAMPLE_INTERVAL;
+            this.lastTotals = { requests: 0, completed: 0, rejected: 0, shed: 0, failed: 0, retries: 0, timedOut: 0 };
+        }
+        if (!this.engine.running) return;
+
+        while (now >= this.nextSampleTime) {
+            const totals = this.getTotals();
+            const stats = this.engine.getStats();
+            this.samples.push({
+                time: this.elapsed(this.nextSampleTime) / 1000,
+                arrived: totals.requests - this.lastTotals.requests,
+                completed: totals.completed - this.lastTotals.completed,
+                rejected: totals.rejected - this.lastTotals.rejected,
+                shed: totals.shed - this.lastTotals.shed,
+                failed: totals.failed - this.lastTotals.failed,
+                retries: totals.retries - this.lastTotals.retries,
+                timedOut: totals.timedOut - this.lastTotals.timedOut,
+                cpuBalance: stats.cpuBalance,
+                memoryBalance: stats.memoryBalance,
+                servers: this.engine.servers.map(server => {
+                    const utilization = server.getUtilization();
+                    return {
+                        id: server.id,
+                        cpu: utilization.cpu,
+                        memory: utilization.memory,
+                        requests: server.requests.length,
+                        queued: server.queue.length,
+                        healthy: server.healthy
+                    };
+                })
+            });
+            this.lastTotals = totals;
+            this.nextSampleTime += SAMPLE_INTERVAL;
+        }
+    }
+
+    getTotals() {
+        const engine = this.engine;
+        return {
+            requests: engine.requestCount,
+            completed: engine.completedRequests,
+            rejected: engine.totalRejectedRequests,
+            shed: engine.rejectionsByReason.shed,
+            failed: engine.failedRequests,
+            retries: engine.retries,
+            timedOut: engine.clientTimeouts
+        };
+    }
+
+    toJSON() {
+        return {
+            summary: this.engine.getSummary(),
+            droppedRequests: this.droppedRequests,  // Oldest attempts left out of requests
+            requests: [...this.requests.values()],
+            timeseries: this.samples,
+            scalingEvents: this.scalingEvents
+        };
+    }
+
+    // Rows for requestsToCSV(), with any extra leading columns
+    getRequestRows(extra = {}) {
+        return [...this.requests.values()].map(entry => ({ ...extra, ...entry }));
+    }
+
+    // Flattened rows, one column group per server: server1_cpu, server1_memory, ...
+    getTimeseriesRows(extra = {}) {
+        return this.samples.map(({ servers, ...sample }) => {
+            const row = { ...extra, ...sample };
+            servers.forEach(server => {
+                const prefix = `server${server.id + 1}_`;
+                row[`${prefix}cpu`] = server.cpu;
+                row[`${prefix}memory`] = server.memory;
+                row[`${prefix}requests`] = server.requests;
+                row[`${prefix}queued`] = server.queued;
+                row[`${prefix}healthy`] = server.healthy;
+            });
+            return row;
+        });
+    }
+}
+
+// CSV with a header row; the columns are the union of every row's keys
+export function toCSV(rows, columns = null) {
+    if (!columns) {
+        const seen = new Set();
+        rows.forEach(row => Object.keys(row).forEach(key => seen.add(key)));
+        columns = [...seen];
+    }
+    const escape = value => {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'number' ? String(Math.round(value * 1000) / 1000) : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = rows.map(row => columns.map(column => escape(row[column])).join(','));
+    return [columns.join(','), ...lines].join('\n') + '\n';
+}
+
+export function requestsToCSV(rows) {
+    const columns = [...Object.keys(rows[0] || {}).filter(key => !REQUEST_COLUMNS.includes(key)), ...REQUEST_COLUMNS];
+    return toCSV(rows, columns);
+}
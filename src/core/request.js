@@ -0,0 +1,42 @@
+// File: src/core/request.js
+
+export class Request {
+    constructor(id, cpuLoad, memoryLoad, processingTime, startTime = 0) {
+        this.id = id;
+        this.cpuLoad = cpuLoad;        // 0-100%
+        this.memoryLoad = memoryLoad;   // 0-100%
+        this.processingTime = processingTime;  // milliseconds on a speed 1 server
+        this.serviceTime = processingTime;     // milliseconds on the server it was assigned to
+        this.remainingWork = null;      // ms of full-speed processing left, under processor sharing
+        this.arrivalTime = startTime;   // simulation time the request reached the load balancer
+        this.startTime = startTime;     // simulation time processing started, after any queueing
+        this.queuedAt = null;           // simulation time it entered its current queue
+        this.type = null;               // Request type definition it was generated from
+        this.client = null;             // Sender: { id, ip, sessionId, zone }
+        this.networkLatency = 0;        // ms added by crossing zones on the way to its server
+        this.priority = 'normal';       // Key of PRIORITIES, from its type
+        this.admitted = false;          // Counted in flight by admission control
+        this.attempt = 0;               // 0 for a client's first try, 1 for its first retry, ...
+        this.retryOf = null;            // Id of the first attempt, for retries
+        this.deadline = null;           // Simulated time its client gives up waiting, null once answered
+        this.timedOut = false;          // Its client gave up; the server may still be working on it
+    }
+
+    isComplete(now) {
+        return now >= this.getFinishTime();
+    }
+
+    // Same sum the engine schedules with, so completion is never missed by rounding
+    getFinishTime() {
+        return this.startTime + this.serviceTime;
+    }
+
+    getProgress(now) {
+        return Math.min(1, (now - this.startTime) / this.serviceTime);
+    }
+
+    // End-to-end time including any time spent queued or crossing zones
+    getLatency() {
+        return this.startTime - this.arrivalTime + this.serviceTime + this.networkLatency;
+    }
+}
@@ -0,0 +1,84 @@
+// File: src/core/retries.js
+
+// How clients behave when an attempt doesn't work out. Off by default: a
+// client waits as long as it takes and never tries a request again.
+export const DEFAULT_RETRY_CONFIG = {
+    timeout: 0,               // ms a client waits for an answer before giving up on an attempt, 0 = no limit
+    maxRetries: 0,            // Attempts after the first, 0 = never retry
+    retryOnRejection: true,   // Retry requests the load balancer turned away
+    retryOnTimeout: true,     // Retry attempts the client stopped waiting for
+    retryOnError: true,       // Retry when the server crashed or answered with an error
+    backoff: 100,             // ms before the first retry, doubling with every retry after it
+    maxBackoff: 5000,         // ms the backoff grows to at most
+    jitter: true,             // Wait a random part of the backoff ("full jitter") so retries spread out
+    budget: false,            // Cap retries at a share of the traffic
+    budgetPercent: 20,        // Retries allowed per 100 first attempts sent over the budget window
+    budgetMinPerSecond: 5     // Retries a second allowed on top, so quiet traffic can still retry
+};
+
+// What ended an attempt -> the setting that decides whether it is retried
+export const RETRY_CAUSES = {
+    rejection: 'retryOnRejection',
+    timeout: 'retryOnTimeout',
+    error: 'retryOnError'
+};
+
+// ms the retry budget looks back over
+const BUDGET_WINDOW = 10000;
+
+// Decides whether and when the clients try a request again. The budget is
+// shared by all of them, like Finagle's RetryBudget: over the last
+// BUDGET_WINDOW retries may add up to budgetPercent % of the first attempts
+// plus budgetMinPerSecond a second, so an overload can't snowball into a
+// retry storm.
+export class RetryPolicy {
+    constructor(config = DEFAULT_RETRY_CONFIG) {
+        this.config = { ...config };
+        this.reset();
+    }
+
+    setConfig(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    reset() {
+        this.requests = [];  // Times first attempts were sent within the window
+        this.retries = [];   // Times retries were granted within the window
+    }
+
+    // A client sent a request for the first time
+    recordRequest(now) {
+        this.requests.push(now);
+        this.expire(this.requests, now);
+    }
+
+    // Whether an attempt ended by `cause`, a key of RETRY_CAUSES, may be tried again
+    allows(request, cause) {
+        return request.attempt < this.config.maxRetries && this.config[RETRY_CAUSES[cause]];
+    }
+
+    // Take a retry out of the budget; false when it is used up. Always
+    // succeeds without a budget, but still counts so turning one on mid-run
+    // starts from the real history.
+    withdraw(now) {
+        this.expire(this.requests, now);
+        this.expire(this.retries, now);
+        if (this.config.budget) {
+            const allowed = this.requests.length * this.config.budgetPercent / 100 +
+                this.config.budgetMinPerSecond * BUDGET_WINDOW / 1000;
+            if (this.retries.length >= allowed) return false;
+        }
+        this.retries.push(now);
+        return true;
+    }
+
+    // ms to wait before retry number `retry`, 1 for the first
+    backoff(retry, random) {
+        const delay = Math.min(this.config.maxBackoff, this.config.backoff * 2 ** (retry - 1));
+        return this.config.jitter ? delay * random() : delay;
+    }
+
+    expire(times, now) {
+        while (times.length > 0 && times[0] <= now - BUDGET_WINDOW) times.shift();
+    }
+}
@@ -0,0 +1,267 @@
+// File: src/core/scenario.js
+import { algorithms } from './algorithms.js';
+import { SCALING_POLICIES } from './autoscaler.js';
+import { DISTRIBUTIONS } from './distributions.js';
+import { DEFAULT_REQUEST_TYPES, REQUEST_TYPE_LIMITS } from './engine.js';
+import { PRIORITIES } from './admission.js';
+import { FAULT_TYPES, DEFAULT_FAULT } from './health.js';
+import { DEFAULT_SERVER_SPEC, SERVER_SPEC_LIMITS, SERVICE_MODELS } from './server.js';
+import { TRAFFIC_PATTERNS } from './traffic.js';
+import { MAX_POOLS } from './topology.js';
+import { MAX_ZONES } from './zones.js';
+
+// A scenario is everything that shapes a run, as plain JSON:
+//   { version, seed, algorithms, algorithmOptions, runTime, serviceModel,
+//     traffic, fleet, requestTypes, clients, queues, admission, retries, pools, zones, network,
+//     drainTimeout, latencyDecay, healthChecks, outlierDetection, circuitBreakers,
+//     faultSchedule, autoscaling }
+// One algorithm means a single simulation, several a comparison.
+// Bump the version when a field changes meaning; older scenarios must keep loading.
+export const SCENARIO_VERSION = 1;
+
+const HASH_PREFIX = '#scenario=';
+
+// The ranges the controls keep numbers in, in the units of the config (ms,
+// not the seconds some controls show), so a scenario can't set anything the
+// controls couldn't. `integer` values are rounded. The fleet and request
+// type editors share their limits with this table.
+const LIMITS = {
+    runTime: { min: 1, max: 3600, integer: true },
+    traffic: {
+        rate: { min: 0.1, max: 1000 },
+        peakRate: { min: 0.1, max: 1000 },
+        stepAt: { min: 0, max: 3600000 },
+        burstInterval: { min: 1000, max: 3600000 },
+        burstLength: { min: 100, max: 3600000 },
+        duration: { min: 1000, max: 3600000 }
+    },
+    server: {
+        ...SERVER_SPEC_LIMITS,
+        pool: { min: 0, max: MAX_POOLS - 1, integer: true },
+        zone: { min: 0, max: MAX_ZONES - 1, integer: true }
+    },
+    requestType: REQUEST_TYPE_LIMITS,
+    clients: {
+        count: { min: 1, max: 100000, integer: true },
+        skew: { min: 0, max: 3 }
+    },
+    queues: {
+        serverQueueSize: { min: 0, max: 1000, integer: true },
+        globalQueueSize: { min: 0, max: 10000, integer: true },
+        queueTimeout: { min: 1, max: 60000, integer: true }
+    },
+    admission: {
+        rateLimit: { min: 0, max: 10000 },
+        burst: { min: 1, max: 10000, integer: true },
+        clientRateLimit: { min: 0, max: 1000 },
+        clientBurst: { min: 1, max: 1000, integer: true },
+        concurrencyLimit: { min: 0, max: 10000, integer: true },
+        clientConcurrencyLimit: { min: 0, max: 1000, integer: true },
+        shedThreshold: { min: 1, max: 100 }
+    },
+    retries: {
+        timeout: { min: 0, max: 60000, integer: true },
+        maxRetries: { min: 0, max: 10, integer: true },
+        backoff: { min: 0, max: 60000, integer: true },
+        maxBackoff: { min: 0, max: 600000, integer: true },
+        budgetPercent: { min: 0, max: 100 },
+        budgetMinPerSecond: { min: 0, max: 1000 }
+    },
+    network: {
+        crossZoneLatency: { min: 0, max: 1000 },
+        crossZoneCost: { min: 0, max: 1000 }
+    },
+    drainTimeout: { min: 0, max: 600000 },
+    latencyDecay: { min: 100, max: 600000 },
+    healthChecks: {
+        interval: { min: 100, max: 60000, integer: true },
+        timeout: { min: 1, max: 10000, integer: true },
+        unhealthyThreshold: { min: 1, max: 20, integer: true },
+        healthyThreshold: { min: 1, max: 20, integer: true }
+    },
+    outlierDetection: {
+        consecutiveErrors: { min: 0, max: 100, integer: true },
+        interval: { min: 100, max: 600000 },
+        successRateFactor: { min: 0, max: 10 },
+        latencyFactor: { min: 0, max: 100 },
+        minimumHosts: { min: 2, max: 100, integer: true },
+        requestVolume: { min: 1, max: 10000, integer: true },
+        baseEjectionTime: { min: 100, max: 600000 },
+        maxEjectionTime: { min: 100, max: 3600000 },  // No control, but must stay positive
+        maxEjectionPercent: { min: 0, max: 100 }
+    },
+    circuitBreakers: {
+        failureThreshold: { min: 1, max: 100 },
+        windowSize: { min: 1, max: 1000, integer: true },
+        minimumRequests: { min: 1, max: 1000, integer: true },
+        openDuration: { min: 100, max: 600000 },
+        halfOpenRequests: { min: 1, max: 100, integer: true }
+    },
+    fault: {
+        slowdown: { min: 1, max: 100 },
+        errorRate: { min: 0, max: 1 }
+    },
+    autoscaling: {
+        minServers: { min: 1, max: 50, integer: true },
+        maxServers: { min: 1, max: 50, integer: true },
+        targetCpu: { min: 1, max: 100 },
+        scaleOutThreshold: { min: 1, max: 200 },
+        scaleInThreshold: { min: 0, max: 100 },
+        stepSize: { min: 1, max: 20, integer: true },
+        evaluationInterval: { min: 100, max: 60000 },  // No control, but must stay positive
+        scaleOutCooldown: { min: 0, max: 600000 },
+        scaleInCooldown: { min: 0, max: 600000 },
+        warmup: { min: 0, max: 600000 }
+    }
+};
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// `value` within `limit`, { min, max, integer }, either bound optional
+function clamp(value, limit = {}) {
+    let clamped = value;
+    if (limit.min !== undefined) clamped = Math.max(limit.min, clamped);
+    if (limit.max !== undefined) clamped = Math.min(limit.max, clamped);
+    return limit.integer ? Math.round(clamped) : clamped;
+}
+
+// The fields of `defaults`, each taken from `value` when it has the same type.
+// Numbers are clamped to `limits`, which is shaped like `defaults`.
+function pick(defaults, value, limits = {}) {
+    const source = isObject(value) ? value : {};
+    return Object.fromEntries(Object.entries(defaults).map(([key, fallback]) => {
+        if (isObject(fallback)) return [key, pick(fallback, source[key], limits[key])];
+        const valid = typeof source[key] === typeof fallback &&
+            (typeof fallback !== 'number' || Number.isFinite(source[key]));
+        if (!valid) return [key, fallback];
+        return [key, typeof fallback === 'number' ? clamp(source[key], limits[key]) : source[key]];
+    }));
+}
+
+// An algorithm's options, kept to the ranges and choices of its optionSchema
+function pickOptions(schema, defaults, value) {
+    const options = pick(defaults, value, Object.fromEntries(schema.map(field => [field.key, field])));
+    schema.filter(field => field.type === 'select').forEach(field => {
+        if (!field.choices.some(choice => choice.value === options[field.key])) options[field.key] = defaults[field.key];
+    });
+    return options;
+}
+
+// Entries of a schedule in the order they happen
+function byTime(a, b) {
+    return a.at - b.at;
+}
+
+function oneOf(choices, value, fallback) {
+    return Object.hasOwn(choices, value) ? value : fallback;
+}
+
+// Complete scenario from imported `data`, anything missing or unusable taken
+// from `defaults` (a complete scenario). Throws when `data` isn't a scenario.
+export function mergeScenario(data, defaults) {
+    if (!isObject(data) || typeof data.version !== 'number') {
+        throw new Error('This is not a scenario file');
+    }
+    if (data.version > SCENARIO_VERSION) {
+        throw new Error(`The scenario is version ${data.version}, this simulator only understands up to ${SCENARIO_VERSION}`);
+    }
+    const list = value => Array.isArray(value) ? value.filter(isObject) : [];
+
+    const names = Array.isArray(data.algorithms) ? data.algorithms.filter(name => Object.hasOwn(algorithms, name)) : [];
+    const options = isObject(data.algorithmOptions) ? data.algorithmOptions : {};
+    const traffic = pick(defaults.traffic, data.traffic, LIMITS.traffic);
+    const fleet = list(data.fleet).map(spec => pick(DEFAULT_SERVER_SPEC, spec, LIMITS.server));
+    const requestTypes = list(data.requestTypes).map(type => {
+        const picked = pick(DEFAULT_REQUEST_TYPES[0], type, LIMITS.requestType);
+        picked.duration.distribution = oneOf(DISTRIBUTIONS, picked.duration.distribution, 'uniform');
+        picked.priority = oneOf(PRIORITIES, picked.priority, 'normal');
+        return picked;
+    });
+    const faultSchedule = list(data.faultSchedule)
+        .filter(entry => Number.isFinite(entry.at) && entry.at >= 0 && Number.isInteger(entry.serverId) && entry.serverId >= 0)
+        .map(({ at, serverId, fault }) => {
+            const picked = pick(DEFAULT_FAULT, fault, LIMITS.fault);
+            picked.type = oneOf(FAULT_TYPES, picked.type, 'none');
+            return { at, serverId, fault: picked };
+        })
+        .sort(byTime);
+    const pools = list(data.pools).slice(0, MAX_POOLS).map((pool, i) => ({
+        name: typeof pool.name === 'string' && pool.name.trim() ? pool.name : `Pool ${i + 1}`,
+        algorithm: oneOf(algorithms, pool.algorithm, 'Round Robin')
+    }));
+    const zones = list(data.zones).slice(0, MAX_ZONES).map((zone, i) => ({
+        name: typeof zone.name === 'string' && zone.name.trim() ? zone.name : `Zone ${i + 1}`,
+        clientShare: Number.isFinite(zone.clientShare) && zone.clientShare >= 0 ? zone.clientShare : 1
+    }));
+    // Servers of a pool or zone the scenario doesn't have go to the last one
+    if (pools.length > 1) fleet.forEach(spec => {
+        spec.pool = Math.min(spec.pool, pools.length - 1);
+    });
+    if (zones.length > 1) fleet.forEach(spec => {
+        spec.zone = Math.min(spec.zone, zones.length - 1);
+    });
+    const autoscaling = pick(defaults.autoscaling, data.autoscaling, LIMITS.autoscaling);
+    autoscaling.policy = oneOf(SCALING_POLICIES, autoscaling.policy, 'none');
+    autoscaling.maxServers = Math.max(autoscaling.minServers, autoscaling.maxServers);
+    autoscaling.schedule = list(isObject(data.autoscaling) ? data.autoscaling.schedule : null)
+        .filter(entry => Number.isFinite(entry.at) && entry.at >= 0 && Number.isInteger(entry.servers) && entry.servers >= 0)
+        .map(({ at, servers }) => ({ at, servers }))
+        .sort(byTime);
+    const retries = pick(defaults.retries, data.retries, LIMITS.retries);
+    retries.maxBackoff = Math.max(retries.backoff, retries.maxBackoff);
+    const circuitBreakers = pick(defaults.circuitBreakers, data.circuitBreakers, LIMITS.circuitBreakers);
+    circuitBreakers.minimumRequests = Math.min(circuitBreakers.windowSize, circuitBreakers.minimumRequests);
+    const number = (value, limit, fallback) => Number.isFinite(value) ? clamp(value, limit) : fallback;
+
+    return {
+        version: SCENARIO_VERSION,
+        seed: typeof data.seed === 'string' ? data.seed : defaults.seed,
+        algorithms: names.length > 0 ? names : defaults.algorithms,
+        algorithmOptions: Object.fromEntries(Object.entries(defaults.algorithmOptions)
+            .map(([name, fallback]) => [name, pickOptions(algorithms[name].constructor.optionSchema, fallback, options[name])])),
+        runTime: number(data.runTime, LIMITS.runTime, defaults.runTime),
+        serviceModel: oneOf(SERVICE_MODELS, data.serviceModel, defaults.serviceModel),
+        traffic: { ...traffic, pattern: oneOf(TRAFFIC_PATTERNS, traffic.pattern, defaults.traffic.pattern) },
+        fleet: fleet.length > 0 ? fleet : defaults.fleet,
+        requestTypes: requestTypes.length > 0 ? requestTypes : defaults.requestTypes,
+        clients: pick(defaults.clients, data.clients, LIMITS.clients),
+        queues: pick(defaults.queues, data.queues, LIMITS.queues),
+        admission: pick(defaults.admission, data.admission, LIMITS.admission),
+        retries,
+        pools,
+        zones,
+        network: pick(defaults.network, data.network, LIMITS.network),
+        drainTimeout: number(data.drainTimeout, LIMITS.drainTimeout, defaults.drainTimeout),
+        latencyDecay: number(data.latencyDecay, LIMITS.latencyDecay, defaults.latencyDecay),
+        healthChecks: pick(defaults.healthChecks, data.healthChecks, LIMITS.healthChecks),
+        outlierDetection: pick(defaults.outlierDetection, data.outlierDetection, LIMITS.outlierDetection),
+        circuitBreakers,
+        faultSchedule,
+        autoscaling
+    };
+}
+
+// URL-safe base64 of the scenario's JSON
+export function encodeScenario(scenario) {
+    let binary = '';
+    new TextEncoder().encode(JSON.stringify(scenario)).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeScenario(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+}
+
+export function scenarioToHash(scenario) {
+    return HASH_PREFIX + encodeScenario(scenario);
+}
+
+// The scenario data in a location hash, or null when there is none
+export function scenarioFromHash(hash) {
+    return hash.startsWith(HASH_PREFIX) ? decodeScenario(hash.slice(HASH_PREFIX.length)) : null;
+}
@@ -0,0 +1,264 @@
+// File: src/core/server.js
+import { DEFAULT_FAULT } from './health.js';
+import { LatencyHistogram } from './latency.js';
+import { CircuitBreaker } from './outliers.js';
+
+// Capacity, weight, backend pool (see SimulationEngine.setPools()) and zone
+// (see SimulationEngine.setZones()) of a standard server; fleets describe
+// each server with one of these
+export const DEFAULT_SERVER_SPEC = { cpu: 100, memory: 100, speed: 1, weight: 1, pool: 0, zone: 0 };
+
+// Range of each setting a server can be given, in the fleet editor or a scenario
+export const SERVER_SPEC_LIMITS = {
+    cpu: { min: 10, max: 1000 },
+    memory: { min: 10, max: 1000 },
+    speed: { min: 0.1, max: 10 },
+    weight: { min: 1, max: 100 }
+};
+
+// How long a running request takes:
+//   fixed  - its own processing time, however busy the server is
+//   shared - processor sharing: CPU isn't reserved, and when the running
+//            requests ask for more than the server has, all of them slow
+//            down in proportion. Memory is still a hard limit.
+export const SERVICE_MODELS = {
+    fixed: 'Fixed duration',
+    shared: 'Processor sharing'
+};
+
+// ms it takes an old latency sample's weight in the moving averages to fall
+// to 1/e, the default of Finagle's and Linkerd's Peak-EWMA balancers
+export const DEFAULT_LATENCY_DECAY = 10000;
+
+// Work left (ms) below which a shared request counts as done, absorbs rounding
+const WORK_EPSILON = 1e-6;
+
+export class Server {
+    constructor(id, spec = DEFAULT_SERVER_SPEC) {
+        this.id = id;
+        this.requests = [];
+        this.maxCpu = spec.cpu;
+        this.maxMemory = spec.memory;
+        this.speed = spec.speed;    // Processing time multiplier, 2 = twice as fast
+        this.weight = spec.weight;  // Relative share for weighted algorithms
+        this.pool = spec.pool || 0; // Backend pool index, see SimulationEngine.setPools()
+        this.zone = spec.zone || 0; // Availability zone index, see SimulationEngine.setZones()
+        this.queue = [];            // Requests waiting for capacity, oldest first
+        this.queueLimit = 0;        // 0 = no queue, requests that don't fit are rejected
+        this.rejectedRequests = 0;  // Track rejections per server
+        this.failedRequests = 0;    // Dropped by a crash or answered with an error
+        this.fault = { ...DEFAULT_FAULT };  // Injected fault, see FAULT_TYPES
+        this.healthy = true;        // In rotation, as far as the load balancer's health checks know
+        this.lifecycle = 'active';  // 'starting' until readyAt, 'active', or 'draining' before removal
+        this.readyAt = null;        // Simulated time a starting server begins taking traffic
+        this.drainDeadline = null;  // Simulated time a draining server gives up on what it has left
+        this.consecutiveFailures = 0;
+        this.consecutiveSuccesses = 0;
+        this.ejectedUntil = null;   // Simulated time outlier detection lets the server back in, null if not ejected
+        this.ejections = 0;         // Ejection multiplier, see OutlierDetector
+        this.consecutiveErrors = 0; // Failed answers in a row, as outlier detection counts them
+        this.outlierStats = { successes: 0, errors: 0, latency: 0 };  // Answers since the last outlier sweep
+        this.breaker = new CircuitBreaker();
+        this.completedRequests = 0;
+        this.totalResponseTime = 0;
+        this.latency = new LatencyHistogram();  // Successful requests' end-to-end latency, recorded by the engine
+        this.latencyDecay = DEFAULT_LATENCY_DECAY;
+        this.latencyEwma = 0;       // Moving average of recent latency, 0 until the first answer
+        this.peakLatencyEwma = 0;   // Same, but jumps straight up to any slower answer
+        this.latencyObservedAt = null;
+        this.serviceModel = 'fixed';
+        this.workUpdatedAt = 0;     // Simulated time remainingWork was last brought up to date
+    }
+
+    getAverageResponseTime() {
+        if (this.completedRequests === 0) return 0;
+        return this.totalResponseTime / this.completedRequests;
+    }
+
+    // Fold an answer's latency into the moving averages. The weight of older
+    // samples decays with time rather than per answer, so a quiet server's
+    // history fades as quickly as a busy one's.
+    observeLatency(latency, now) {
+        if (this.latencyObservedAt === null) {
+            this.latencyEwma = latency;
+            this.peakLatencyEwma = latency;
+        } else {
+            const keep = Math.exp(-(now - this.latencyObservedAt) / this.latencyDecay);
+            this.latencyEwma = this.latencyEwma * keep + latency * (1 - keep);
+            this.peakLatencyEwma = latency > this.peakLatencyEwma
+                ? latency
+                : this.peakLatencyEwma * keep + latency * (1 - keep);
+        }
+        this.latencyObservedAt = now;
+    }
+
+    getCurrentLoad() {
+        const totalCpu = this.requests.reduce((sum, req) => sum + req.cpuLoad, 0);
+        const totalMemory = this.requests.reduce((sum, req) => sum + req.memoryLoad, 0);
+        return { cpu: totalCpu, memory: totalMemory };
+    }
+
+    // Load as a percentage of this server's own capacity
+    getUtilization() {
+        const load = this.getCurrentLoad();
+        return {
+            cpu: load.cpu / this.maxCpu * 100,
+            memory: load.memory / this.maxMemory * 100
+        };
+    }
+
+    isEjected() {
+        return this.ejectedUntil !== null;
+    }
+
+    isCrashed() {
+        return this.fault.type === 'crash';
+    }
+
+    // 'healthy', 'failing' or 'recovering' (probes disagree with the current state) or 'unhealthy'
+    getHealthStatus() {
+        if (this.healthy) return this.consecutiveFailures > 0 ? 'failing' : 'healthy';
+        return this.consecutiveSuccesses > 0 ? 'recovering' : 'unhealthy';
+    }
+
+    // A crash loses everything running or queued here; returns those requests
+    setFault(fault) {
+        this.fault = { ...DEFAULT_FAULT, ...fault };
+        return this.isCrashed() ? this.evict() : [];
+    }
+
+    // Drop every running and queued request, returning them
+    evict() {
+        const lost = [...this.requests, ...this.queue];
+        this.requests = [];
+        this.queue = [];
+        return lost;
+    }
+
+    canHandleRequest(request) {
+        return this.getExhaustedResource(request) === null;
+    }
+
+    // What keeps `request` off this server: 'cpu', 'memory', 'both' (see
+    // EXHAUSTED_RESOURCES) or null when it fits. Under processor sharing CPU
+    // is never the reason.
+    getExhaustedResource(request) {
+        const currentLoad = this.getCurrentLoad();
+        const cpu = this.serviceModel !== 'shared' && currentLoad.cpu + request.cpuLoad > this.maxCpu;
+        const memory = currentLoad.memory + request.memoryLoad > this.maxMemory;
+        if (cpu && memory) return 'both';
+        if (cpu) return 'cpu';
+        return memory ? 'memory' : null;
+    }
+
+    // Share of full speed every running request gets under processor sharing
+    getProcessingRate() {
+        const demand = this.getCurrentLoad().cpu;
+        return demand <= this.maxCpu ? 1 : this.maxCpu / demand;
+    }
+
+    // Switching mid-run keeps the work already done on running requests
+    setServiceModel(model, now) {
+        if (model === this.serviceModel) return;
+        if (model === 'shared') {
+            this.requests.forEach(req => {
+                req.remainingWork = Math.max(0, req.getFinishTime() - now);
+            });
+            this.workUpdatedAt = now;
+        } else {
+            this.advanceWork(now);
+            const rate = this.getProcessingRate();
+            this.requests.forEach(req => {
+                req.serviceTime = now - req.startTime + req.remainingWork / rate;
+            });
+        }
+        this.serviceModel = model;
+    }
+
+    // Processor sharing: charge the time since the last update to every running request
+    advanceWork(now) {
+        const elapsed = now - this.workUpdatedAt;
+        if (elapsed > 0) {
+            const rate = this.getProcessingRate();
+            this.requests.forEach(req => { req.remainingWork -= elapsed * rate; });
+        }
+        this.workUpdatedAt = Math.max(this.workUpdatedAt, now);
+    }
+
+    // Requests sent here that haven't finished, running or queued
+    getOutstandingRequests() {
+        return this.requests.length + this.queue.length;
+    }
+
+    canQueueRequest() {
+        return this.queue.length < this.queueLimit;
+    }
+
+    enqueue(request, now) {
+        request.queuedAt = now;
+        this.queue.push(request);
+    }
+
+    // Start queued requests that fit now, oldest first; returns them
+    startQueuedRequests(now) {
+        const started = [];
+        while (this.queue.length > 0 && this.canHandleRequest(this.queue[0])) {
+            const request = this.queue.shift();
+            request.startTime = now;
+            this.addRequest(request);
+            started.push(request);
+        }
+        return started;
+    }
+
+    // Drop requests that have been queued for `timeout` ms or more; returns them
+    expireQueuedRequests(now, timeout) {
+        const expired = this.queue.filter(req => req.queuedAt + timeout <= now);
+        if (expired.length > 0) {
+            this.queue = this.queue.filter(req => req.queuedAt + timeout > now);
+        }
+        return expired;
+    }
+
+    addRequest(request) {
+        const slowdown = this.fault.type === 'slow' ? this.fault.slowdown : 1;
+        request.serviceTime = request.processingTime / this.speed * slowdown;
+        if (this.serviceModel === 'shared') {
+            // Bring the others up to date before the newcomer changes everyone's share
+            this.advanceWork(request.startTime);
+            request.remainingWork = request.serviceTime;
+        }
+        this.requests.push(request);
+    }
+
+    // Simulated time at which the next active request finishes
+    nextCompletionTime() {
+        if (this.serviceModel === 'shared') {
+            if (this.requests.length === 0) return Infinity;
+            const minWork = this.requests.reduce((min, req) => Math.min(min, req.remainingWork), Infinity);
+            return this.workUpdatedAt + Math.max(0, minWork) / this.getProcessingRate();
+        }
+        return this.requests.reduce((min, req) => Math.min(min, req.getFinishTime()), Infinity);
+    }
+
+    isRequestComplete(request, now) {
+        return this.serviceModel === 'shared' ? request.remainingWork <= WORK_EPSILON : request.isComplete(now);
+    }
+
+    // Removes requests finished by `now` and returns them
+    updateRequests(now) {
+        if (this.serviceModel === 'shared') this.advanceWork(now);
+        const completedNow = this.requests.filter(req => this.isRequestComplete(req, now));
+        // Update stats for completed requests
+        completedNow.forEach(req => {
+            // Under processor sharing the service time is only known now
+            if (this.serviceModel === 'shared') req.serviceTime = now - req.startTime;
+            this.completedRequests++;
+            this.totalResponseTime += req.getLatency();
+            this.observeLatency(req.getLatency(), now);
+        });
+        // Remove completed requests
+        this.requests = this.requests.filter(req => !completedNow.includes(req));
+        return completedNow;
+    }
+}
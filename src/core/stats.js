@@ -0,0 +1,34 @@
+// File: src/core/stats.js
+
+export function calculateStats(values) {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / values.length;
+    const stdDev = Math.sqrt(variance);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    return {
+        mean: Math.round(mean * 10) / 10,
+        variance: Math.round(variance * 10) / 10,
+        stdDev: Math.round(stdDev * 10) / 10,
+        min: Math.round(min * 10) / 10,
+        max: Math.round(max * 10) / 10
+    };
+}
+
+export function calculateBalanceScore(values) {
+    if (values.length === 0) return 100;  // No servers = perfectly balanced
+
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    if (mean === 0) return 100;  // All zeros = perfectly balanced
+
+    // Calculate how far each value deviates from the mean
+    const maxDeviation = Math.max(...values.map(v => Math.abs(v - mean)));
+
+    // Convert to a 0-100 score where:
+    // 0 deviation = 100% balanced
+    // deviation equal to mean = 0% balanced
+    const score = Math.max(0, 100 * (1 - maxDeviation / (mean * 2)));
+
+    return Math.round(score);
+}
@@ -0,0 +1,114 @@
+// File: src/core/topology.js
+
+// Most pools a topology can have
+export const MAX_POOLS = 6;
+
+// A backend pool behind its own load balancer. In a two-tier topology the
+// front balancer's algorithm picks a pool, then the pool's algorithm picks
+// one of its servers.
+//
+// To the front algorithm a pool looks like one big server: the figures below
+// add up or average its servers, so every algorithm works on either tier.
+export class Pool {
+    constructor(id, name, algorithm, algorithmName = null) {
+        this.id = id;
+        this.name = name;
+        this.algorithm = algorithm;
+        this.algorithmName = algorithmName;  // For display
+        this.servers = [];       // Every server of the pool, draining ones included
+        this.rotation = [];      // Servers the pool's algorithm chooses from
+        this.currentIndex = 0;   // Round robin position within the pool
+    }
+
+    get weight() {
+        return this.rotation.reduce((sum, server) => sum + server.weight, 0);
+    }
+
+    get maxCpu() {
+        return this.rotation.reduce((sum, server) => sum + server.maxCpu, 0);
+    }
+
+    get maxMemory() {
+        return this.rotation.reduce((sum, server) => sum + server.maxMemory, 0);
+    }
+
+    get speed() {
+        return this.rotation.length === 0 ? 0 : this.rotation.reduce((sum, server) => sum + server.speed, 0) / this.rotation.length;
+    }
+
+    // Zone all of its servers are in, or null when they are spread out
+    get zone() {
+        const zones = new Set(this.servers.map(server => server.zone));
+        return zones.size === 1 ? [...zones][0] : null;
+    }
+
+    get requests() {
+        return this.servers.flatMap(server => server.requests);
+    }
+
+    get queue() {
+        return this.servers.flatMap(server => server.queue);
+    }
+
+    get completedRequests() {
+        return this.servers.reduce((sum, server) => sum + server.completedRequests, 0);
+    }
+
+    get failedRequests() {
+        return this.servers.reduce((sum, server) => sum + server.failedRequests, 0);
+    }
+
+    get totalResponseTime() {
+        return this.servers.reduce((sum, server) => sum + server.totalResponseTime, 0);
+    }
+
+    // Moving averages of the servers in rotation that have answered, 0 if none have
+    get latencyEwma() {
+        return this.averageOf(server => server.latencyEwma);
+    }
+
+    get peakLatencyEwma() {
+        return this.averageOf(server => server.peakLatencyEwma);
+    }
+
+    averageOf(getAverage) {
+        const averages = this.rotation.map(getAverage).filter(average => average > 0);
+        return averages.length === 0 ? 0 : averages.reduce((sum, average) => sum + average, 0) / averages.length;
+    }
+
+    getAverageResponseTime() {
+        const completed = this.completedRequests;
+        return completed === 0 ? 0 : this.totalResponseTime / completed;
+    }
+
+    // Load of the servers in rotation against their combined capacity
+    getUtilization() {
+        let cpu = 0;
+        let memory = 0;
+        this.rotation.forEach(server => {
+            const load = server.getCurrentLoad();
+            cpu += load.cpu;
+            memory += load.memory;
+        });
+        return {
+            cpu: this.maxCpu === 0 ? 0 : cpu / this.maxCpu * 100,
+            memory: this.maxMemory === 0 ? 0 : memory / this.maxMemory * 100
+        };
+    }
+
+    getOutstandingRequests() {
+        return this.servers.reduce((sum, server) => sum + server.getOutstandingRequests(), 0);
+    }
+
+    canHandleRequest(request) {
+        return this.rotation.some(server => server.canHandleRequest(request));
+    }
+
+    canQueueRequest() {
+        return this.rotation.some(server => server.canQueueRequest());
+    }
+
+    isCrashed() {
+        return false;
+    }
+}
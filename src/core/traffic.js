@@ -0,0 +1,89 @@
+// File: src/core/traffic.js
+
+// Arrival processes. All but 'constant' are Poisson processes whose rate
+// follows the pattern's shape over the run.
+export const TRAFFIC_PATTERNS = {
+    constant: 'Constant',
+    poisson: 'Poisson',
+    step: 'Step change',
+    ramp: 'Linear ramp',
+    bursts: 'Periodic bursts',
+    diurnal: 'Diurnal (24h)'
+};
+
+export const DEFAULT_TRAFFIC_CONFIG = {
+    pattern: 'poisson',
+    rate: 1,             // Requests per second; the starting / base / overnight rate
+    peakRate: 10,        // Rate after the step, at the end of the ramp, during bursts, at the daily peak
+    stepAt: 30000,       // ms into the run the step happens
+    burstInterval: 10000,  // ms from the start of one burst to the next
+    burstLength: 2000,   // ms each burst lasts
+    duration: 60000      // ms the ramp and the compressed day span, normally the run time
+};
+
+// Requests per second and the arrival times of a traffic pattern. Time is
+// `elapsed`, ms since the run started.
+export class TrafficGenerator {
+    constructor(config = DEFAULT_TRAFFIC_CONFIG) {
+        this.config = { ...DEFAULT_TRAFFIC_CONFIG, ...config };
+    }
+
+    setConfig(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    rateAt(elapsed) {
+        const { pattern, rate, peakRate, stepAt, burstInterval, burstLength, duration } = this.config;
+        switch (pattern) {
+            case 'step':
+                return elapsed < stepAt ? rate : peakRate;
+            case 'ramp':
+                return rate + (peakRate - rate) * Math.min(1, Math.max(0, elapsed / duration));
+            case 'bursts':
+                return elapsed % burstInterval < burstLength ? peakRate : rate;
+            case 'diurnal': {
+                // One day per run: quietest at 04:00, busiest at 16:00
+                const hour = (elapsed / duration * 24) % 24;
+                return rate + (peakRate - rate) * (1 - Math.cos((hour - 4) / 24 * 2 * Math.PI)) / 2;
+            }
+            default:
+                return rate;
+        }
+    }
+
+    // Highest rate the pattern reaches, bounds the thinning below
+    getMaxRate() {
+        const { pattern, rate, peakRate } = this.config;
+        return pattern === 'constant' || pattern === 'poisson' ? rate : Math.max(rate, peakRate);
+    }
+
+    // Elapsed time from which the rate stays at peakRate for good: the step
+    // and the end of the ramp. Infinity for patterns that keep changing.
+    getSettleTime() {
+        const { pattern, stepAt, duration } = this.config;
+        if (pattern === 'step') return stepAt;
+        if (pattern === 'ramp') return duration;
+        return Infinity;
+    }
+
+    // Elapsed time of the arrival after `elapsed`
+    nextArrival(elapsed, random) {
+        if (this.config.pattern === 'constant') {
+            return this.config.rate > 0 ? elapsed + 1000 / this.config.rate : Infinity;
+        }
+
+        // Thinning (Lewis & Shedler): draw candidates at the maximum rate and
+        // keep each with probability rate(t) / maximum
+        const maxRate = this.getMaxRate();
+        if (maxRate <= 0) return Infinity;
+        // Traffic that settles on no requests at all has no arrival left
+        // after that, and no candidate would ever be kept
+        const settleTime = this.config.peakRate <= 0 ? this.getSettleTime() : Infinity;
+        let time = elapsed;
+        for (;;) {
+            time += -Math.log(1 - random()) / maxRate * 1000;
+            if (time >= settleTime) return Infinity;
+            if (random() * maxRate < this.rateAt(time)) return time;
+        }
+    }
+}
@@ -0,0 +1,11 @@
+// File: src/core/zones.js
+
+// Most availability zones a scenario can have
+export const MAX_ZONES = 4;
+
+// What it costs a request to leave its client's zone. Requests served in the
+// client's own zone pay nothing.
+export const DEFAULT_NETWORK_CONFIG = {
+    crossZoneLatency: 10,  // ms added to the latency of each cross-zone request
+    crossZoneCost: 0       // Charged per 1,000 cross-zone requests, like inter-zone transfer fees
+};
@@ -1,1074 +1,1192 @@
 // File: src/main.js
-import * as THREE from 'three';
-
-class Request {
-    constructor(id, cpuLoad, memoryLoad, processingTime) {
-        this.id = id;
-        this.cpuLoad = cpuLoad;        // 0-100%
-        this.memoryLoad = memoryLoad;   // 0-100%
-        this.processingTime = processingTime;  // milliseconds
-        this.startTime = Date.now();
-        this.mesh = null;
-    }
+import { SimulationEngine, DEFAULT_REQUEST_TYPES, DEFAULT_QUEUE_CONFIG, DEFAULT_DRAIN_TIMEOUT } from './core/engine.js';
+import { WallClock, ScaledClock } from './core/clock.js';
+import { algorithms } from './core/algorithms.js';
+import { randomSeed } from './core/random.js';
+import { LoadBalancerSimulation } from './view/simulation.js';
+import { ComparisonSummary } from './view/comparison.js';
+import { FleetEditor } from './view/fleetEditor.js';
+import { AlgorithmOptionsEditor } from './view/algorithmOptions.js';
+import { FaultEditor } from './view/faultEditor.js';
+import { RequestTypeEditor } from './view/requestTypeEditor.js';
+import { LatencyPanel } from './view/latencyPanel.js';
+import { downloadFile } from './view/download.js';
+import { RunRecorder, toCSV, requestsToCSV } from './core/recorder.js';
+import { DEFAULT_HEALTH_CHECK_CONFIG } from './core/health.js';
+import { SCALING_POLICIES, DEFAULT_AUTOSCALING_CONFIG } from './core/autoscaler.js';
+import { TRAFFIC_PATTERNS, DEFAULT_TRAFFIC_CONFIG } from './core/traffic.js';
+import { DEFAULT_SERVER_SPEC, DEFAULT_LATENCY_DECAY, SERVICE_MODELS } from './core/server.js';
+import { DEFAULT_CLIENTS } from './core/clients.js';
+import { SCENARIO_VERSION, mergeScenario, scenarioToHash, scenarioFromHash } from './core/scenario.js';
+import { registerAlgorithmSource, unregisterAlgorithm, getPluginAlgorithms } from './core/plugins.js';
+import { PluginEditor } from './view/pluginEditor.js';
+import { TopologyEditor } from './view/topologyEditor.js';
+import { ZoneEditor } from './view/zoneEditor.js';
+import { DEFAULT_NETWORK_CONFIG } from './core/zones.js';
+import { DEFAULT_ADMISSION_CONFIG, PRIORITIES } from './core/admission.js';
+import { DEFAULT_OUTLIER_CONFIG, DEFAULT_CIRCUIT_BREAKER_CONFIG } from './core/outliers.js';
+import { DEFAULT_RETRY_CONFIG } from './core/retries.js';
 
-    isComplete() {
-        return (Date.now() - this.startTime) >= this.processingTime;
-    }
+// Global controls
+const toggleBtn = document.getElementById('toggleBtn');
+const pauseBtn = document.getElementById('pauseBtn');
+const speedControl = document.getElementById('speedControl');
+const stepByControl = document.getElementById('stepByControl');
+const stepBtn = document.getElementById('stepBtn');
+const resetBtn = document.getElementById('resetBtn');
+const downloadRequestsCsvBtn = document.getElementById('downloadRequestsCsvBtn');
+const downloadTimeseriesCsvBtn = document.getElementById('downloadTimeseriesCsvBtn');
+const downloadJsonBtn = document.getElementById('downloadJsonBtn');
+const importScenarioBtn = document.getElementById('importScenarioBtn');
+const exportScenarioBtn = document.getElementById('exportScenarioBtn');
+const shareScenarioBtn = document.getElementById('shareScenarioBtn');
+const scenarioFileInput = document.getElementById('scenarioFileInput');
+const rateControl = document.getElementById('rateControl');
+const rateValue = document.getElementById('rateValue');
+const serverControl = document.getElementById('serverControl');
+const serverValue = document.getElementById('serverValue');
+const algorithmSelect = document.getElementById('algorithmSelect');
+const compareToggle = document.getElementById('compareToggle');
+const compareAlgorithms = document.getElementById('compareAlgorithms');
+const runTimeControl = document.getElementById('runTimeControl');
+const timeLeftValue = document.getElementById('timeLeftValue');
+const seedControl = document.getElementById('seedControl');
+const serviceModelControl = document.getElementById('serviceModelControl');
+const trafficPatternControl = document.getElementById('trafficPatternControl');
+const peakRateControl = document.getElementById('peakRateControl');
+const stepAtControl = document.getElementById('stepAtControl');
+const burstIntervalControl = document.getElementById('burstIntervalControl');
+const burstLengthControl = document.getElementById('burstLengthControl');
+const clientCountControl = document.getElementById('clientCountControl');
+const clientSkewControl = document.getElementById('clientSkewControl');
+const serverQueueControl = document.getElementById('serverQueueControl');
+const globalQueueControl = document.getElementById('globalQueueControl');
+const queueTimeoutControl = document.getElementById('queueTimeoutControl');
+const rateLimitControl = document.getElementById('rateLimitControl');
+const burstControl = document.getElementById('burstControl');
+const clientRateLimitControl = document.getElementById('clientRateLimitControl');
+const clientBurstControl = document.getElementById('clientBurstControl');
+const concurrencyLimitControl = document.getElementById('concurrencyLimitControl');
+const clientConcurrencyLimitControl = document.getElementById('clientConcurrencyLimitControl');
+const sheddingControl = document.getElementById('sheddingControl');
+const shedThresholdControl = document.getElementById('shedThresholdControl');
+const clientTimeoutControl = document.getElementById('clientTimeoutControl');
+const maxRetriesControl = document.getElementById('maxRetriesControl');
+const retryOnRejectionControl = document.getElementById('retryOnRejectionControl');
+const retryOnTimeoutControl = document.getElementById('retryOnTimeoutControl');
+const retryOnErrorControl = document.getElementById('retryOnErrorControl');
+const backoffControl = document.getElementById('backoffControl');
+const maxBackoffControl = document.getElementById('maxBackoffControl');
+const jitterControl = document.getElementById('jitterControl');
+const retryBudgetControl = document.getElementById('retryBudgetControl');
+const budgetPercentControl = document.getElementById('budgetPercentControl');
+const budgetMinPerSecondControl = document.getElementById('budgetMinPerSecondControl');
+const healthEnabledControl = document.getElementById('healthEnabledControl');
+const healthIntervalControl = document.getElementById('healthIntervalControl');
+const healthTimeoutControl = document.getElementById('healthTimeoutControl');
+const unhealthyThresholdControl = document.getElementById('unhealthyThresholdControl');
+const healthyThresholdControl = document.getElementById('healthyThresholdControl');
+const outlierEnabledControl = document.getElementById('outlierEnabledControl');
+const consecutiveErrorsControl = document.getElementById('consecutiveErrorsControl');
+const outlierIntervalControl = document.getElementById('outlierIntervalControl');
+const successRateFactorControl = document.getElementById('successRateFactorControl');
+const latencyFactorControl = document.getElementById('latencyFactorControl');
+const minimumHostsControl = document.getElementById('minimumHostsControl');
+const requestVolumeControl = document.getElementById('requestVolumeControl');
+const baseEjectionTimeControl = document.getElementById('baseEjectionTimeControl');
+const maxEjectionPercentControl = document.getElementById('maxEjectionPercentControl');
+const breakerEnabledControl = document.getElementById('breakerEnabledControl');
+const failureThresholdControl = document.getElementById('failureThresholdControl');
+const windowSizeControl = document.getElementById('windowSizeControl');
+const minimumRequestsControl = document.getElementById('minimumRequestsControl');
+const openDurationControl = document.getElementById('openDurationControl');
+const halfOpenRequestsControl = document.getElementById('halfOpenRequestsControl');
+const scalingPolicyControl = document.getElementById('scalingPolicyControl');
+const minServersControl = document.getElementById('minServersControl');
+const maxServersControl = document.getElementById('maxServersControl');
+const targetCpuControl = document.getElementById('targetCpuControl');
+const scaleOutThresholdControl = document.getElementById('scaleOutThresholdControl');
+const scaleInThresholdControl = document.getElementById('scaleInThresholdControl');
+const stepSizeControl = document.getElementById('stepSizeControl');
+const scalingScheduleControl = document.getElementById('scalingScheduleControl');
+const scaleOutCooldownControl = document.getElementById('scaleOutCooldownControl');
+const scaleInCooldownControl = document.getElementById('scaleInCooldownControl');
+const warmupControl = document.getElementById('warmupControl');
+const drainTimeoutControl = document.getElementById('drainTimeoutControl');
+const latencyDecayControl = document.getElementById('latencyDecayControl');
+const crossZoneLatencyControl = document.getElementById('crossZoneLatencyControl');
+const crossZoneCostControl = document.getElementById('crossZoneCostControl');
+const gridContainer = document.getElementById('gridContainer');
+const comparisonSummary = new ComparisonSummary(document.getElementById('comparisonSummary'));
+const fleetEditor = new FleetEditor(document.getElementById('fleetEditor'), setFleet);
+const algorithmOptionsEditor = new AlgorithmOptionsEditor(document.getElementById('algorithmOptions'), algorithms);
+const latencyPanelElement = document.getElementById('latencyPanel');
+const latencyPanel = new LatencyPanel(document.getElementById('latencyDetails'));
+const requestTypeEditor = new RequestTypeEditor(document.getElementById('requestTypeEditor'), setRequestTypes);
+const pluginPanelElement = document.getElementById('pluginPanel');
+const pluginEditor = new PluginEditor(document.getElementById('pluginEditor'), {
+    onSave: addPlugin,
+    onRemove: removePlugin
+});
+const faultEditor = new FaultEditor(document.getElementById('faultEditor'), {
+    onInject: injectFault,
+    onClearSchedule: () => setFaultSchedule([])
+});
+const topologyEditor = new TopologyEditor(document.getElementById('topologyEditor'), {
+    onChange: setPools,
+    onSpread: spreadFleet
+});
+const zoneEditor = new ZoneEditor(document.getElementById('zoneEditor'), {
+    onChange: setZones,
+    onSpread: spreadZones
+});
 
-    getProgress() {
-        return Math.min(1, (Date.now() - this.startTime) / this.processingTime);
-    }
-}
+// Initial values
+const initialValues = {
+    rate: 1.0,
+    servers: 4,
+    algorithm: 'Round Robin',
+    runTime: 60,
+    compare: ['Round Robin', 'Least Requests', 'Dynamic CPU'],
+    serviceModel: 'fixed'
+};
+const maxCompared = 5;
+
+// Playback speeds on offer, simulated seconds per real second
+const PLAYBACK_SPEEDS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 50];
+
+// Custom algorithms' code is kept in the browser between visits
+const PLUGIN_STORAGE_KEY = 'lbsim-plugins';
+
+// All simulations share one clock so they see every request at the same
+// moment. It runs in simulated time: the speed control scales it and pausing
+// stops it, so arrivals, processing and animations all follow along.
+const clock = new ScaledClock(new WallClock());
+
+// Simulated time the current run ends, null while stopped
+let runEndTime = null;
+
+// Server specs shared by every simulation, see DEFAULT_SERVER_SPEC
+let fleet = createUniformFleet(initialValues.servers);
+
+// Request classes and their traffic mix, shared by every simulation
+let requestTypes = DEFAULT_REQUEST_TYPES;
+
+// Client population shared by every simulation
+let clients = { ...DEFAULT_CLIENTS };
+
+// Arrival pattern shared by every simulation; its rate follows the rate slider
+// and its duration the run time
+let trafficConfig = createTrafficConfig();
+
+// Queueing behaviour shared by every simulation
+let queueConfig = { ...DEFAULT_QUEUE_CONFIG };
+
+// Rate limits, concurrency limits and load shedding shared by every simulation
+let admissionConfig = { ...DEFAULT_ADMISSION_CONFIG };
+
+// Client timeouts, retries and the retry budget shared by every simulation
+let retryConfig = { ...DEFAULT_RETRY_CONFIG };
+
+// Backend pools ({ name, algorithm }) of a two-tier topology, empty for a
+// single balancer; the selected algorithm then runs the front balancer
+let pools = [];
+
+// Availability zones ({ name, clientShare }) clients and servers sit in,
+// empty when locality is off, and what crossing between them costs
+let zones = [];
+let networkConfig = { ...DEFAULT_NETWORK_CONFIG };
+
+// ms servers removed mid-run get to finish their requests
+let drainTimeout = DEFAULT_DRAIN_TIMEOUT;
+
+// ms over which servers' moving latency averages forget old answers
+let latencyDecay = DEFAULT_LATENCY_DECAY;
+
+// Health checking and scheduled faults, applied to every simulation alike
+let healthConfig = { ...DEFAULT_HEALTH_CHECK_CONFIG };
+let faultSchedule = [];  // { at, serverId, fault }, replayed by every new simulation
+
+// Passive outlier detection and per-server circuit breakers, whatever the algorithm
+let outlierConfig = { ...DEFAULT_OUTLIER_CONFIG };
+let breakerConfig = { ...DEFAULT_CIRCUIT_BREAKER_CONFIG };
+
+// Autoscaling policy shared by every simulation
+let autoscalingConfig = { ...DEFAULT_AUTOSCALING_CONFIG };
+
+// One entry per visible simulation: { name, engine, view, recorder }
+let simulations = [];
+let lastSummaryUpdate = 0;
+
+function createSimulations(algorithmNames) {
+    simulations.forEach(simulation => {
+        simulation.view.dispose();
+        simulation.recorder.dispose();
+    });
+    gridContainer.replaceChildren();
+
+    const comparing = algorithmNames.length > 1;
+    gridContainer.classList.toggle('compare', comparing);
+    gridContainer.style.gridTemplateColumns = `repeat(${Math.min(algorithmNames.length, 3)}, 1fr)`;
+    comparisonSummary.element.style.display = comparing ? 'block' : 'none';
+
+    // Lay out every container first so each view is sized to its grid cell
+    const containers = algorithmNames.map((name, i) => {
+        const container = document.createElement('div');
+        container.id = `sim${i + 1}`;
+        container.className = 'simulation-container';
+        gridContainer.appendChild(container);
+        return container;
+    });
+
+    simulations = algorithmNames.map((name, i) => {
+        const engine = new SimulationEngine({
+            algorithm: algorithms[name],
+            fleet: copyFleet(),
+            clients,
+            clock,
+            requestTypes,
+            serviceModel: serviceModelControl.value
+        });
+        engine.setTrafficConfig(trafficConfig);
+        engine.setQueueConfig(queueConfig);
+        engine.setAdmissionConfig(admissionConfig);
+        engine.setRetryConfig(retryConfig);
+        engine.setPools(createPools());
+        engine.setZones(zones);
+        engine.setNetworkConfig(networkConfig);
+        engine.setDrainTimeout(drainTimeout);
+        engine.setLatencyDecay(latencyDecay);
+        engine.setHealthCheckConfig(healthConfig);
+        engine.setOutlierConfig(outlierConfig);
+        engine.setCircuitBreakerConfig(breakerConfig);
+        engine.setAutoscalingConfig(autoscalingConfig);
+        faultSchedule.forEach(({ at, serverId, fault }) => engine.scheduleFault(at, serverId, fault));
+        const view = new LoadBalancerSimulation(containers[i].id, engine, {
+            title: comparing ? name : null,
+            onServerClick: server => {
+                faultEditor.selectServer(server.id);
+                openPanel('faultsPanel');
+            }
+        });
+        return { name, engine, view, recorder: new RunRecorder(engine) };
+    });
 
-class Server {
-    constructor(position) {
-        this.position = position;
-        this.requests = [];
-        this.maxCpu = 100;
-        this.maxMemory = 100;
-        this.mesh = null;
-        this.cpuBar = null;
-        this.memoryBar = null;
-        this.statsElement = null;  // New HTML element for stats
-        this.rejectedRequests = 0;  // Track rejections per server
-        this.completedRequests = 0;
-        this.totalResponseTime = 0;
-    }
+    // Faults are picked from the first simulation's servers
+    const firstEngine = simulations[0].engine;
+    const showServerIds = servers => faultEditor.setServerIds(servers.map(server => server.id));
+    firstEngine.on('serversChanged', showServerIds);
+    showServerIds(firstEngine.servers);
 
-    getAverageResponseTime() {
-        if (this.completedRequests === 0) return 0;
-        return this.totalResponseTime / this.completedRequests;
-    }
+    if (comparing) updateSummary();
+}
 
-    getCurrentLoad() {
-        const totalCpu = this.requests.reduce((sum, req) => sum + req.cpuLoad, 0);
-        const totalMemory = this.requests.reduce((sum, req) => sum + req.memoryLoad, 0);
-        return { cpu: totalCpu, memory: totalMemory };
-    }
+function createTrafficConfig() {
+    return { ...DEFAULT_TRAFFIC_CONFIG, rate: initialValues.rate, duration: initialValues.runTime * 1000 };
+}
 
-    canHandleRequest(request) {
-        const currentLoad = this.getCurrentLoad();
-        return (currentLoad.cpu + request.cpuLoad <= this.maxCpu) && 
-               (currentLoad.memory + request.memoryLoad <= this.maxMemory);
-    }
+function setTrafficConfig(newConfig) {
+    trafficConfig = newConfig;
+    trafficPatternControl.value = trafficConfig.pattern;
+    peakRateControl.value = trafficConfig.peakRate;
+    stepAtControl.value = trafficConfig.stepAt / 1000;
+    burstIntervalControl.value = trafficConfig.burstInterval / 1000;
+    burstLengthControl.value = trafficConfig.burstLength / 1000;
+    // Only show the settings the selected pattern uses
+    document.querySelectorAll('#trafficPanel [data-patterns]').forEach(field => {
+        field.style.display = field.dataset.patterns.split(' ').includes(trafficConfig.pattern) ? '' : 'none';
+    });
+    simulations.forEach(({ engine }) => engine.setTrafficConfig(trafficConfig));
+}
 
-    addRequest(request) {
-        this.requests.push(request);
-    }
+function createUniformFleet(count) {
+    return Array.from({ length: count }, () => ({ ...DEFAULT_SERVER_SPEC }));
+}
 
-    updateRequests() {
-        const completedNow = this.requests.filter(req => req.isComplete());
-        // Update stats for completed requests
-        completedNow.forEach(req => {
-            this.completedRequests++;
-            this.totalResponseTime += req.processingTime;
-        });
-        // Remove completed requests
-        this.requests = this.requests.filter(req => !req.isComplete());
-    }
+// Each engine gets its own copy of the specs
+function copyFleet() {
+    return fleet.map(spec => ({ ...spec }));
 }
 
-class LoadBalancerAlgorithm {
-    selectServer(servers, currentIndex) {
-        throw new Error('Method not implemented');
-    }
+function setFleet(newFleet) {
+    fleet = newFleet;
+    serverControl.value = fleet.length;
+    serverValue.textContent = fleet.length;
+    simulations.forEach(({ engine }) => engine.setFleet(copyFleet()));
 }
 
-class RoundRobinAlgorithm extends LoadBalancerAlgorithm {
-    selectServer(servers, currentIndex) {
-        for (let i = 0; i < servers.length; i++) {
-            const serverIndex = (currentIndex + i) % servers.length;
-            if (servers[serverIndex].canHandleRequest) {
-                return serverIndex;
-            }
-        }
-        return currentIndex;  // Return current if none can handle
+// Add or remove servers at the end without restarting the others; removed
+// servers finish their requests first
+function resizeFleet(count) {
+    fleet = fleet.slice(0, count);
+    while (fleet.length < count) {
+        fleet.push({ ...DEFAULT_SERVER_SPEC });
     }
+    serverControl.value = count;
+    serverValue.textContent = count;
+    simulations.forEach(({ engine }) => engine.setNumServers(count));
 }
 
-class RandomAlgorithm extends LoadBalancerAlgorithm {
-    selectServer(servers, currentIndex) {
-        // Try up to servers.length times to find an available server
-        const tried = new Set();
-        while (tried.size < servers.length) {
-            const index = Math.floor(Math.random() * servers.length);
-            if (servers[index].canHandleRequest) {
-                return index;
-            }
-            tried.add(index);
-        }
-        return Math.floor(Math.random() * servers.length);  // Return random if none can handle
-    }
+function setPools(newPools) {
+    pools = newPools;
+    topologyEditor.setPools(pools, Object.keys(algorithms));
+    fleetEditor.setPoolNames(pools.map(pool => pool.name));
+    simulations.forEach(({ engine }) => engine.setPools(createPools()));
 }
 
-class LeastRequestsAlgorithm extends LoadBalancerAlgorithm {
-    selectServer(servers, currentIndex) {
-        let minRequests = Infinity;
-        let selectedIndex = 0;
+// Each engine gets the algorithm instances themselves
+function createPools() {
+    return pools.map(({ name, algorithm }) => ({ name, algorithm: algorithms[algorithm], algorithmName: algorithm }));
+}
 
-        // Find the server with the least number of active requests
-        servers.forEach((server, index) => {
-            if (server.requests.length < minRequests) {
-                minRequests = server.requests.length;
-                selectedIndex = index;
-            }
-        });
+// Consecutive servers share a pool, the first ones in the first pool
+function spreadFleet(poolCount) {
+    setFleet(fleet.map((spec, i) => ({ ...spec, pool: Math.floor(i * poolCount / fleet.length) })));
+    fleetEditor.setFleet(fleet);
+}
 
-        return selectedIndex;
+// Servers of a zone that is gone move to the last one
+function setZones(newZones) {
+    zones = newZones;
+    zoneEditor.setZones(zones);
+    fleetEditor.setZoneNames(zones.map(zone => zone.name));
+    const lastZone = zones.length - 1;
+    if (zones.length > 1 && fleet.some(spec => spec.zone > lastZone)) {
+        setFleet(fleet.map(spec => ({ ...spec, zone: Math.min(spec.zone, lastZone) })));
+        fleetEditor.setFleet(fleet);
     }
+    simulations.forEach(({ engine }) => engine.setZones(zones));
 }
 
-class LeastResponseTimeAlgorithm extends LoadBalancerAlgorithm {
-    selectServer(servers, currentIndex) {
-        let minResponseTime = Infinity;
-        let selectedIndex = 0;
-
-        // Find the server with the lowest average response time
-        servers.forEach((server, index) => {
-            const avgResponseTime = server.getAverageResponseTime();
-            // If server has no history, use its current request count as a tiebreaker
-            const effectiveTime = avgResponseTime === 0 ? 
-                server.requests.length * 100 : // Penalize servers with no history
-                avgResponseTime;
-            
-            if (effectiveTime < minResponseTime) {
-                minResponseTime = effectiveTime;
-                selectedIndex = index;
-            }
-        });
+// Servers take turns, so every zone gets some of each pool
+function spreadZones(zoneCount) {
+    setFleet(fleet.map((spec, i) => ({ ...spec, zone: i % zoneCount })));
+    fleetEditor.setFleet(fleet);
+}
 
-        return selectedIndex;
-    }
+function setNetworkConfig(newConfig) {
+    networkConfig = newConfig;
+    crossZoneLatencyControl.value = networkConfig.crossZoneLatency;
+    crossZoneCostControl.value = networkConfig.crossZoneCost;
+    simulations.forEach(({ engine }) => engine.setNetworkConfig(networkConfig));
 }
 
-class DynamicAlgorithm extends LoadBalancerAlgorithm {
-    selectServer(servers, currentIndex) {
-        let minCpuLoad = Infinity;
-        let selectedIndex = 0;
-
-        // Find the server with the least CPU utilization
-        servers.forEach((server, index) => {
-            const currentLoad = server.getCurrentLoad();
-            if (currentLoad.cpu < minCpuLoad) {
-                minCpuLoad = currentLoad.cpu;
-                selectedIndex = index;
-            }
-        });
+function setDrainTimeout(timeout) {
+    drainTimeout = timeout;
+    drainTimeoutControl.value = drainTimeout / 1000;
+    simulations.forEach(({ engine }) => engine.setDrainTimeout(drainTimeout));
+}
 
-        return selectedIndex;
-    }
+function setLatencyDecay(decay) {
+    latencyDecay = decay;
+    latencyDecayControl.value = latencyDecay / 1000;
+    simulations.forEach(({ engine }) => engine.setLatencyDecay(latencyDecay));
 }
 
-class LoadBalancerSimulation {
-    constructor(containerId, algorithm) {
-        this.containerId = containerId;
-        this.container = document.getElementById(containerId);
-        this.algorithm = algorithm;
-        
-        // Scene setup
-        this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(0x000000);
-        
-        // Camera setup - Adjusted to show top half
-        const aspect = this.container.clientWidth / this.container.clientHeight;
-        this.camera = new THREE.OrthographicCamera(
-            -45, 45,  // Increased from -37.5, 37.5 (20% wider)
-            15, -25,
-            0.1, 1000
-        );
-        this.camera.position.set(0, -5, 30);  // Moved camera down
-        this.camera.lookAt(0, -5, 0);
-        
-        // Renderer setup
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
-        this.container.appendChild(this.renderer.domElement);
-        
-        // Simulation properties
-        this.numServers = 4;
-        this.servers = [];
-        this.currentServerIndex = 0;
-        this.loadBalancerMesh = null;
-        this.activeRequests = [];
-        this.requestCount = 0;
-        
-        // Define request types
-        this.requestTypes = [
-            { cpu: 5, memory: 3, color: '#4CAF50' },  // Green - Low CPU, Low Memory
-            { cpu: 8, memory: 4, color: '#2196F3' },  // Blue - Medium CPU, Low Memory
-            { cpu: 4, memory: 8, color: '#FF9800' },  // Orange - Low CPU, Medium Memory
-            { cpu: 10, memory: 6, color: '#F44336' }  // Red - High CPU, Medium Memory
-        ];
-
-        this.createLegend();
-        
-        // Add data points array for graphs
-        this.cpuBalanceHistory = [];
-        this.memoryBalanceHistory = [];
-        this.maxDataPoints = 50; // Store last 50 readings
-        
-        this.totalRejectedRequests = 0;  // Track total rejections
-        
-        this.initialZoom = {
-            left: -37.5,    // Increased from -25
-            right: 37.5,    // Increased from 25
-            top: 15,
-            bottom: -25
-        };
-        
-        this.setupScene();
-        this.animate();
-
-        // Create rejection counter display
-        this.rejectionCounter = document.createElement('div');
-        this.rejectionCounter.style.position = 'absolute';
-        this.rejectionCounter.style.top = '40px';  // Position below the title
-        this.rejectionCounter.style.left = '10px';
-        this.rejectionCounter.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
-        this.rejectionCounter.style.color = '#FF6B6B';
-        this.rejectionCounter.style.padding = '6px 10px';  // Slightly smaller padding
-        this.rejectionCounter.style.borderRadius = '4px';
-        this.rejectionCounter.style.fontFamily = 'Arial, sans-serif';
-        this.rejectionCounter.style.fontSize = '11px';  // Smaller font
-        this.rejectionCounter.style.display = 'flex';
-        this.rejectionCounter.style.alignItems = 'center';
-        this.rejectionCounter.style.zIndex = '1000';
-        this.rejectionCounter.style.width = 'fit-content';  // Adjust width to content
-        
-        // Add warning icon
-        const warningIcon = document.createElement('div');
-        warningIcon.innerHTML = '⚠️';
-        warningIcon.style.marginRight = '4px';  // Smaller margin
-        warningIcon.style.fontSize = '12px';  // Smaller icon
-        this.rejectionCounter.appendChild(warningIcon);
-        
-        // Add counter text
-        const counterText = document.createElement('div');
-        counterText.textContent = 'Rejected: 0';
-        this.rejectionCounter.appendChild(counterText);
-        
-        this.container.appendChild(this.rejectionCounter);
-    }
+function setRequestTypes(newRequestTypes) {
+    requestTypes = newRequestTypes;
+    simulations.forEach(({ engine }) => engine.setRequestTypes(requestTypes));
+    createLegend(requestTypes);
+}
 
-    setupScene() {
-        // Add ambient light
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.4);
-        this.scene.add(ambientLight);
+function setClients(newClients) {
+    clients = newClients;
+    clientCountControl.value = clients.count;
+    clientSkewControl.value = clients.skew;
+    simulations.forEach(({ engine }) => engine.setClients(clients));
+}
 
-        // Add directional lights for better shadows and highlights
-        const dirLight1 = new THREE.DirectionalLight(0xffffff, 0.6);
-        dirLight1.position.set(5, 5, 5);
-        this.scene.add(dirLight1);
+function setQueueConfig(newConfig) {
+    queueConfig = newConfig;
+    serverQueueControl.value = queueConfig.serverQueueSize;
+    globalQueueControl.value = queueConfig.globalQueueSize;
+    queueTimeoutControl.value = queueConfig.queueTimeout;
+    simulations.forEach(({ engine }) => engine.setQueueConfig(queueConfig));
+}
 
-        const dirLight2 = new THREE.DirectionalLight(0xffffff, 0.4);
-        dirLight2.position.set(-5, 5, -5);
-        this.scene.add(dirLight2);
+function setAdmissionConfig(newConfig) {
+    admissionConfig = newConfig;
+    rateLimitControl.value = admissionConfig.rateLimit;
+    burstControl.value = admissionConfig.burst;
+    clientRateLimitControl.value = admissionConfig.clientRateLimit;
+    clientBurstControl.value = admissionConfig.clientBurst;
+    concurrencyLimitControl.value = admissionConfig.concurrencyLimit;
+    clientConcurrencyLimitControl.value = admissionConfig.clientConcurrencyLimit;
+    sheddingControl.checked = admissionConfig.shedding;
+    shedThresholdControl.value = admissionConfig.shedThreshold;
+    simulations.forEach(({ engine }) => engine.setAdmissionConfig(admissionConfig));
+}
 
-        // Add point lights for LED glow effects
-        const pointLight = new THREE.PointLight(0x4CAF50, 0.5, 10);
-        pointLight.position.set(0, 12, 2);
-        this.scene.add(pointLight);
+function setRetryConfig(newConfig) {
+    retryConfig = newConfig;
+    clientTimeoutControl.value = retryConfig.timeout;
+    maxRetriesControl.value = retryConfig.maxRetries;
+    retryOnRejectionControl.checked = retryConfig.retryOnRejection;
+    retryOnTimeoutControl.checked = retryConfig.retryOnTimeout;
+    retryOnErrorControl.checked = retryConfig.retryOnError;
+    backoffControl.value = retryConfig.backoff;
+    maxBackoffControl.value = retryConfig.maxBackoff;
+    jitterControl.checked = retryConfig.jitter;
+    retryBudgetControl.checked = retryConfig.budget;
+    budgetPercentControl.value = retryConfig.budgetPercent;
+    budgetMinPerSecondControl.value = retryConfig.budgetMinPerSecond;
+    simulations.forEach(({ engine }) => engine.setRetryConfig(retryConfig));
+}
 
-        this.createLoadBalancer();
-        this.initializeServers();
-    }
+function setHealthConfig(newConfig) {
+    healthConfig = newConfig;
+    healthEnabledControl.checked = healthConfig.enabled;
+    healthIntervalControl.value = healthConfig.interval;
+    healthTimeoutControl.value = healthConfig.timeout;
+    unhealthyThresholdControl.value = healthConfig.unhealthyThreshold;
+    healthyThresholdControl.value = healthConfig.healthyThreshold;
+    simulations.forEach(({ engine }) => engine.setHealthCheckConfig(healthConfig));
+}
 
-    createLoadBalancer() {
-        this.loadBalancerMesh = new THREE.Group();
-
-        // Create main body shape - made wider and taller
-        const shape = new THREE.Shape();
-        shape.moveTo(-3, -1);
-        shape.lineTo(3, -1);
-        shape.lineTo(3, 1);
-        shape.lineTo(-3, 1);
-        shape.lineTo(-3, -1);
-
-        // Enhanced extrude settings
-        const extrudeSettings = {
-            steps: 2,
-            depth: 1.5,
-            bevelEnabled: true,
-            bevelThickness: 0.2,
-            bevelSize: 0.2,
-            bevelSegments: 5
-        };
-
-        // Create main body with enhanced materials
-        const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-        const material = new THREE.MeshPhysicalMaterial({
-            color: 0x2196F3,
-            metalness: 0.9,
-            roughness: 0.3,
-            clearcoat: 0.5,
-            clearcoatRoughness: 0.2,
-            reflectivity: 0.8
-        });
-        const body = new THREE.Mesh(geometry, material);
-        this.loadBalancerMesh.add(body);
-
-        // Add more detailed ventilation pattern
-        const ventPattern = new THREE.Group();
-        const ventHoleGeo = new THREE.CircleGeometry(0.08, 8);
-        const ventHoleMat = new THREE.MeshPhysicalMaterial({
-            color: 0x000000,
-            metalness: 0.9,
-            roughness: 0.1
-        });
+function setOutlierConfig(newConfig) {
+    outlierConfig = newConfig;
+    outlierEnabledControl.checked = outlierConfig.enabled;
+    consecutiveErrorsControl.value = outlierConfig.consecutiveErrors;
+    outlierIntervalControl.value = outlierConfig.interval / 1000;
+    successRateFactorControl.value = outlierConfig.successRateFactor;
+    latencyFactorControl.value = outlierConfig.latencyFactor;
+    minimumHostsControl.value = outlierConfig.minimumHosts;
+    requestVolumeControl.value = outlierConfig.requestVolume;
+    baseEjectionTimeControl.value = outlierConfig.baseEjectionTime / 1000;
+    maxEjectionPercentControl.value = outlierConfig.maxEjectionPercent;
+    simulations.forEach(({ engine }) => engine.setOutlierConfig(outlierConfig));
+}
 
-        for(let x = -2.5; x <= 2.5; x += 0.3) {
-            for(let y = -0.7; y <= 0.7; y += 0.3) {
-                const vent = new THREE.Mesh(ventHoleGeo, ventHoleMat);
-                vent.position.set(x, y, 0.8);
-                ventPattern.add(vent);
-            }
-        }
-        this.loadBalancerMesh.add(ventPattern);
-
-        // Add larger network ports
-        const portGroup = new THREE.Group();
-        const portGeo = new THREE.BoxGeometry(0.3, 0.4, 0.2);
-        const portMat = new THREE.MeshPhysicalMaterial({
-            color: 0x303030,
-            metalness: 0.9,
-            roughness: 0.2
-        });
+function setBreakerConfig(newConfig) {
+    breakerConfig = newConfig;
+    breakerEnabledControl.checked = breakerConfig.enabled;
+    failureThresholdControl.value = breakerConfig.failureThreshold;
+    windowSizeControl.value = breakerConfig.windowSize;
+    minimumRequestsControl.value = breakerConfig.minimumRequests;
+    openDurationControl.value = breakerConfig.openDuration / 1000;
+    halfOpenRequestsControl.value = breakerConfig.halfOpenRequests;
+    simulations.forEach(({ engine }) => engine.setCircuitBreakerConfig(breakerConfig));
+}
 
-        for(let i = 0; i < 4; i++) {
-            const port = new THREE.Mesh(portGeo, portMat);
-            port.position.set(-2.2 + i * 0.6, -1.1, 0.7);
-            portGroup.add(port);
-        }
-        this.loadBalancerMesh.add(portGroup);
-
-        // Add larger status display
-        const displayGeo = new THREE.PlaneGeometry(2, 0.6);
-        const displayMat = new THREE.MeshPhysicalMaterial({
-            color: 0x000000,
-            metalness: 0.0,
-            roughness: 0.1,
-            transmission: 0.5,
-            thickness: 0.2,
-            opacity: 0.7,
-            transparent: true
-        });
-        const display = new THREE.Mesh(displayGeo, displayMat);
-        display.position.set(1.5, 0, 0.8);
-        this.loadBalancerMesh.add(display);
-
-        // Add larger status LEDs
-        const ledGroup = new THREE.Group();
-        const ledGeo = new THREE.CircleGeometry(0.1, 16);
-        const ledMats = [
-            new THREE.MeshBasicMaterial({ 
-                color: 0x4CAF50,
-                emissive: 0x4CAF50,
-                emissiveIntensity: 0.5
-            }),
-            new THREE.MeshBasicMaterial({ 
-                color: 0xFFC107,
-                emissive: 0xFFC107,
-                emissiveIntensity: 0.5
-            }),
-            new THREE.MeshBasicMaterial({ 
-                color: 0x2196F3,
-                emissive: 0x2196F3,
-                emissiveIntensity: 0.5
-            })
-        ];
-
-        for(let i = 0; i < 3; i++) {
-            const led = new THREE.Mesh(ledGeo, ledMats[i]);
-            led.position.set(2.2, 0.5 - i * 0.3, 0.8);
-            ledGroup.add(led);
-        }
-        this.loadBalancerMesh.add(ledGroup);
+function setAutoscalingConfig(newConfig) {
+    autoscalingConfig = newConfig;
+    scalingPolicyControl.value = autoscalingConfig.policy;
+    minServersControl.value = autoscalingConfig.minServers;
+    maxServersControl.value = autoscalingConfig.maxServers;
+    targetCpuControl.value = autoscalingConfig.targetCpu;
+    scaleOutThresholdControl.value = autoscalingConfig.scaleOutThreshold;
+    scaleInThresholdControl.value = autoscalingConfig.scaleInThreshold;
+    stepSizeControl.value = autoscalingConfig.stepSize;
+    scalingScheduleControl.value = autoscalingConfig.schedule.map(({ at, servers }) => `${at / 1000}:${servers}`).join(', ');
+    scaleOutCooldownControl.value = autoscalingConfig.scaleOutCooldown / 1000;
+    scaleInCooldownControl.value = autoscalingConfig.scaleInCooldown / 1000;
+    warmupControl.value = autoscalingConfig.warmup / 1000;
+    // Only show the settings the selected policy uses
+    document.querySelectorAll('#autoscalingPanel [data-policies]').forEach(field => {
+        field.style.display = field.dataset.policies.split(' ').includes(autoscalingConfig.policy) ? '' : 'none';
+    });
+    simulations.forEach(({ engine }) => engine.setAutoscalingConfig(autoscalingConfig));
+}
 
-        this.loadBalancerMesh.position.set(0, -5, 0);  // Moved load balancer up in screen
-        this.scene.add(this.loadBalancerMesh);
-    }
+// "20:8, 40:4" -> [{ at: 20000, servers: 8 }, { at: 40000, servers: 4 }], skipping unreadable entries
+function parseScalingSchedule(text) {
+    return text.split(',')
+        .map(entry => entry.split(':').map(part => parseFloat(part)))
+        .filter(([at, servers]) => Number.isFinite(at) && at >= 0 && Number.isInteger(servers) && servers >= 0)
+        .map(([at, servers]) => ({ at: at * 1000, servers }))
+        .sort((a, b) => a.at - b.at);
+}
 
-    initializeServers() {
-        // Remove old servers
-        this.servers.forEach(server => {
-            if (server.mesh) this.scene.remove(server.mesh);
-            if (server.cpuBar) this.scene.remove(server.cpuBar);
-            if (server.memoryBar) this.scene.remove(server.memoryBar);
-            if (server.statsElement) this.container.removeChild(server.statsElement);
-        });
-        this.servers = [];
-
-        // Calculate available space and required spacing
-        const viewWidth = 35;
-        const serverWidth = 4;  // Adjusted width
-        const minSpacing = 5;   // More spacing between servers
-        
-        // Calculate the spacing needed
-        const totalSpacingNeeded = (this.numServers - 1) * minSpacing;
-        const totalServerWidth = this.numServers * serverWidth;
-        const totalWidth = totalSpacingNeeded + totalServerWidth;
-        
-        // Calculate scale factor to fit everything in view
-        const scale = Math.min(1, viewWidth / totalWidth);
-        
-        // Calculate final dimensions
-        const scaledServerWidth = serverWidth * scale;
-        const scaledSpacing = minSpacing * scale;
-        const totalScaledWidth = (scaledServerWidth * this.numServers) + (scaledSpacing * (this.numServers - 1));
-        const startX = -totalScaledWidth / 2 + scaledServerWidth / 2;
-
-        // Create servers with proper spacing
-        for (let i = 0; i < this.numServers; i++) {
-            const position = new THREE.Vector3(
-                startX + i * (scaledServerWidth + scaledSpacing),
-                -15,  // Moved servers up in screen
-                0
-            );
-            const server = this.createServer(position, scale * 1.5);
-            this.servers.push(server);
-        }
+// `at` is ms after the run starts, or null to apply the fault right away
+function injectFault(at, serverId, fault) {
+    if (at === null) {
+        simulations.forEach(({ engine }) => engine.injectFault(serverId, fault));
+        return;
     }
+    faultSchedule = [...faultSchedule, { at, serverId, fault }].sort((a, b) => a.at - b.at);
+    simulations.forEach(({ engine }) => engine.scheduleFault(at, serverId, fault));
+    faultEditor.setSchedule(faultSchedule);
+}
 
-    createServer(position, scale = 1) {
-        const server = new Server(position);
-        server.mesh = new THREE.Group();
+function setFaultSchedule(schedule) {
+    faultSchedule = schedule;
+    simulations.forEach(({ engine }) => {
+        engine.clearScheduledFaults();
+        faultSchedule.forEach(({ at, serverId, fault }) => engine.scheduleFault(at, serverId, fault));
+    });
+    faultEditor.setSchedule(faultSchedule);
+}
 
-        // Create main server body - modern dark theme
-        const bodyGeo = new THREE.PlaneGeometry(4 * scale, 5 * scale);
-        const bodyMat = new THREE.MeshBasicMaterial({
-            color: 0x1A1A2E  // Dark blue-gray background
-        });
-        const body = new THREE.Mesh(bodyGeo, bodyMat);
-        server.mesh.add(body);
+function updateSummary() {
+    comparisonSummary.update(simulations.map(({ name, engine }) => ({
+        name,
+        summary: engine.getSummary()
+    })));
+}
 
-        // Add border with gradient effect
-        const borderGeo = new THREE.PlaneGeometry(4.02 * scale, 5.02 * scale);
-        const borderMat = new THREE.MeshBasicMaterial({
-            color: 0x7B68EE  // Medium slate blue - more vibrant
-        });
-        const border = new THREE.Mesh(borderGeo, borderMat);
-        border.position.z = -0.01;
-        server.mesh.add(border);
-
-        // Add horizontal lines with dots
-        const lineGeo = new THREE.PlaneGeometry(3 * scale, 0.08 * scale);
-        const dotGeo = new THREE.CircleGeometry(0.04 * scale, 32);
-        const lineMat = new THREE.MeshBasicMaterial({
-            color: 0xFF6B6B  // Coral red - more vibrant
-        });
+// Everything that shapes a run as a scenario, see scenario.js.
+// Exported results record it too.
+function collectScenario() {
+    return {
+        version: SCENARIO_VERSION,
+        seed: seedControl.value.trim(),
+        algorithms: simulations.map(({ name }) => name),
+        algorithmOptions: collectAlgorithmOptions(algorithm => algorithm),
+        runTime: readRunTime(),
+        serviceModel: serviceModelControl.value,
+        traffic: trafficConfig,
+        fleet,
+        requestTypes,
+        clients,
+        queues: queueConfig,
+        admission: admissionConfig,
+        retries: retryConfig,
+        pools,
+        zones,
+        network: networkConfig,
+        drainTimeout,
+        latencyDecay,
+        healthChecks: healthConfig,
+        outlierDetection: outlierConfig,
+        circuitBreakers: breakerConfig,
+        faultSchedule,
+        autoscaling: autoscalingConfig
+    };
+}
 
-        // Position lines and dots evenly
-        const positions = [-1.5, -0.5, 0.5, 1.5];
-        positions.forEach(y => {
-            // Add line
-            const line = new THREE.Mesh(lineGeo, lineMat);
-            line.position.set(0.2 * scale, y * scale, 0.01);
-            server.mesh.add(line);
-
-            // Add dot
-            const dot = new THREE.Mesh(dotGeo, lineMat);
-            dot.position.set(-1.7 * scale, y * scale, 0.01);
-            server.mesh.add(dot);
-        });
+// The scenario Reset returns to
+function createDefaultScenario() {
+    return {
+        version: SCENARIO_VERSION,
+        seed: '',
+        algorithms: [initialValues.algorithm],
+        algorithmOptions: collectAlgorithmOptions(algorithm => new algorithm.constructor()),
+        runTime: initialValues.runTime,
+        serviceModel: initialValues.serviceModel,
+        traffic: createTrafficConfig(),
+        fleet: createUniformFleet(initialValues.servers),
+        requestTypes: DEFAULT_REQUEST_TYPES,
+        clients: { ...DEFAULT_CLIENTS },
+        queues: { ...DEFAULT_QUEUE_CONFIG },
+        admission: { ...DEFAULT_ADMISSION_CONFIG },
+        retries: { ...DEFAULT_RETRY_CONFIG },
+        pools: [],
+        zones: [],
+        network: { ...DEFAULT_NETWORK_CONFIG },
+        drainTimeout: DEFAULT_DRAIN_TIMEOUT,
+        latencyDecay: DEFAULT_LATENCY_DECAY,
+        healthChecks: { ...DEFAULT_HEALTH_CHECK_CONFIG },
+        outlierDetection: { ...DEFAULT_OUTLIER_CONFIG },
+        circuitBreakers: { ...DEFAULT_CIRCUIT_BREAKER_CONFIG },
+        faultSchedule: [],
+        autoscaling: { ...DEFAULT_AUTOSCALING_CONFIG }
+    };
+}
 
-        // Position the server
-        server.mesh.position.copy(position);
-        this.scene.add(server.mesh);
-
-        // Create usage bars with modern colors
-        const barGeometry = new THREE.PlaneGeometry(3.6 * scale, 0.2 * scale);
-        
-        // CPU bar - matching the border color
-        const cpuBarMat = new THREE.MeshBasicMaterial({
-            color: 0x7B68EE,
-            transparent: true,
-            opacity: 0.9
-        });
-        server.cpuBar = new THREE.Mesh(barGeometry, cpuBarMat);
-        server.cpuBar.position.set(position.x, position.y + 3 * scale, position.z + 0.02);
-        server.cpuBar.scale.x = 0;
-        this.scene.add(server.cpuBar);
-
-        // Memory bar - matching the line color
-        const memBarMat = new THREE.MeshBasicMaterial({
-            color: 0xFF6B6B,
-            transparent: true,
-            opacity: 0.9
-        });
-        server.memoryBar = new THREE.Mesh(barGeometry, memBarMat);
-        server.memoryBar.position.set(position.x, position.y + 2.4 * scale, position.z + 0.02);
-        server.memoryBar.scale.x = 0;
-        this.scene.add(server.memoryBar);
-
-        // Create stats element with matching theme and scaled font size
-        const statsElement = document.createElement('div');
-        statsElement.style.position = 'absolute';
-        statsElement.style.textAlign = 'center';
-        statsElement.style.color = '#FFFFFF';
-        statsElement.style.fontFamily = 'Arial, sans-serif';
-        statsElement.style.fontSize = `${Math.max(6, 8 * scale)}px`;  // Reduced base size from 12 to 8, min from 8 to 6
-        statsElement.style.fontWeight = 'normal';
-        statsElement.style.zIndex = '1000';
-        statsElement.style.lineHeight = '1.1';  // Reduced line height from 1.2 to 1.1
-        statsElement.innerHTML = `
-            <div style="margin-bottom: ${1 * scale}px">CPU: 0%</div>
-            <div>MEM: 0%</div>
-        `;
-        this.container.appendChild(statsElement);
-        server.statsElement = statsElement;
-
-        return server;
-    }
+// Options of every algorithm that has some, read from getInstance(algorithm)
+function collectAlgorithmOptions(getInstance) {
+    return Object.fromEntries(Object.entries(algorithms)
+        .filter(([, algorithm]) => algorithm.constructor.optionSchema.length > 0)
+        .map(([name, algorithm]) => [name, { ...getInstance(algorithm).options }]));
+}
 
-    createLegend() {
-        const requestTypesContainer = document.getElementById('requestTypes');
-        
-        this.requestTypes.forEach(type => {
-            const item = document.createElement('div');
-            item.className = 'request-type';
-            
-            const colorBox = document.createElement('div');
-            colorBox.className = 'color-box';
-            colorBox.style.backgroundColor = type.color;
-            
-            const text = document.createElement('div');
-            text.textContent = `${type.cpu}% / ${type.memory}%`;
-            
-            item.appendChild(colorBox);
-            item.appendChild(text);
-            requestTypesContainer.appendChild(item);
-        });
-    }
+// Put a complete scenario into the controls and start over on fresh simulations
+function applyScenario(scenario) {
+    stopSimulation();
 
-    createRequest() {
-        // Select a random request type
-        const requestType = this.requestTypes[Math.floor(Math.random() * this.requestTypes.length)];
-
-        const request = new Request(
-            this.requestCount++,
-            requestType.cpu,
-            requestType.memory,
-            Math.random() * 499 + 1  // Random duration between 1-500ms
-        );
-
-        // Create request visualization
-        const geometry = new THREE.CircleGeometry(0.5, 32);
-        const material = new THREE.MeshBasicMaterial({ 
-            color: new THREE.Color(requestType.color)
+    seedControl.value = scenario.seed;
+    rateControl.value = scenario.traffic.rate;
+    rateValue.textContent = scenario.traffic.rate.toFixed(1);
+    runTimeControl.value = scenario.runTime;
+    timeLeftValue.textContent = `${scenario.runTime}s left`;
+
+    setFleet(scenario.fleet.map(spec => ({ ...spec })));
+    fleetEditor.setFleet(fleet);
+    setClients({ ...scenario.clients });
+    setRequestTypes(scenario.requestTypes);
+    requestTypeEditor.setRequestTypes(requestTypes);
+    serviceModelControl.value = scenario.serviceModel;
+    setTrafficConfig({ ...scenario.traffic, duration: scenario.runTime * 1000 });
+    setQueueConfig({ ...scenario.queues });
+    setAdmissionConfig({ ...scenario.admission });
+    setRetryConfig({ ...scenario.retries });
+    setPools(scenario.pools.map(pool => ({ ...pool })));
+    setZones(scenario.zones.map(zone => ({ ...zone })));
+    setNetworkConfig({ ...scenario.network });
+    setDrainTimeout(scenario.drainTimeout);
+    setLatencyDecay(scenario.latencyDecay);
+    setHealthConfig({ ...scenario.healthChecks });
+    setOutlierConfig({ ...scenario.outlierDetection });
+    setBreakerConfig({ ...scenario.circuitBreakers });
+    setFaultSchedule(scenario.faultSchedule.map(entry => ({ ...entry, fault: { ...entry.fault } })));
+    setAutoscalingConfig({ ...scenario.autoscaling, schedule: scenario.autoscaling.schedule.map(entry => ({ ...entry })) });
+
+    Object.entries(scenario.algorithmOptions).forEach(([name, options]) => {
+        Object.entries(options).forEach(([key, value]) => algorithms[name].setOption(key, value));
+    });
+    algorithmOptionsEditor.render();
+
+    // One algorithm runs on its own, several side by side
+    const names = scenario.algorithms.slice(0, maxCompared);
+    compareToggle.checked = names.length > 1;
+    if (names.length > 1) {
+        compareAlgorithms.querySelectorAll('input').forEach(checkbox => {
+            checkbox.checked = names.includes(checkbox.value);
         });
-        request.mesh = new THREE.Mesh(geometry, material);
-        request.mesh.position.copy(this.loadBalancerMesh.position);
-        this.scene.add(request.mesh);
-
-        // Use the algorithm to select a server
-        let assigned = false;
-        const serverIndex = this.algorithm.selectServer(this.servers, this.currentServerIndex);
-        const server = this.servers[serverIndex];
-        
-        if (server.canHandleRequest(request)) {
-            this.currentServerIndex = (serverIndex + 1) % this.numServers;
-            this.animateRequest(request, server);
-            server.addRequest(request);
-            assigned = true;
-        }
-
-        // If no server can handle the request, reject it
-        if (!assigned) {
-            this.totalRejectedRequests++;
-            this.servers[serverIndex].rejectedRequests++;
-            this.rejectionCounter.lastChild.textContent = `Rejected: ${this.totalRejectedRequests}`;
-            
-            // Animate the request fading out with red pulse
-            const startTime = Date.now();
-            const duration = 500;
-            
-            // Create pulse effect
-            const pulseGeometry = new THREE.CircleGeometry(0.7, 32);
-            const pulseMaterial = new THREE.MeshBasicMaterial({
-                color: 0xFF6B6B,
-                transparent: true,
-                opacity: 0.5
-            });
-            const pulse = new THREE.Mesh(pulseGeometry, pulseMaterial);
-            pulse.position.copy(request.mesh.position);
-            this.scene.add(pulse);
-            
-            const fadeOut = () => {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / duration, 1);
-                
-                // Fade out request
-                material.opacity = 1 - progress;
-                material.transparent = true;
-                
-                // Pulse effect
-                pulse.scale.set(1 + progress, 1 + progress, 1);
-                pulseMaterial.opacity = 0.5 * (1 - progress);
-                
-                if (progress < 1) {
-                    requestAnimationFrame(fadeOut);
-                } else {
-                    this.scene.remove(request.mesh);
-                    this.scene.remove(pulse);
-                }
-            };
-            
-            fadeOut();
-        }
+    } else {
+        algorithmSelect.value = names[0];
     }
+    showAlgorithmControls();
+    updateCompareLimits();
 
-    animateRequest(request, server) {
-        const startPos = this.loadBalancerMesh.position.clone();
-        const endPos = server.mesh.position.clone();
-        const startTime = Date.now();
-        const duration = 1000; // 1 second animation
-
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-
-            // Curved path animation
-            const currentPos = new THREE.Vector3();
-            currentPos.y = startPos.y + (endPos.y - startPos.y) * progress;
-            currentPos.x = startPos.x + (endPos.x - startPos.x) * progress;
-            // Add a slight horizontal curve based on vertical progress
-            const curve = Math.sin(progress * Math.PI) * (endPos.x - startPos.x) * 0.2;
-            currentPos.x += curve;
-            
-            request.mesh.position.copy(currentPos);
-
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                // Remove the request mesh when it reaches the server
-                this.scene.remove(request.mesh);
-            }
-        };
+    createSimulations(selectedAlgorithms());
+}
 
-        animate();
+// Scenario data from a file or link, filled up with defaults
+function loadScenario(data) {
+    try {
+        applyScenario(mergeScenario(data, createDefaultScenario()));
+    } catch (error) {
+        alert(`Could not load the scenario: ${error.message}`);
     }
+}
 
-    updateServerVisuals() {
-        const loads = this.servers.map(server => server.getCurrentLoad());
-        
-        // Calculate statistics
-        const cpuLoads = loads.map(load => load.cpu);
-        const memoryLoads = loads.map(load => load.memory);
-        
-        const cpuStats = this.calculateStats(cpuLoads);
-        const memoryStats = this.calculateStats(memoryLoads);
-
-        // Update stats display
-        this.updateStatsDisplay(cpuStats, memoryStats);
-
-        this.servers.forEach((server, index) => {
-            const load = loads[index];
-            
-            // Update CPU and Memory bars
-            server.cpuBar.scale.x = load.cpu / server.maxCpu;
-            server.cpuBar.position.x = server.mesh.position.x - (1.4 * (1 - server.cpuBar.scale.x));
-
-            server.memoryBar.scale.x = load.memory / server.maxMemory;
-            server.memoryBar.position.x = server.mesh.position.x - (1.4 * (1 - server.memoryBar.scale.x));
-
-            // Update server requests
-            server.updateRequests();
-
-            // Update HTML stats position - positioned below server
-            const vector = new THREE.Vector3(
-                server.mesh.position.x,
-                server.mesh.position.y - 4.5,
-                server.mesh.position.z
-            );
-            vector.project(this.camera);
-            
-            const x = (vector.x * 0.5 + 0.5) * this.container.clientWidth;
-            const y = (-vector.y * 0.5 + 0.5) * this.container.clientHeight;
-            
-            server.statsElement.style.transform = `translate(-50%, 0)`;
-            server.statsElement.style.left = `${x}px`;
-            server.statsElement.style.top = `${y}px`;
-            server.statsElement.innerHTML = `
-                <div style="margin-bottom: 1px">CPU: ${Math.round(load.cpu)}%</div>
-                <div style="margin-bottom: 1px">MEM: ${Math.round(load.memory)}%</div>
-                <div style="margin-bottom: 1px">Requests: ${server.requests.length}</div>
-                <div>Avg Latency: ${Math.round(server.getAverageResponseTime())}ms</div>
-            `;
-        });
+function loadLinkedScenario() {
+    let data;
+    try {
+        data = scenarioFromHash(window.location.hash);
+    } catch (error) {
+        alert('The scenario in this link is damaged.');
+        return;
     }
+    if (data) loadScenario(data);
+}
 
-    calculateStats(values) {
-        const mean = values.reduce((a, b) => a + b, 0) / values.length;
-        const variance = values.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / values.length;
-        const stdDev = Math.sqrt(variance);
-        const min = Math.min(...values);
-        const max = Math.max(...values);
-        
-        return {
-            mean: Math.round(mean * 10) / 10,
-            variance: Math.round(variance * 10) / 10,
-            stdDev: Math.round(stdDev * 10) / 10,
-            min: Math.round(min * 10) / 10,
-            max: Math.round(max * 10) / 10
-        };
-    }
+function exportScenario() {
+    downloadFile(exportName('scenario.json'), JSON.stringify(collectScenario(), null, 2), 'application/json');
+}
 
-    calculateBalanceScore(values) {
-        if (values.length === 0) return 100;  // No servers = perfectly balanced
-        
-        const mean = values.reduce((a, b) => a + b, 0) / values.length;
-        if (mean === 0) return 100;  // All zeros = perfectly balanced
-        
-        // Calculate how far each value deviates from the mean
-        const maxDeviation = Math.max(...values.map(v => Math.abs(v - mean)));
-        
-        // Convert to a 0-100 score where:
-        // 0 deviation = 100% balanced
-        // deviation equal to mean = 0% balanced
-        const score = Math.max(0, 100 * (1 - maxDeviation / (mean * 2)));
-        
-        return Math.round(score);
+async function importScenario(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        alert(`${file.name} is not a JSON file.`);
+        return;
     }
+    // Results exported as JSON carry the scenario they were run with
+    loadScenario(data && data.simulations ? data.settings : data);
+}
 
-    updateStatsDisplay(cpuStats, memoryStats) {
-        if (!this.statsElement) {
-            this.statsElement = document.createElement('div');
-            this.statsElement.style.position = 'absolute';
-            this.statsElement.style.bottom = '10px';
-            this.statsElement.style.left = '10px';  // Changed from 50% to 10px
-            this.statsElement.style.transform = 'none';  // Removed translateX
-            this.statsElement.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
-            this.statsElement.style.color = 'white';
-            this.statsElement.style.padding = '10px';
-            this.statsElement.style.borderRadius = '6px';
-            this.statsElement.style.fontFamily = 'Arial, sans-serif';
-            this.statsElement.style.fontSize = '12px';
-            this.statsElement.style.boxShadow = '0 2px 4px rgba(0, 0, 0, 0.3)';
-            this.statsElement.style.width = '220px';
-            this.statsElement.style.zIndex = '1000';
-            
-            // Create canvas for graphs
-            this.graphCanvas = document.createElement('canvas');
-            this.graphCanvas.width = 220;
-            this.graphCanvas.height = 80;
-            this.graphCanvas.style.marginTop = '8px';
-            
-            this.statsElement.innerHTML = `
-                <div style="display: flex; justify-content: space-between; align-items: center;">
-                    <div style="font-size: 11px; opacity: 0.9;">Balance History</div>
-                    <div style="display: flex; gap: 12px; font-size: 11px;">
-                        <div style="display: flex; align-items: center;">
-                            <div style="width: 6px; height: 6px; background: #4CAF50; margin-right: 4px; border-radius: 50%;"></div>
-                            <span id="cpuValue-${this.containerId}">0</span>%
-                        </div>
-                        <div style="display: flex; align-items: center;">
-                            <div style="width: 6px; height: 6px; background: #FF6B6B; margin-right: 4px; border-radius: 50%;"></div>
-                            <span id="memValue-${this.containerId}">0</span>%
-                        </div>
-                    </div>
-                </div>
-            `;
-            
-            this.statsElement.appendChild(this.graphCanvas);
-            this.container.appendChild(this.statsElement);
-        }
+// Put the scenario in the address bar and copy the link
+function shareScenario() {
+    window.history.replaceState(null, '', scenarioToHash(collectScenario()));
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(window.location.href).then(() => {
+        shareScenarioBtn.textContent = 'Copied';
+        setTimeout(() => { shareScenarioBtn.textContent = 'Link'; }, 1500);
+    }, () => {});
+}
 
-        const cpuLoads = this.servers.map(server => server.getCurrentLoad().cpu);
-        const memoryLoads = this.servers.map(server => server.getCurrentLoad().memory);
-        
-        const cpuBalance = this.calculateBalanceScore(cpuLoads);
-        const memoryBalance = this.calculateBalanceScore(memoryLoads);
-
-        // Update current values
-        document.getElementById(`cpuValue-${this.containerId}`).textContent = cpuBalance;
-        document.getElementById(`memValue-${this.containerId}`).textContent = memoryBalance;
-
-        // Update history arrays
-        this.cpuBalanceHistory.push(cpuBalance);
-        this.memoryBalanceHistory.push(memoryBalance);
-        
-        if (this.cpuBalanceHistory.length > this.maxDataPoints) {
-            this.cpuBalanceHistory.shift();
-            this.memoryBalanceHistory.shift();
-        }
+// File names start with the seed so runs are easy to tell apart
+function exportName(suffix) {
+    return `lbsim-${seedControl.value.trim() || 'unseeded'}-${suffix}`;
+}
 
-        // Draw graphs
-        const ctx = this.graphCanvas.getContext('2d');
-        ctx.clearRect(0, 0, this.graphCanvas.width, this.graphCanvas.height);
-
-        // Set up graph area with smaller padding
-        const padding = {
-            left: 25,
-            right: 5,
-            top: 5,
-            bottom: 15
-        };
-        const graphWidth = this.graphCanvas.width - (padding.left + padding.right);
-        const graphHeight = this.graphCanvas.height - (padding.top + padding.bottom);
-
-        // Draw y-axis and labels with smaller font
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        ctx.lineWidth = 1;
-        ctx.textAlign = 'right';
-        ctx.textBaseline = 'middle';
-        ctx.font = '9px Arial';
-
-        // Draw y-axis line
-        ctx.beginPath();
-        ctx.moveTo(padding.left, padding.top);
-        ctx.lineTo(padding.left, this.graphCanvas.height - padding.bottom);
-        ctx.stroke();
-
-        // Draw y-axis labels and grid lines
-        for (let i = 0; i <= 100; i += 25) {
-            const y = padding.top + (graphHeight * (1 - i/100));
-            
-            // Grid line
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-            ctx.beginPath();
-            ctx.moveTo(padding.left, y);
-            ctx.lineTo(this.graphCanvas.width - padding.right, y);
-            ctx.stroke();
-            
-            // Label
-            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-            ctx.fillText(i + '%', padding.left - 3, y);
-        }
+function downloadJSON() {
+    const results = {
+        exportedAt: new Date().toISOString(),
+        settings: collectScenario(),
+        simulations: simulations.map(({ name, recorder }) => ({ algorithm: name, ...recorder.toJSON() }))
+    };
+    downloadFile(exportName('results.json'), JSON.stringify(results, null, 2), 'application/json');
+}
 
-        // Draw x-axis and time labels
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'top';
-        ctx.font = '9px Arial';
-
-        // Draw x-axis line
-        ctx.beginPath();
-        ctx.moveTo(padding.left, this.graphCanvas.height - padding.bottom);
-        ctx.lineTo(this.graphCanvas.width - padding.right, this.graphCanvas.height - padding.bottom);
-        ctx.stroke();
-
-        // Draw x-axis time labels
-        const timePoints = [0, 50];
-        timePoints.forEach(point => {
-            const x = padding.left + (point * graphWidth / 50);
-            ctx.fillText(`${point}s`, x, this.graphCanvas.height - padding.bottom + 3);
-        });
+// One button per table, as browsers block a second download from one click.
+// An algorithm column lets comparison runs share a file.
+function downloadRequestsCSV() {
+    const rows = simulations.flatMap(({ name, recorder }) => recorder.getRequestRows({ algorithm: name }));
+    downloadFile(exportName('requests.csv'), requestsToCSV(rows), 'text/csv');
+}
 
-        // Function to draw a line graph
-        const drawLine = (data, color) => {
-            if (data.length < 2) return;  // Need at least 2 points to draw a line
-            
-            ctx.strokeStyle = color;
-            ctx.lineWidth = 1.5;
-            ctx.beginPath();
-            
-            data.forEach((value, index) => {
-                const x = padding.left + (index * (graphWidth / (this.maxDataPoints - 1)));
-                const y = padding.top + (graphHeight * (1 - value/100));
-                
-                if (index === 0) {
-                    ctx.moveTo(x, y);
-                } else {
-                    ctx.lineTo(x, y);
-                }
-            });
-            
-            ctx.stroke();
-        };
-
-        // Draw CPU and Memory lines
-        drawLine(this.cpuBalanceHistory, '#4CAF50');
-        drawLine(this.memoryBalanceHistory, '#FF6B6B');
-    }
+function downloadTimeseriesCSV() {
+    const rows = simulations.flatMap(({ name, recorder }) => recorder.getTimeseriesRows({ algorithm: name }));
+    downloadFile(exportName('timeseries.csv'), toCSV(rows), 'text/csv');
+}
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
-        
-        // Update server loads and stats
-        const loads = this.servers.map(server => server.getCurrentLoad());
-        const cpuLoads = loads.map(load => load.cpu);
-        const memoryLoads = loads.map(load => load.memory);
-        
-        const cpuStats = this.calculateStats(cpuLoads);
-        const memoryStats = this.calculateStats(memoryLoads);
-
-        // Update stats display
-        this.updateStatsDisplay(cpuStats, memoryStats);
-
-        // Update server visuals
-        this.updateServerVisuals();
-        
-        // Render the scene
-        this.renderer.render(this.scene, this.camera);
-    }
+// Register a custom algorithm from the editor; returns its name or throws
+function addPlugin(source) {
+    const algorithm = registerAlgorithmSource(source);
+    const name = algorithm.definition.name.trim();
+    // Simulations running an earlier version switch to this one
+    simulations.forEach(simulation => {
+        if (simulation.name === name) simulation.engine.setAlgorithm(algorithm);
+    });
+    refreshAlgorithms();
+    return name;
+}
 
-    setNumServers(count) {
-        this.numServers = count;
-        this.currentServerIndex = 0;
-        this.initializeServers();
+function removePlugin(name) {
+    unregisterAlgorithm(name);
+    refreshAlgorithms();
+    if (simulations.some(simulation => simulation.name === name)) {
+        stopSimulation();
+        createSimulations(selectedAlgorithms());
     }
+}
 
-    clearRequests() {
-        // Remove all request meshes from the scene
-        this.scene.children.forEach(child => {
-            if (child.isRequest) {
-                this.scene.remove(child);
-            }
-        });
+function refreshAlgorithms() {
+    const compared = [...compareAlgorithms.querySelectorAll('input:checked')].map(input => input.value);
+    populateAlgorithmControls(algorithmSelect.value, compared);
+    algorithmOptionsEditor.render();
+    pluginEditor.setPlugins(getPluginAlgorithms());
+    savePlugins();
 
-        // Reset server loads
-        this.servers.forEach(server => {
-            server.requests = [];
-            server.rejectedRequests = 0;
-            server.cpuBar.scale.x = 0;
-            server.memoryBar.scale.x = 0;
-        });
+    // Pools pick up new versions; ones whose algorithm is gone fall back to the default
+    setPools(pools.map(pool => Object.hasOwn(algorithms, pool.algorithm) ? pool : { ...pool, algorithm: initialValues.algorithm }));
+}
 
-        // Reset counters
-        this.requestCount = 0;
-        this.totalRejectedRequests = 0;
-        if (this.rejectionCounter) {
-            this.rejectionCounter.lastChild.textContent = `Rejected: 0`;
-        }
+function savePlugins() {
+    try {
+        localStorage.setItem(PLUGIN_STORAGE_KEY, JSON.stringify(getPluginAlgorithms().map(([, algorithm]) => algorithm.source)));
+    } catch (error) {
+        // Storage may be disabled; the plugins then only last until the page is closed
     }
 }
 
-// Create simulations
-const algorithms = {
-    'Round Robin': new RoundRobinAlgorithm(),
-    'Random': new RandomAlgorithm(),
-    'Least Requests': new LeastRequestsAlgorithm(),
-    'Least Response Time': new LeastResponseTimeAlgorithm(),
-    'Dynamic CPU': new DynamicAlgorithm()
-};
+// Plugins that no longer register (say, a name now taken by a built-in) are dropped
+function loadSavedPlugins() {
+    let sources = [];
+    try {
+        sources = JSON.parse(localStorage.getItem(PLUGIN_STORAGE_KEY)) || [];
+    } catch (error) {
+        return;
+    }
+    sources.forEach(source => {
+        try {
+            registerAlgorithmSource(source);
+        } catch (error) {
+            // Skip it
+        }
+    });
+}
 
-// Create single simulation with Round Robin as default
-const simulation = new LoadBalancerSimulation('sim1', algorithms['Round Robin']);
+function isRunning() {
+    return simulations.some(({ engine }) => engine.running);
+}
 
-// Global controls
-let autoRequestInterval = null;
-let simulationTimer = null;
-const toggleBtn = document.getElementById('toggleBtn');
-const resetBtn = document.getElementById('resetBtn');
-const rateControl = document.getElementById('rateControl');
-const rateValue = document.getElementById('rateValue');
-const serverControl = document.getElementById('serverControl');
-const serverValue = document.getElementById('serverValue');
-const algorithmSelect = document.getElementById('algorithmSelect');
-const runTimeControl = document.getElementById('runTimeControl');
-const timeLeftValue = document.getElementById('timeLeftValue');
-let currentInterval = 1000;
-let remainingTime = 0;
+function selectedAlgorithms() {
+    if (!compareToggle.checked) return [algorithmSelect.value];
+    return [...compareAlgorithms.querySelectorAll('input:checked')].map(input => input.value);
+}
 
-// Initial values
-const initialValues = {
-    rate: 1.0,
-    servers: 4,
-    algorithm: 'Round Robin',
-    runTime: 60
-};
+// Initialize service model, algorithm dropdown and comparison checkboxes
+Object.entries(SERVICE_MODELS).forEach(([model, label]) => {
+    const option = document.createElement('option');
+    option.value = model;
+    option.textContent = label;
+    serviceModelControl.appendChild(option);
+});
+serviceModelControl.value = initialValues.serviceModel;
 
-// Initialize algorithm dropdown
-Object.keys(algorithms).forEach(name => {
+PLAYBACK_SPEEDS.forEach(speed => {
     const option = document.createElement('option');
-    option.value = name;
-    option.textContent = name;
-    algorithmSelect.appendChild(option);
+    option.value = speed;
+    option.textContent = `${speed}×`;
+    speedControl.appendChild(option);
 });
+speedControl.value = clock.speed;
+
+Object.entries(TRAFFIC_PATTERNS).forEach(([pattern, label]) => {
+    const option = document.createElement('option');
+    option.value = pattern;
+    option.textContent = label;
+    trafficPatternControl.appendChild(option);
+});
+
+Object.entries(SCALING_POLICIES).forEach(([policy, label]) => {
+    const option = document.createElement('option');
+    option.value = policy;
+    option.textContent = label;
+    scalingPolicyControl.appendChild(option);
+});
+
+// Fill the dropdown and comparison checkboxes from `algorithms`, keeping
+// the given choices where those algorithms still exist
+function populateAlgorithmControls(selected, compared) {
+    algorithmSelect.replaceChildren();
+    compareAlgorithms.replaceChildren();
+    Object.keys(algorithms).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        algorithmSelect.appendChild(option);
+
+        const label = document.createElement('label');
+        label.className = 'compare-option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = name;
+        checkbox.checked = compared.includes(name);
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(name));
+        compareAlgorithms.appendChild(label);
+    });
+
+    algorithmSelect.value = Object.hasOwn(algorithms, selected) ? selected : initialValues.algorithm;
+    if (compareAlgorithms.querySelectorAll('input:checked').length < 2) {
+        compareAlgorithms.querySelectorAll('input').forEach(checkbox => {
+            checkbox.checked = initialValues.compare.includes(checkbox.value);
+        });
+    }
+    updateCompareLimits();
+}
+
+loadSavedPlugins();
+populateAlgorithmControls(initialValues.algorithm, initialValues.compare);
+
+// The dropdown for a single algorithm, checkboxes when comparing
+function showAlgorithmControls() {
+    algorithmSelect.style.display = compareToggle.checked ? 'none' : '';
+    compareAlgorithms.style.display = compareToggle.checked ? 'flex' : 'none';
+}
+
+// Keep between 2 and 5 algorithms selected for comparison
+function updateCompareLimits() {
+    const checkboxes = [...compareAlgorithms.querySelectorAll('input')];
+    const checkedCount = checkboxes.filter(checkbox => checkbox.checked).length;
+    checkboxes.forEach(checkbox => {
+        checkbox.disabled = checkbox.checked ? checkedCount <= 2 : checkedCount >= maxCompared;
+    });
+}
+
+// Show the request types legend; clicking it opens the editor
+function createLegend(requestTypes) {
+    const requestTypesContainer = document.getElementById('requestTypes');
+    requestTypesContainer.replaceChildren();
+    const totalMix = requestTypes.reduce((sum, type) => sum + type.mix, 0);
+
+    requestTypes.forEach(type => {
+        const item = document.createElement('div');
+        item.className = 'request-type';
+
+        const colorBox = document.createElement('div');
+        colorBox.className = 'color-box';
+        colorBox.style.backgroundColor = type.color;
+
+        const text = document.createElement('div');
+        const share = totalMix > 0 ? Math.round(type.mix / totalMix * 100) : 0;
+        text.textContent = `${type.name} ${type.cpu}% / ${type.memory}% · ${share}%`;
+        if (type.priority !== 'normal') text.textContent += ` · ${PRIORITIES[type.priority].toLowerCase()}`;
+
+        item.appendChild(colorBox);
+        item.appendChild(text);
+        requestTypesContainer.appendChild(item);
+    });
+}
 
 // Function to stop the simulation
 function stopSimulation() {
-    if (autoRequestInterval) {
-        clearInterval(autoRequestInterval);
-        autoRequestInterval = null;
-    }
-    if (simulationTimer) {
-        clearInterval(simulationTimer);
-        simulationTimer = null;
-    }
+    simulations.forEach(({ engine }) => engine.stop());
+    runEndTime = null;
+    // Whatever is still in flight finishes in its own time
+    if (clock.paused) clock.resume();
     toggleBtn.textContent = 'Start';
     toggleBtn.classList.remove('running');
     timeLeftValue.textContent = `${runTimeControl.value}s left`;
-    remainingTime = 0;
+    updatePlaybackControls();
 }
 
-// Reset function
-function resetSimulation() {
-    // Stop the simulation if it's running
-    stopSimulation();
+// Pause and resume only apply to a run; stepping only while paused
+function updatePlaybackControls() {
+    pauseBtn.disabled = runEndTime === null;
+    pauseBtn.textContent = clock.paused ? 'Resume' : 'Pause';
+    stepBtn.disabled = !clock.paused;
+}
 
-    // Reset rate control
-    rateControl.value = initialValues.rate;
-    rateValue.textContent = initialValues.rate.toFixed(1);
-    currentInterval = 1000 / initialValues.rate;
+function togglePause() {
+    if (clock.paused) {
+        clock.resume();
+    } else {
+        clock.pause();
+    }
+    updatePlaybackControls();
+}
 
-    // Reset server control
-    serverControl.value = initialValues.servers;
-    serverValue.textContent = initialValues.servers;
-    simulation.setNumServers(initialValues.servers);
+// Move a paused run on to the soonest event any simulation has coming, or
+// by a fixed amount of simulated time; never past the end of the run
+function stepSimulation() {
+    const now = clock.now();
+    const target = stepByControl.value === 'event'
+        ? Math.min(...simulations.map(({ engine }) => engine.nextEventTime()))
+        : now + parseInt(stepByControl.value);
+    const to = Math.min(target, runEndTime);
+    if (Number.isFinite(to) && to > now) clock.advance(to - now);
+}
 
-    // Reset algorithm
-    algorithmSelect.value = initialValues.algorithm;
-    simulation.algorithm = algorithms[initialValues.algorithm];
+// Seconds to run for. An empty or out-of-range field is put back in range
+// so every run has an end, and the traffic pattern spans the same time.
+function readRunTime() {
+    const time = Math.min(3600, Math.max(1, parseInt(runTimeControl.value) || initialValues.runTime));
+    runTimeControl.value = time;
+    if (trafficConfig.duration !== time * 1000) setTrafficConfig({ ...trafficConfig, duration: time * 1000 });
+    return time;
+}
 
-    // Reset run time
-    runTimeControl.value = initialValues.runTime;
-    timeLeftValue.textContent = `${initialValues.runTime}s left`;
+// Count down in simulated time, so the run lasts as long at any speed
+function updateTimeLeft(now) {
+    timeLeftValue.textContent = `${Math.max(0, Math.ceil((runEndTime - now) / 1000))}s left`;
+}
 
-    // Clear any existing requests
-    simulation.clearRequests();
+// Reset to the default settings, keeping the seed, the algorithms being
+// compared and the algorithm options
+function resetSimulation() {
+    applyScenario({
+        ...createDefaultScenario(),
+        seed: seedControl.value.trim(),
+        algorithms: compareToggle.checked ? selectedAlgorithms() : [initialValues.algorithm],
+        algorithmOptions: collectAlgorithmOptions(algorithm => algorithm)
+    });
 }
 
 // Add reset button handler
 resetBtn.addEventListener('click', resetSimulation);
+pauseBtn.addEventListener('click', togglePause);
+stepBtn.addEventListener('click', stepSimulation);
+speedControl.addEventListener('change', () => clock.setSpeed(parseFloat(speedControl.value)));
+downloadRequestsCsvBtn.addEventListener('click', downloadRequestsCSV);
+downloadTimeseriesCsvBtn.addEventListener('click', downloadTimeseriesCSV);
+downloadJsonBtn.addEventListener('click', downloadJSON);
+exportScenarioBtn.addEventListener('click', exportScenario);
+shareScenarioBtn.addEventListener('click', shareScenario);
+importScenarioBtn.addEventListener('click', () => scenarioFileInput.click());
+scenarioFileInput.addEventListener('change', () => {
+    const file = scenarioFileInput.files[0];
+    scenarioFileInput.value = '';
+    if (file) importScenario(file);
+});
+window.addEventListener('hashchange', loadLinkedScenario);
 
 // Handle algorithm change
 algorithmSelect.addEventListener('change', (e) => {
-    simulation.algorithm = algorithms[e.target.value];
+    simulations[0].name = e.target.value;
+    simulations[0].engine.setAlgorithm(algorithms[e.target.value]);
+});
+
+// Switching between single and comparison mode starts over on fresh simulations
+compareToggle.addEventListener('change', () => {
+    stopSimulation();
+    showAlgorithmControls();
+    createSimulations(selectedAlgorithms());
+});
+
+compareAlgorithms.addEventListener('change', () => {
+    updateCompareLimits();
+    stopSimulation();
+    createSimulations(selectedAlgorithms());
+});
+
+[clientCountControl, clientSkewControl].forEach(control => {
+    control.addEventListener('change', () => {
+        const count = Math.min(100000, Math.max(1, parseInt(clientCountControl.value) || DEFAULT_CLIENTS.count));
+        const skew = Math.min(3, Math.max(0, parseFloat(clientSkewControl.value) || 0));
+        setClients({ count, skew });
+    });
+});
+
+[serverQueueControl, globalQueueControl, queueTimeoutControl].forEach(control => {
+    control.addEventListener('change', () => {
+        setQueueConfig({
+            serverQueueSize: Math.min(1000, Math.max(0, parseInt(serverQueueControl.value) || 0)),
+            globalQueueSize: Math.min(10000, Math.max(0, parseInt(globalQueueControl.value) || 0)),
+            queueTimeout: Math.min(60000, Math.max(1, parseInt(queueTimeoutControl.value) || DEFAULT_QUEUE_CONFIG.queueTimeout))
+        });
+    });
+});
+
+[rateLimitControl, burstControl, clientRateLimitControl, clientBurstControl, concurrencyLimitControl,
+    clientConcurrencyLimitControl, sheddingControl, shedThresholdControl].forEach(control => {
+    control.addEventListener('change', () => {
+        const defaults = DEFAULT_ADMISSION_CONFIG;
+        const number = (input, min, max, fallback) => Math.min(max, Math.max(min, parseFloat(input.value) || fallback));
+        setAdmissionConfig({
+            rateLimit: number(rateLimitControl, 0, 10000, 0),
+            burst: Math.round(number(burstControl, 1, 10000, defaults.burst)),
+            clientRateLimit: number(clientRateLimitControl, 0, 1000, 0),
+            clientBurst: Math.round(number(clientBurstControl, 1, 1000, defaults.clientBurst)),
+            concurrencyLimit: Math.round(number(concurrencyLimitControl, 0, 10000, 0)),
+            clientConcurrencyLimit: Math.round(number(clientConcurrencyLimitControl, 0, 1000, 0)),
+            shedding: sheddingControl.checked,
+            shedThreshold: number(shedThresholdControl, 1, 100, defaults.shedThreshold)
+        });
+    });
+});
+
+[clientTimeoutControl, maxRetriesControl, retryOnRejectionControl, retryOnTimeoutControl, retryOnErrorControl,
+    backoffControl, maxBackoffControl, jitterControl, retryBudgetControl, budgetPercentControl, budgetMinPerSecondControl].forEach(control => {
+    control.addEventListener('change', () => {
+        const defaults = DEFAULT_RETRY_CONFIG;
+        const number = (input, min, max, fallback) => Math.min(max, Math.max(min, parseFloat(input.value) || fallback));
+        const backoff = Math.round(number(backoffControl, 0, 60000, 0));
+        setRetryConfig({
+            timeout: Math.round(number(clientTimeoutControl, 0, 60000, 0)),
+            maxRetries: Math.round(number(maxRetriesControl, 0, 10, 0)),
+            retryOnRejection: retryOnRejectionControl.checked,
+            retryOnTimeout: retryOnTimeoutControl.checked,
+            retryOnError: retryOnErrorControl.checked,
+            backoff,
+            // The backoff never starts out longer than it may grow
+            maxBackoff: Math.max(backoff, Math.round(number(maxBackoffControl, 0, 600000, defaults.maxBackoff))),
+            jitter: jitterControl.checked,
+            budget: retryBudgetControl.checked,
+            budgetPercent: number(budgetPercentControl, 0, 100, 0),
+            budgetMinPerSecond: number(budgetMinPerSecondControl, 0, 1000, 0)
+        });
+    });
+});
+
+[healthEnabledControl, healthIntervalControl, healthTimeoutControl, unhealthyThresholdControl, healthyThresholdControl].forEach(control => {
+    control.addEventListener('change', () => {
+        const defaults = DEFAULT_HEALTH_CHECK_CONFIG;
+        setHealthConfig({
+            enabled: healthEnabledControl.checked,
+            interval: Math.min(60000, Math.max(100, parseInt(healthIntervalControl.value) || defaults.interval)),
+            timeout: Math.min(10000, Math.max(1, parseInt(healthTimeoutControl.value) || defaults.timeout)),
+            unhealthyThreshold: Math.min(20, Math.max(1, parseInt(unhealthyThresholdControl.value) || defaults.unhealthyThreshold)),
+            healthyThreshold: Math.min(20, Math.max(1, parseInt(healthyThresholdControl.value) || defaults.healthyThreshold))
+        });
+    });
+});
+
+[outlierEnabledControl, consecutiveErrorsControl, outlierIntervalControl, successRateFactorControl, latencyFactorControl,
+    minimumHostsControl, requestVolumeControl, baseEjectionTimeControl, maxEjectionPercentControl].forEach(control => {
+    control.addEventListener('change', () => {
+        const defaults = DEFAULT_OUTLIER_CONFIG;
+        const number = (input, min, max, fallback) => Math.min(max, Math.max(min, parseFloat(input.value) || fallback));
+        setOutlierConfig({
+            ...outlierConfig,
+            enabled: outlierEnabledControl.checked,
+            consecutiveErrors: Math.round(number(consecutiveErrorsControl, 0, 100, 0)),
+            interval: number(outlierIntervalControl, 0.1, 600, defaults.interval / 1000) * 1000,
+            successRateFactor: number(successRateFactorControl, 0, 10, 0),
+            latencyFactor: number(latencyFactorControl, 0, 100, 0),
+            minimumHosts: Math.round(number(minimumHostsControl, 2, 100, defaults.minimumHosts)),
+            requestVolume: Math.round(number(requestVolumeControl, 1, 10000, defaults.requestVolume)),
+            baseEjectionTime: number(baseEjectionTimeControl, 0.1, 600, defaults.baseEjectionTime / 1000) * 1000,
+            maxEjectionPercent: number(maxEjectionPercentControl, 0, 100, 0)
+        });
+    });
+});
+
+[breakerEnabledControl, failureThresholdControl, windowSizeControl, minimumRequestsControl, openDurationControl,
+    halfOpenRequestsControl].forEach(control => {
+    control.addEventListener('change', () => {
+        const defaults = DEFAULT_CIRCUIT_BREAKER_CONFIG;
+        const number = (input, min, max, fallback) => Math.min(max, Math.max(min, parseFloat(input.value) || fallback));
+        const windowSize = Math.round(number(windowSizeControl, 1, 1000, defaults.windowSize));
+        setBreakerConfig({
+            enabled: breakerEnabledControl.checked,
+            failureThreshold: number(failureThresholdControl, 1, 100, defaults.failureThreshold),
+            windowSize,
+            // The window never holds more answers than its size
+            minimumRequests: Math.min(windowSize, Math.round(number(minimumRequestsControl, 1, 1000, defaults.minimumRequests))),
+            openDuration: number(openDurationControl, 0.1, 600, defaults.openDuration / 1000) * 1000,
+            halfOpenRequests: Math.round(number(halfOpenRequestsControl, 1, 100, defaults.halfOpenRequests))
+        });
+    });
+});
+
+[scalingPolicyControl, minServersControl, maxServersControl, targetCpuControl, scaleOutThresholdControl, scaleInThresholdControl,
+    stepSizeControl, scalingScheduleControl, scaleOutCooldownControl, scaleInCooldownControl, warmupControl].forEach(control => {
+    control.addEventListener('change', () => {
+        const defaults = DEFAULT_AUTOSCALING_CONFIG;
+        const number = (input, min, max, fallback) => Math.min(max, Math.max(min, parseFloat(input.value) || fallback));
+        const minServers = Math.round(number(minServersControl, 1, 50, defaults.minServers));
+        setAutoscalingConfig({
+            ...autoscalingConfig,
+            policy: scalingPolicyControl.value,
+            minServers,
+            maxServers: Math.max(minServers, Math.round(number(maxServersControl, 1, 50, defaults.maxServers))),
+            targetCpu: number(targetCpuControl, 1, 100, defaults.targetCpu),
+            scaleOutThreshold: number(scaleOutThresholdControl, 1, 200, defaults.scaleOutThreshold),
+            scaleInThreshold: number(scaleInThresholdControl, 0, 100, 0),
+            stepSize: Math.round(number(stepSizeControl, 1, 20, defaults.stepSize)),
+            schedule: parseScalingSchedule(scalingScheduleControl.value),
+            scaleOutCooldown: number(scaleOutCooldownControl, 0, 600, 0) * 1000,
+            scaleInCooldown: number(scaleInCooldownControl, 0, 600, 0) * 1000,
+            warmup: number(warmupControl, 0, 600, 0) * 1000
+        });
+    });
+});
+
+crossZoneLatencyControl.addEventListener('change', () => {
+    setNetworkConfig({ ...networkConfig, crossZoneLatency: Math.min(1000, Math.max(0, parseFloat(crossZoneLatencyControl.value) || 0)) });
+});
+
+crossZoneCostControl.addEventListener('change', () => {
+    setNetworkConfig({ ...networkConfig, crossZoneCost: Math.min(1000, Math.max(0, parseFloat(crossZoneCostControl.value) || 0)) });
+});
+
+latencyDecayControl.addEventListener('change', () => {
+    setLatencyDecay(Math.min(600, Math.max(0.1, parseFloat(latencyDecayControl.value) || 0)) * 1000);
+});
+
+drainTimeoutControl.addEventListener('change', () => {
+    setDrainTimeout(Math.min(600, Math.max(0, parseFloat(drainTimeoutControl.value) || 0)) * 1000);
+});
+
+serviceModelControl.addEventListener('change', () => {
+    simulations.forEach(({ engine }) => engine.setServiceModel(serviceModelControl.value));
+});
+
+[trafficPatternControl, peakRateControl, stepAtControl, burstIntervalControl, burstLengthControl].forEach(control => {
+    control.addEventListener('change', () => {
+        const seconds = (input, min, fallback) => Math.min(3600, Math.max(min, parseFloat(input.value) || fallback)) * 1000;
+        setTrafficConfig({
+            ...trafficConfig,
+            pattern: trafficPatternControl.value,
+            peakRate: Math.min(1000, Math.max(0.1, parseFloat(peakRateControl.value) || DEFAULT_TRAFFIC_CONFIG.peakRate)),
+            stepAt: seconds(stepAtControl, 0, 0),
+            burstInterval: seconds(burstIntervalControl, 1, DEFAULT_TRAFFIC_CONFIG.burstInterval / 1000),
+            burstLength: seconds(burstLengthControl, 0.1, DEFAULT_TRAFFIC_CONFIG.burstLength / 1000)
+        });
+    });
 });
 
 rateControl.addEventListener('input', (e) => {
     const rate = parseFloat(e.target.value);
     rateValue.textContent = rate.toFixed(1);
-    
-    if (autoRequestInterval) {
-        clearInterval(autoRequestInterval);
-        currentInterval = 1000 / rate;
-        autoRequestInterval = setInterval(() => {
-            simulation.createRequest();
-        }, currentInterval);
-    }
+    trafficConfig = { ...trafficConfig, rate };
+    simulations.forEach(({ engine }) => engine.setRate(rate));
 });
 
 serverControl.addEventListener('input', (e) => {
-    const count = parseInt(e.target.value);
-    serverValue.textContent = count;
-    simulation.setNumServers(count);
+    resizeFleet(parseInt(e.target.value));
+    fleetEditor.setFleet(fleet);
 });
 
 toggleBtn.addEventListener('click', () => {
-    if (!autoRequestInterval) {
-        // Start simulation
-        const rate = parseFloat(rateControl.value);
-        currentInterval = 1000 / rate;
-        remainingTime = parseInt(runTimeControl.value);
-        
-        autoRequestInterval = setInterval(() => {
-            simulation.createRequest();
-        }, currentInterval);
-        
-        simulationTimer = setInterval(() => {
-            remainingTime--;
-            timeLeftValue.textContent = `${remainingTime}s left`;
-            
-            if (remainingTime <= 0) {
-                stopSimulation();
-            }
-        }, 1000);
-        
+    if (!isRunning()) {
+        // Start simulation - an empty seed field gets a fresh seed so the run can be replayed
+        if (!seedControl.value.trim()) {
+            seedControl.value = randomSeed();
+        }
+
+        // Start every engine at the same instant so their arrivals line up.
+        // Each run starts over on fresh servers with the schedules from the
+        // top, so the same seed replays it after a Stop too.
+        const now = clock.now();
+        runEndTime = now + readRunTime() * 1000;
+        simulations.forEach(({ engine }) => {
+            engine.advanceTo(now);
+            engine.clearRequests();
+            engine.setSeed(seedControl.value.trim());
+            engine.start(trafficConfig.rate);
+        });
+
         toggleBtn.textContent = 'Stop';
         toggleBtn.classList.add('running');
+        updatePlaybackControls();
     } else {
         // Stop simulation
         stopSimulation();
@@ -1078,20 +1196,64 @@ toggleBtn.addEventListener('click', () => {
 // Handle run time input
 runTimeControl.addEventListener('input', (e) => {
     const time = parseInt(e.target.value);
-    if (!autoRequestInterval) {
+    if (!(time > 0)) return;
+    setTrafficConfig({ ...trafficConfig, duration: time * 1000 });
+    if (!isRunning()) {
         timeLeftValue.textContent = `${time}s left`;
     }
 });
 
+// Only one configuration panel is open at a time
+function openPanel(id) {
+    document.querySelectorAll('.panel').forEach(panel => {
+        panel.style.display = panel.id === id ? 'block' : 'none';
+    });
+}
+
+// Configuration panels open and close from any element pointing at them
+document.querySelectorAll('[data-panel]').forEach(button => {
+    button.addEventListener('click', () => {
+        const panel = document.getElementById(button.dataset.panel);
+        openPanel(panel.style.display === 'none' ? panel.id : null);
+    });
+});
+
 window.addEventListener('resize', () => {
-    const container = document.getElementById(simulation.containerId);
-    const aspect = container.clientWidth / container.clientHeight;
-    
-    simulation.camera.left = -45 * aspect;
-    simulation.camera.right = 45 * aspect;
-    simulation.camera.top = 15;
-    simulation.camera.bottom = -25;
-    
-    simulation.camera.updateProjectionMatrix();
-    simulation.renderer.setSize(container.clientWidth, container.clientHeight);
-});
\ No newline at end of file
+    simulations.forEach(({ view }) => view.resize());
+});
+
+// Create single simulation with Round Robin as default
+createLegend(requestTypes);
+requestTypeEditor.setRequestTypes(requestTypes);
+setTrafficConfig(trafficConfig);
+setAutoscalingConfig(autoscalingConfig);
+createSimulations([initialValues.algorithm]);
+fleetEditor.setFleet(fleet);
+algorithmOptionsEditor.render();
+pluginEditor.setPlugins(getPluginAlgorithms());
+topologyEditor.setPools(pools, Object.keys(algorithms));
+zoneEditor.setZones(zones);
+loadLinkedScenario();
+
+// Drive every engine from the browser's frame loop
+function frame() {
+    requestAnimationFrame(frame);
+    // A run ends exactly on time, however far a fast clock got past it
+    const now = runEndTime === null ? clock.now() : Math.min(clock.now(), runEndTime);
+    simulations.forEach(({ engine }) => engine.tick(now));
+    if (runEndTime !== null) {
+        updateTimeLeft(now);
+        if (now >= runEndTime) stopSimulation();
+    }
+
+    // Refresh the comparison table and latency panel a few times per real
+    // second, whatever the speed and also while paused
+    const realNow = performance.now();
+    if (realNow - lastSummaryUpdate > 250) {
+        lastSummaryUpdate = realNow;
+        if (simulations.length > 1) updateSummary();
+        if (latencyPanelElement.style.display !== 'none') latencyPanel.update(simulations);
+        if (pluginPanelElement.style.display !== 'none') pluginEditor.updateErrors();
+    }
+}
+frame();
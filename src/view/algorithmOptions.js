@@ -0,0 +1,75 @@
+// File: src/view/algorithmOptions.js
+
+// Renders the optionSchema of every algorithm that has one, editing the
+// algorithm instances in place.
+export class AlgorithmOptionsEditor {
+    constructor(element, algorithms) {
+        this.element = element;
+        this.algorithms = algorithms;
+    }
+
+    render() {
+        this.element.replaceChildren();
+
+        Object.entries(this.algorithms).forEach(([name, algorithm]) => {
+            const schema = algorithm.constructor.optionSchema;
+            if (schema.length === 0) return;
+
+            const title = document.createElement('div');
+            title.className = 'panel-section-title';
+            title.textContent = name;
+            this.element.appendChild(title);
+
+            schema.forEach(field => {
+                this.element.appendChild(this.createField(algorithm, field));
+            });
+        });
+
+        if (!this.element.children.length) {
+            this.element.textContent = 'None of the algorithms have options.';
+        }
+    }
+
+    createField(algorithm, field) {
+        const row = document.createElement('label');
+        row.className = 'panel-field';
+
+        const label = document.createElement('span');
+        label.textContent = field.label;
+        row.appendChild(label);
+
+        let input;
+        if (field.type === 'select') {
+            input = document.createElement('select');
+            field.choices.forEach(choice => {
+                const option = document.createElement('option');
+                option.value = choice.value;
+                option.textContent = choice.label;
+                input.appendChild(option);
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            if (field.min !== undefined) input.min = field.min;
+            if (field.max !== undefined) input.max = field.max;
+            if (field.step !== undefined) input.step = field.step;
+        }
+        input.value = algorithm.options[field.key];
+
+        input.addEventListener('change', () => {
+            if (field.type === 'select') {
+                algorithm.setOption(field.key, input.value);
+                return;
+            }
+            let value = parseFloat(input.value);
+            if (isNaN(value)) value = algorithm.options[field.key];
+            if (field.min !== undefined) value = Math.max(field.min, value);
+            if (field.max !== undefined) value = Math.min(field.max, value);
+            input.value = value;
+            algorithm.setOption(field.key, value);
+        });
+
+        row.appendChild(input);
+        return row;
+    }
+}
@@ -0,0 +1,62 @@
+// File: src/view/comparison.js
+
+// Summary table comparing several engines that run on identical traffic.
+// A column shows summary[key], or value(summary) when it has one, and only
+// appears when shown(summaries) says so if it has that.
+export class ComparisonSummary {
+    constructor(element) {
+        this.element = element;
+        this.columns = [
+            { label: 'Completed', key: 'completed', format: v => v, better: 'high' },
+            { label: 'Rejected', key: 'rejected', format: v => v, better: 'low' },
+            // Rejections by full servers, by the resource that ran out ('both' counts for each)
+            { label: 'Out of CPU', value: s => s.rejectionsByResource.cpu + s.rejectionsByResource.both, format: v => v, better: 'low', shown: summaries => summaries.some(s => s.rejectionsByReason.capacity > 0) },
+            { label: 'Out of MEM', value: s => s.rejectionsByResource.memory + s.rejectionsByResource.both, format: v => v, better: 'low', shown: summaries => summaries.some(s => s.rejectionsByReason.capacity > 0) },
+            // Shed by admission control, also counted as rejected
+            { label: 'Shed', value: s => s.rejectionsByReason.shed, format: v => v, better: 'low', shown: summaries => summaries.some(s => s.rejectionsByReason.shed > 0) },
+            // Attempts clients made again or stopped waiting for; Gave Up counts the requests that never got an answer
+            { label: 'Retries', key: 'retries', format: v => v, better: 'low', shown: summaries => summaries.some(s => s.retries > 0) },
+            { label: 'Timed Out', key: 'clientTimeouts', format: v => v, better: 'low', shown: summaries => summaries.some(s => s.clientTimeouts > 0) },
+            { label: 'Gave Up', key: 'gaveUp', format: v => v, better: 'low', shown: summaries => summaries.some(s => s.retries > 0 || s.clientTimeouts > 0) },
+            { label: 'Failed', key: 'failed', format: v => v, better: 'low' },
+            { label: 'CPU Balance', key: 'cpuBalance', format: v => `${Math.round(v)}%`, better: 'high' },
+            { label: 'MEM Balance', key: 'memoryBalance', format: v => `${Math.round(v)}%`, better: 'high' },
+            { label: 'Avg Latency', key: 'averageLatency', format: v => `${Math.round(v)}ms`, better: 'low' },
+            { label: 'p99 Latency', key: 'p99Latency', format: v => `${Math.round(v)}ms`, better: 'low' },
+            // Zone columns only appear once some algorithm sends traffic across zones
+            { label: 'Cross-zone', key: 'crossZoneShare', format: v => `${Math.round(v)}%`, better: 'low', shown: summaries => summaries.some(s => s.crossZoneRequests > 0) },
+            { label: 'Zone Cost', key: 'crossZoneCost', format: v => v.toFixed(2), better: 'low', shown: summaries => summaries.some(s => s.crossZoneCost > 0) }
+        ];
+    }
+
+    // entries: [{ name, summary }] where summary comes from SimulationEngine.getSummary()
+    update(entries) {
+        const summaries = entries.map(entry => entry.summary);
+        const columns = this.columns.filter(column => !column.shown || column.shown(summaries));
+        const values = columns.map(column => summaries.map(summary => column.value ? column.value(summary) : summary[column.key]));
+        const best = columns.map((column, c) => column.better === 'high' ? Math.max(...values[c]) : Math.min(...values[c]));
+
+        const header = columns.map(column => `<th>${column.label}</th>`).join('');
+        const rows = entries.map((entry, e) => {
+            const cells = columns.map((column, c) => {
+                const value = values[c][e];
+                // Highlight the best value when the algorithms actually differ
+                const highlight = entries.length > 1 && value === best[c] &&
+                    values[c].some(other => other !== value);
+                return `<td class="${highlight ? 'best' : ''}">${column.format(value)}</td>`;
+            }).join('');
+            return `<tr><td>${entry.name}</td>${cells}</tr>`;
+        }).join('');
+
+        this.element.innerHTML = `
+            <table>
+                <thead><tr><th>Algorithm</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    clear() {
+        this.element.innerHTML = '';
+    }
+}
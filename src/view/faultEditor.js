@@ -0,0 +1,123 @@
+// File: src/view/faultEditor.js
+import { FAULT_TYPES, DEFAULT_FAULT } from '../core/health.js';
+
+// Form for crashing, slowing down or breaking a server, now or at a set
+// time into the run, plus the list of scheduled faults.
+//   onInject(at, serverId, fault)   `at` is ms after the run starts, or null for now
+//   onClearSchedule()
+export class FaultEditor {
+    constructor(element, { onInject, onClearSchedule }) {
+        this.element = element;
+        this.onInject = onInject;
+        this.onClearSchedule = onClearSchedule;
+        this.schedule = [];
+        this.render();
+    }
+
+    // Ids of the servers that can be picked; they stay stable while servers come and go
+    setServerIds(ids) {
+        const selected = this.serverSelect.value;
+        this.serverSelect.replaceChildren();
+        ids.forEach(id => this.addOption(this.serverSelect, id, `Server ${id + 1}`));
+        this.serverSelect.value = ids.includes(parseInt(selected)) ? selected : ids[0];
+    }
+
+    selectServer(serverId) {
+        this.serverSelect.value = serverId;
+    }
+
+    setSchedule(schedule) {
+        this.schedule = schedule;
+        this.renderSchedule();
+    }
+
+    render() {
+        this.element.replaceChildren();
+
+        this.serverSelect = this.createField('Server', 'select');
+
+        const typeSelect = this.createField('Fault', 'select');
+        Object.entries(FAULT_TYPES).forEach(([type, label]) => this.addOption(typeSelect, type, type === 'none' ? 'Recover' : label));
+        typeSelect.value = 'crash';
+
+        const slowdownInput = this.createField('Slowdown (×)', 'input', { min: 1, max: 100, step: 1, value: DEFAULT_FAULT.slowdown });
+        const errorRateInput = this.createField('Error rate (%)', 'input', { min: 0, max: 100, step: 5, value: DEFAULT_FAULT.errorRate * 100 });
+        const atInput = this.createField('At (s after start, empty = now)', 'input', { min: 0, step: 1, value: '' });
+
+        const actions = document.createElement('div');
+        actions.className = 'panel-row';
+        const applyButton = document.createElement('button');
+        applyButton.className = 'small-button';
+        applyButton.textContent = 'Apply';
+        applyButton.addEventListener('click', () => {
+            const fault = {
+                type: typeSelect.value,
+                slowdown: Math.min(100, Math.max(1, parseFloat(slowdownInput.value) || DEFAULT_FAULT.slowdown)),
+                errorRate: Math.min(100, Math.max(0, parseFloat(errorRateInput.value) || 0)) / 100
+            };
+            const at = atInput.value.trim() === '' ? null : Math.max(0, parseFloat(atInput.value) || 0) * 1000;
+            this.onInject(at, parseInt(this.serverSelect.value), fault);
+        });
+        actions.appendChild(applyButton);
+        this.element.appendChild(actions);
+
+        this.scheduleElement = document.createElement('div');
+        this.element.appendChild(this.scheduleElement);
+        this.renderSchedule();
+    }
+
+    renderSchedule() {
+        this.scheduleElement.replaceChildren();
+        if (this.schedule.length === 0) return;
+
+        const title = document.createElement('div');
+        title.className = 'panel-section-title';
+        title.textContent = 'Scheduled';
+        this.scheduleElement.appendChild(title);
+
+        const table = document.createElement('table');
+        table.className = 'panel-table';
+        table.innerHTML = `
+            <thead><tr><th>At</th><th>Server</th><th>Fault</th></tr></thead>
+            <tbody>${this.schedule.map(({ at, serverId, fault }) => `
+                <tr><td>${at / 1000}s</td><td>${serverId + 1}</td><td>${this.describeFault(fault)}</td></tr>
+            `).join('')}</tbody>
+        `;
+        this.scheduleElement.appendChild(table);
+
+        const clearButton = document.createElement('button');
+        clearButton.className = 'small-button';
+        clearButton.textContent = 'Clear schedule';
+        clearButton.style.marginTop = '6px';
+        clearButton.addEventListener('click', () => this.onClearSchedule());
+        this.scheduleElement.appendChild(clearButton);
+    }
+
+    describeFault(fault) {
+        if (fault.type === 'none') return 'Recover';
+        if (fault.type === 'slow') return `${FAULT_TYPES.slow} ${fault.slowdown}×`;
+        if (fault.type === 'flaky') return `${FAULT_TYPES.flaky} ${Math.round(fault.errorRate * 100)}%`;
+        return FAULT_TYPES[fault.type];
+    }
+
+    addOption(select, value, label) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+
+    createField(label, tag, attributes = {}) {
+        const field = document.createElement('label');
+        field.className = 'panel-field';
+        const text = document.createElement('span');
+        text.textContent = label;
+        const control = document.createElement(tag);
+        if (tag === 'input') control.type = 'number';
+        Object.entries(attributes).forEach(([key, value]) => { control[key] = value; });
+        field.appendChild(text);
+        field.appendChild(control);
+        this.element.appendChild(field);
+        return control;
+    }
+}
@@ -0,0 +1,127 @@
+// File: src/view/fleetEditor.js
+import { DEFAULT_SERVER_SPEC, SERVER_SPEC_LIMITS } from '../core/server.js';
+
+const PRESETS = {
+    'Uniform': () => ({ ...DEFAULT_SERVER_SPEC }),
+    // Cycles small, medium and large instances
+    'Mixed sizes': i => [
+        { cpu: 50, memory: 50, speed: 0.5, weight: 1 },
+        { cpu: 100, memory: 100, speed: 1, weight: 2 },
+        { cpu: 200, memory: 200, speed: 2, weight: 4 }
+    ][i % 3]
+};
+
+const FIELDS = [
+    { key: 'cpu', label: 'CPU', ...SERVER_SPEC_LIMITS.cpu, step: 10 },
+    { key: 'memory', label: 'MEM', ...SERVER_SPEC_LIMITS.memory, step: 10 },
+    { key: 'speed', label: 'Speed', ...SERVER_SPEC_LIMITS.speed, step: 0.1 },
+    { key: 'weight', label: 'Weight', ...SERVER_SPEC_LIMITS.weight, step: 1 }
+];
+
+// Table for editing every server's capacity, speed and weight, and its pool
+// and zone when there are several. Calls onChange(fleet) with a fresh array
+// whenever something is edited.
+export class FleetEditor {
+    constructor(element, onChange) {
+        this.element = element;
+        this.onChange = onChange;
+        this.fleet = [];
+        this.poolNames = [];
+        this.zoneNames = [];
+    }
+
+    setFleet(fleet) {
+        this.fleet = fleet.map(spec => ({ ...spec }));
+        this.render();
+    }
+
+    // Fewer than two names hides the pool column
+    setPoolNames(names) {
+        this.poolNames = names;
+        this.render();
+    }
+
+    // Fewer than two names hides the zone column
+    setZoneNames(names) {
+        this.zoneNames = names;
+        this.render();
+    }
+
+    render() {
+        this.element.replaceChildren();
+
+        const presets = document.createElement('div');
+        presets.className = 'panel-row';
+        Object.entries(PRESETS).forEach(([name, createSpec]) => {
+            const button = document.createElement('button');
+            button.className = 'small-button';
+            button.textContent = name;
+            button.addEventListener('click', () => {
+                this.fleet = this.fleet.map((spec, i) => ({ ...createSpec(i), pool: spec.pool, zone: spec.zone }));
+                this.render();
+                this.onChange(this.fleet.map(spec => ({ ...spec })));
+            });
+            presets.appendChild(button);
+        });
+        this.element.appendChild(presets);
+
+        const table = document.createElement('table');
+        table.className = 'panel-table';
+        const showPools = this.poolNames.length > 1;
+        const showZones = this.zoneNames.length > 1;
+        table.innerHTML = `<thead><tr><th>#</th>${FIELDS.map(field => `<th>${field.label}</th>`).join('')}` +
+            `${showPools ? '<th>Pool</th>' : ''}${showZones ? '<th>Zone</th>' : ''}</tr></thead>`;
+        const body = document.createElement('tbody');
+
+        this.fleet.forEach((spec, i) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `<td>${i + 1}</td>`;
+            FIELDS.forEach(field => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = field.min;
+                input.max = field.max;
+                input.step = field.step;
+                input.value = spec[field.key];
+                input.addEventListener('change', () => {
+                    const value = parseFloat(input.value);
+                    if (isNaN(value)) {
+                        input.value = spec[field.key];
+                        return;
+                    }
+                    spec[field.key] = Math.min(field.max, Math.max(field.min, value));
+                    input.value = spec[field.key];
+                    this.onChange(this.fleet.map(s => ({ ...s })));
+                });
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+            if (showPools) row.appendChild(this.createChoiceCell(spec, 'pool', this.poolNames));
+            if (showZones) row.appendChild(this.createChoiceCell(spec, 'zone', this.zoneNames));
+            body.appendChild(row);
+        });
+
+        table.appendChild(body);
+        this.element.appendChild(table);
+    }
+
+    // Select for an index into `names`, like the spec's pool or zone
+    createChoiceCell(spec, key, names) {
+        const cell = document.createElement('td');
+        const select = document.createElement('select');
+        names.forEach((name, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = Math.min(spec[key] || 0, names.length - 1);
+        select.addEventListener('change', () => {
+            spec[key] = parseInt(select.value);
+            this.onChange(this.fleet.map(s => ({ ...s })));
+        });
+        cell.appendChild(select);
+        return cell;
+    }
+}
@@ -0,0 +1,99 @@
+// File: src/view/latencyPanel.js
+import { REPORTED_PERCENTILES } from '../core/latency.js';
+
+// Latency percentiles overall and per server plus a histogram, for one or
+// more engines (one section each when comparing)
+export class LatencyPanel {
+    constructor(element) {
+        this.element = element;
+    }
+
+    // entries: [{ name, engine }]
+    update(entries) {
+        this.element.replaceChildren();
+        entries.forEach(({ name, engine }) => {
+            if (entries.length > 1) {
+                const title = document.createElement('div');
+                title.className = 'panel-section-title';
+                title.textContent = name;
+                this.element.appendChild(title);
+            }
+
+            // Servers also show their moving averages, see Server.observeLatency()
+            const rows = [
+                { label: 'Overall', histogram: engine.latency, server: null },
+                ...engine.servers.map(server => ({ label: `Server ${server.id + 1}`, histogram: server.latency, server }))
+            ];
+            const table = document.createElement('table');
+            table.className = 'panel-table';
+            table.innerHTML = `
+                <thead><tr><th></th><th>Count</th>${REPORTED_PERCENTILES.map(p => `<th>p${p}</th>`).join('')}<th>EWMA</th><th>Peak</th></tr></thead>
+                <tbody>${rows.map(({ label, histogram, server }) => `
+                    <tr>
+                        <td>${label}</td>
+                        <td>${histogram.count}</td>
+                        ${REPORTED_PERCENTILES.map(p => `<td>${formatLatency(histogram.getPercentile(p))}</td>`).join('')}
+                        <td>${server ? formatLatency(server.latencyEwma) : ''}</td>
+                        <td>${server ? formatLatency(server.peakLatencyEwma) : ''}</td>
+                    </tr>
+                `).join('')}</tbody>
+            `;
+            this.element.appendChild(table);
+            this.element.appendChild(this.drawHistogram(engine.latency));
+        });
+    }
+
+    // Bars per log-scale bin, with the reported percentiles marked
+    drawHistogram(histogram) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 356;
+        canvas.height = 100;
+        canvas.style.marginTop = '6px';
+        const ctx = canvas.getContext('2d');
+        const padding = { left: 5, right: 5, top: 5, bottom: 14 };
+        const bins = histogram.getBins();
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.font = '9px Arial';
+        if (bins.length === 0) {
+            ctx.fillText('No completed requests yet', padding.left, canvas.height / 2);
+            return canvas;
+        }
+
+        const graphWidth = canvas.width - padding.left - padding.right;
+        const graphHeight = canvas.height - padding.top - padding.bottom;
+        const barWidth = graphWidth / bins.length;
+        const maxCount = Math.max(...bins.map(bin => bin.count));
+
+        ctx.fillStyle = '#2196F3';
+        bins.forEach((bin, i) => {
+            const barHeight = bin.count / maxCount * graphHeight;
+            ctx.fillRect(padding.left + i * barWidth + 1, padding.top + graphHeight - barHeight, barWidth - 2, barHeight);
+        });
+
+        // Bin edges are log-spaced, so place values by their log position
+        const minLog = Math.log10(bins[0].from);
+        const maxLog = Math.log10(bins[bins.length - 1].to);
+        const toX = value => padding.left + (Math.log10(value) - minLog) / (maxLog - minLog) * graphWidth;
+
+        ctx.strokeStyle = '#F44336';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        REPORTED_PERCENTILES.forEach(p => {
+            const x = toX(histogram.getPercentile(p));
+            ctx.beginPath();
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, padding.top + graphHeight);
+            ctx.stroke();
+        });
+        ctx.fillText(formatLatency(bins[0].from), padding.left + 12, canvas.height - padding.bottom + 3);
+        ctx.fillText(formatLatency(bins[bins.length - 1].to), canvas.width - padding.right - 14, canvas.height - padding.bottom + 3);
+        return canvas;
+    }
+}
+
+function formatLatency(ms) {
+    if (ms >= 1000) return `${(ms / 1000).toFixed(2)}s`;
+    return `${ms < 10 ? ms.toFixed(1) : Math.round(ms)}ms`;
+}
@@ -0,0 +1,159 @@
+// File: src/view/pluginEditor.js
+
+// Starting point for a new algorithm; doubles as a reference for what plugin
+// code gets to see (see plugins.js)
+const EXAMPLE_SOURCE = `// Least CPU, but only move off the current server when another one
+// is more than \`slack\` percentage points less busy
+function cpuLoad(server) {
+    return server.cpu;
+}
+
+return {
+    name: 'Least CPU with slack',
+    options: [
+        { key: 'slack', label: 'Slack (%)', type: 'number', default: 5, min: 0, max: 50, step: 1 }
+    ],
+
+    // servers: [{ id, cpu, memory, maxCpu, maxMemory, speed, weight, zone,
+    //             activeRequests, queuedRequests, averageResponseTime,
+    //             latencyEwma, peakLatencyEwma, completedRequests,
+    //             failedRequests, canHandleRequest }]
+    //          (cpu and memory in % used)
+    // request: { id, type, cpu, memory, priority, attempt, client: { id, ip, sessionId, zone },
+    //           arrivalTime }
+    //          (attempt is 0 unless it's a retry; client.zone is null without zones)
+    // context: { random, now, state }   use context.random() for reproducible runs
+    // Returns the index of the chosen server.
+    selectServer(servers, currentIndex, request, context) {
+        let best = currentIndex % servers.length;
+        servers.forEach((server, index) => {
+            if (cpuLoad(server) + this.options.slack < cpuLoad(servers[best])) best = index;
+        });
+        return best;
+    },
+
+    // Optional hooks; request.latency is set for completed requests
+    onRequestCompleted(server, request, context) {},
+    onRequestFailed(server, request, reason, context) {}
+};
+`;
+
+// Code box for writing or pasting a custom algorithm plus the list of the
+// ones added so far.
+//   onSave(source)  registers the code, returns the algorithm's name or throws
+//   onRemove(name)
+export class PluginEditor {
+    constructor(element, { onSave, onRemove }) {
+        this.element = element;
+        this.onSave = onSave;
+        this.onRemove = onRemove;
+        this.plugins = [];
+        this.errorCells = new Map();  // Name -> table cell showing its errors
+        this.render();
+    }
+
+    render() {
+        this.element.replaceChildren();
+
+        this.sourceInput = document.createElement('textarea');
+        this.sourceInput.rows = 18;
+        this.sourceInput.spellcheck = false;
+        this.sourceInput.value = EXAMPLE_SOURCE;
+        this.element.appendChild(this.sourceInput);
+
+        const actions = document.createElement('div');
+        actions.className = 'panel-row';
+        actions.appendChild(this.createButton('Add / update', () => this.save()));
+        actions.appendChild(this.createButton('Example', () => {
+            this.sourceInput.value = EXAMPLE_SOURCE;
+            this.showStatus('', false);
+        }));
+        this.statusElement = document.createElement('span');
+        actions.appendChild(this.statusElement);
+        this.element.appendChild(actions);
+
+        this.listElement = document.createElement('div');
+        this.element.appendChild(this.listElement);
+        this.renderList();
+    }
+
+    save() {
+        try {
+            const name = this.onSave(this.sourceInput.value);
+            this.showStatus(`Added "${name}"`, false);
+        } catch (error) {
+            this.showStatus(error.message, true);
+        }
+    }
+
+    showStatus(message, isError) {
+        this.statusElement.textContent = message;
+        this.statusElement.style.color = isError ? '#F44336' : '#4CAF50';
+    }
+
+    // plugins: [[name, algorithm]]
+    setPlugins(plugins) {
+        this.plugins = plugins;
+        this.renderList();
+    }
+
+    renderList() {
+        this.listElement.replaceChildren();
+        this.errorCells.clear();
+        if (this.plugins.length === 0) return;
+
+        const title = document.createElement('div');
+        title.className = 'panel-section-title';
+        title.textContent = 'Custom algorithms';
+        this.listElement.appendChild(title);
+
+        const table = document.createElement('table');
+        table.className = 'panel-table';
+        table.innerHTML = '<thead><tr><th>Name</th><th>Errors</th><th></th><th></th></tr></thead>';
+        const body = document.createElement('tbody');
+        this.plugins.forEach(([name, algorithm]) => {
+            const row = document.createElement('tr');
+            const nameCell = document.createElement('td');
+            nameCell.textContent = name;
+            row.appendChild(nameCell);
+
+            const errorCell = document.createElement('td');
+            this.errorCells.set(name, errorCell);
+            row.appendChild(errorCell);
+
+            const editCell = document.createElement('td');
+            editCell.appendChild(this.createButton('Edit', () => {
+                this.sourceInput.value = algorithm.source;
+                this.showStatus('', false);
+            }));
+            row.appendChild(editCell);
+
+            const removeCell = document.createElement('td');
+            removeCell.appendChild(this.createButton('Remove', () => this.onRemove(name)));
+            row.appendChild(removeCell);
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        this.listElement.appendChild(table);
+        this.updateErrors();
+    }
+
+    // Error counts change while a run is going; refresh them without
+    // rebuilding the table so the buttons keep working
+    updateErrors() {
+        this.plugins.forEach(([name, algorithm]) => {
+            const cell = this.errorCells.get(name);
+            cell.textContent = algorithm.errorCount;
+            cell.title = algorithm.lastError || '';
+            cell.style.color = algorithm.errorCount > 0 ? '#F44336' : '';
+        });
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'small-button';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
@@ -0,0 +1,234 @@
+// File: src/view/requestTypeEditor.js
+import { DISTRIBUTIONS } from '../core/distributions.js';
+import { DEFAULT_REQUEST_TYPES, REQUEST_TYPE_LIMITS } from '../core/engine.js';
+import { PRIORITIES } from '../core/admission.js';
+
+const PRESETS = {
+    'Default': () => DEFAULT_REQUEST_TYPES,
+    // Typical API: mostly cheap reads, some writes and the odd expensive
+    // report, which can wait and is the first to go under load
+    'API reads vs reports': () => [
+        { name: 'Read', cpu: 2, memory: 1, color: '#4CAF50', duration: { distribution: 'lognormal', mean: 30, sigma: 0.5, min: 1, max: 500 }, mix: 85, priority: 'normal' },
+        { name: 'Write', cpu: 5, memory: 3, color: '#2196F3', duration: { distribution: 'exponential', mean: 80, sigma: 1, min: 1, max: 500 }, mix: 13, priority: 'high' },
+        { name: 'Report', cpu: 30, memory: 20, color: '#F44336', duration: { distribution: 'lognormal', mean: 2000, sigma: 1, min: 1, max: 500 }, mix: 2, priority: 'low' }
+    ]
+};
+
+const FIELDS = [
+    { key: 'cpu', label: 'CPU', ...REQUEST_TYPE_LIMITS.cpu, step: 1 },
+    { key: 'memory', label: 'MEM', ...REQUEST_TYPE_LIMITS.memory, step: 1 },
+    { key: 'mix', label: 'Mix', ...REQUEST_TYPE_LIMITS.mix, step: 1 }
+];
+
+const DURATION_FIELDS = {
+    mean: { label: 'mean ms', ...REQUEST_TYPE_LIMITS.duration.mean, step: 1 },
+    min: { label: 'min ms', ...REQUEST_TYPE_LIMITS.duration.min, step: 1 },
+    max: { label: 'max ms', ...REQUEST_TYPE_LIMITS.duration.max, step: 1 },
+    sigma: { label: 'sigma', ...REQUEST_TYPE_LIMITS.duration.sigma, step: 0.05 }
+};
+
+const COLORS = ['#4CAF50', '#2196F3', '#FF9800', '#F44336', '#9C27B0', '#00BCD4', '#FFEB3B', '#795548'];
+
+// Table for editing the request classes: name, colour, priority, CPU and
+// memory load, processing time distribution and share of the traffic mix.
+// Calls onChange(requestTypes) with a fresh array whenever something is edited.
+export class RequestTypeEditor {
+    constructor(element, onChange) {
+        this.element = element;
+        this.onChange = onChange;
+        this.requestTypes = [];
+    }
+
+    setRequestTypes(requestTypes) {
+        this.requestTypes = copyRequestTypes(requestTypes);
+        this.render();
+    }
+
+    emitChange() {
+        this.onChange(copyRequestTypes(this.requestTypes));
+    }
+
+    render() {
+        this.element.replaceChildren();
+
+        const presets = document.createElement('div');
+        presets.className = 'panel-row';
+        Object.entries(PRESETS).forEach(([name, createTypes]) => {
+            const button = document.createElement('button');
+            button.className = 'small-button';
+            button.textContent = name;
+            button.addEventListener('click', () => {
+                this.requestTypes = copyRequestTypes(createTypes());
+                this.render();
+                this.emitChange();
+            });
+            presets.appendChild(button);
+        });
+        this.element.appendChild(presets);
+
+        const totalMix = this.requestTypes.reduce((sum, type) => sum + type.mix, 0);
+        const table = document.createElement('table');
+        table.className = 'panel-table';
+        table.innerHTML = `<thead><tr><th></th><th>Name</th><th>Priority</th>${FIELDS.map(field => `<th>${field.label}</th>`).join('')}<th>%</th><th></th></tr></thead>`;
+        const body = document.createElement('tbody');
+
+        this.requestTypes.forEach((type, i) => {
+            const row = document.createElement('tr');
+
+            const colorCell = document.createElement('td');
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.value = type.color;
+            colorInput.style.width = '24px';
+            colorInput.addEventListener('change', () => {
+                type.color = colorInput.value;
+                this.emitChange();
+            });
+            colorCell.appendChild(colorInput);
+            row.appendChild(colorCell);
+
+            const nameCell = document.createElement('td');
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = type.name;
+            nameInput.addEventListener('change', () => {
+                type.name = nameInput.value.trim() || `Type ${i + 1}`;
+                nameInput.value = type.name;
+                this.emitChange();
+            });
+            nameCell.appendChild(nameInput);
+            row.appendChild(nameCell);
+
+            const priorityCell = document.createElement('td');
+            const prioritySelect = document.createElement('select');
+            Object.entries(PRIORITIES).forEach(([priority, label]) => {
+                const option = document.createElement('option');
+                option.value = priority;
+                option.textContent = label;
+                prioritySelect.appendChild(option);
+            });
+            prioritySelect.value = type.priority;
+            prioritySelect.addEventListener('change', () => {
+                type.priority = prioritySelect.value;
+                this.emitChange();
+            });
+            priorityCell.appendChild(prioritySelect);
+            row.appendChild(priorityCell);
+
+            FIELDS.forEach(field => {
+                const cell = document.createElement('td');
+                cell.appendChild(this.createNumberInput(type, field.key, field));
+                row.appendChild(cell);
+            });
+
+            const shareCell = document.createElement('td');
+            shareCell.textContent = totalMix > 0 ? `${Math.round(type.mix / totalMix * 100)}%` : '-';
+            row.appendChild(shareCell);
+
+            const removeCell = document.createElement('td');
+            const removeButton = document.createElement('button');
+            removeButton.className = 'small-button';
+            removeButton.textContent = '✕';
+            removeButton.disabled = this.requestTypes.length <= 1;
+            removeButton.addEventListener('click', () => {
+                this.requestTypes.splice(i, 1);
+                this.render();
+                this.emitChange();
+            });
+            removeCell.appendChild(removeButton);
+            row.appendChild(removeCell);
+            body.appendChild(row);
+
+            // Processing time distribution on its own line under the type
+            const durationRow = document.createElement('tr');
+            const durationCell = document.createElement('td');
+            durationCell.colSpan = FIELDS.length + 5;
+            durationCell.style.paddingBottom = '8px';
+            const durationLine = document.createElement('div');
+            durationLine.style.display = 'flex';
+            durationLine.style.gap = '4px';
+            durationLine.style.alignItems = 'center';
+
+            const select = document.createElement('select');
+            select.style.width = '110px';
+            Object.entries(DISTRIBUTIONS).forEach(([distribution, { label }]) => {
+                const option = document.createElement('option');
+                option.value = distribution;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = type.duration.distribution;
+            select.addEventListener('change', () => {
+                type.duration.distribution = select.value;
+                this.render();
+                this.emitChange();
+            });
+            durationLine.appendChild(select);
+
+            DISTRIBUTIONS[type.duration.distribution].params.forEach(param => {
+                const field = DURATION_FIELDS[param];
+                const label = document.createElement('span');
+                label.textContent = field.label;
+                label.style.opacity = '0.7';
+                label.style.whiteSpace = 'nowrap';
+                const input = this.createNumberInput(type.duration, param, field);
+                input.style.width = '60px';
+                durationLine.appendChild(label);
+                durationLine.appendChild(input);
+            });
+
+            durationCell.appendChild(durationLine);
+            durationRow.appendChild(durationCell);
+            body.appendChild(durationRow);
+        });
+
+        table.appendChild(body);
+        this.element.appendChild(table);
+
+        const addButton = document.createElement('button');
+        addButton.className = 'small-button';
+        addButton.textContent = 'Add type';
+        addButton.addEventListener('click', () => {
+            const last = this.requestTypes[this.requestTypes.length - 1];
+            this.requestTypes.push({
+                ...last,
+                name: `Type ${this.requestTypes.length + 1}`,
+                color: COLORS[this.requestTypes.length % COLORS.length],
+                duration: { ...last.duration }
+            });
+            this.render();
+            this.emitChange();
+        });
+        this.element.appendChild(addButton);
+    }
+
+    // Number input bound to object[key], clamped to the field's range
+    createNumberInput(object, key, field) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = field.min;
+        input.max = field.max;
+        input.step = field.step;
+        input.value = object[key];
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (isNaN(value)) {
+                input.value = object[key];
+                return;
+            }
+            object[key] = Math.min(field.max, Math.max(field.min, value));
+            input.value = object[key];
+            // A uniform range can't be upside down
+            if (key === 'min' && object.max < object.min) object.max = object.min;
+            if (key === 'max' && object.min > object.max) object.min = object.max;
+            this.render();
+            this.emitChange();
+        });
+        return input;
+    }
+}
+
+// Deep enough copy that editing never touches types requests were created from
+function copyRequestTypes(requestTypes) {
+    return requestTypes.map(type => ({ ...type, duration: { ...type.duration } }));
+}
@@ -0,0 +1,1338 @@
+// File: src/view/simulation.js
+import * as THREE from 'three';
+import { FAULT_TYPES } from '../core/health.js';
+import { PRIORITIES } from '../core/admission.js';
+import { BREAKER_STATES } from '../core/outliers.js';
+
+// Queued requests drawn per queue; longer queues show their length in the stats
+const MAX_VISIBLE_QUEUE = 10;
+
+// Simulated ms between samples of the traffic plot
+const TRAFFIC_SAMPLE_INTERVAL = 500;
+
+// Simulated ms covered by each point of the latency percentiles chart
+const LATENCY_SAMPLE_INTERVAL = 1000;
+const LATENCY_LINES = [
+    { key: 50, color: '#4CAF50', label: 'p50' },
+    { key: 90, color: '#FFC107', label: 'p90' },
+    { key: 99, color: '#F44336', label: 'p99' }
+];
+
+// Server border colour per health state, see Server.getHealthStatus()
+const HEALTH_COLORS = {
+    healthy: 0x7B68EE,
+    failing: 0xFFC107,
+    recovering: 0x4FC3F7,
+    unhealthy: 0xF44336
+};
+
+// Border colour of servers outlier detection has ejected
+const EJECTED_COLOR = 0xE040FB;
+
+// Circuit breaker light in a server's corner, see BREAKER_STATES
+const BREAKER_COLORS = {
+    closed: 0x4CAF50,
+    open: 0xF44336,
+    halfOpen: 0xFFC107
+};
+
+// Border colour of servers the autoscaler is starting or draining
+const LIFECYCLE_COLORS = {
+    starting: 0x9E9E9E,
+    draining: 0xFF9800
+};
+
+// Background of each availability zone's servers, by zone index
+const ZONE_COLORS = [0x26A69A, 0xAB47BC, 0xFFA726, 0x42A5F5];
+
+// Scaling events drawn as vertical lines on the time series charts
+const SCALING_MARKER_COLORS = {
+    out: 'rgba(76, 175, 80, 0.8)',
+    in: 'rgba(255, 152, 0, 0.8)'
+};
+
+// Three.js renderer for a SimulationEngine. Owns the scene and DOM overlays
+// and only reacts to engine events - all balancing logic lives in the engine.
+export class LoadBalancerSimulation {
+    constructor(containerId, engine, { title = null, onServerClick = null } = {}) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.engine = engine;
+        
+        // Scene setup
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x000000);
+        
+        // Camera setup - Adjusted to show top half
+        const aspect = this.container.clientWidth / this.container.clientHeight;
+        this.camera = new THREE.OrthographicCamera(
+            -45, 45,  // Increased from -37.5, 37.5 (20% wider)
+            15, -25,
+            0.1, 1000
+        );
+        this.camera.position.set(0, -5, 30);  // Moved camera down
+        this.camera.lookAt(0, -5, 0);
+        
+        // Renderer setup
+        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+        this.container.appendChild(this.renderer.domElement);
+
+        // Clicking a server reports it, e.g. to inject a fault
+        if (onServerClick) {
+            this.renderer.domElement.style.cursor = 'pointer';
+            this.renderer.domElement.addEventListener('click', event => {
+                const server = this.findServerAt(event);
+                if (server) onServerClick(server);
+            });
+        }
+        
+        // View state
+        this.loadBalancerMesh = null;
+        this.serverVisuals = new Map();  // Server -> { mesh, cpuBar, memoryBar, statsElement }
+        this.poolVisuals = new Map();    // Pool -> { mesh, labelElement }, only with a two-tier topology
+        this.zoneVisuals = [];           // { mesh, labelElement, corner } per run of servers sharing a zone
+        this.animations = new Set();     // Running request animations, driven by the engine clock
+        this.globalQueueMeshes = [];     // Requests waiting at the load balancer
+
+        // Add data points array for graphs
+        this.cpuBalanceHistory = [];
+        this.memoryBalanceHistory = [];
+        this.maxDataPoints = 50; // Store last 50 readings
+        this.trafficHistory = [];  // { elapsed, target, actual } per TRAFFIC_SAMPLE_INTERVAL
+        this.lastTrafficSample = null;  // { time, requests } at the previous sample
+        this.latencyHistory = [];  // { elapsed, 50, 90, 99, 99.9 } per LATENCY_SAMPLE_INTERVAL
+        this.lastLatencySample = null;  // { time, histogram } at the previous sample
+        this.scalingMarkers = [];  // { elapsed, direction } per autoscaling decision
+        
+        this.initialZoom = {
+            left: -37.5,    // Increased from -25
+            right: 37.5,    // Increased from 25
+            top: 15,
+            bottom: -25
+        };
+        
+        this.setupScene();
+
+        // Create rejection counter display
+        this.rejectionCounter = document.createElement('div');
+        this.rejectionCounter.style.position = 'absolute';
+        this.rejectionCounter.style.top = '40px';  // Position below the title
+        this.rejectionCounter.style.left = '10px';
+        this.rejectionCounter.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        this.rejectionCounter.style.color = '#FF6B6B';
+        this.rejectionCounter.style.padding = '6px 10px';  // Slightly smaller padding
+        this.rejectionCounter.style.borderRadius = '4px';
+        this.rejectionCounter.style.fontFamily = 'Arial, sans-serif';
+        this.rejectionCounter.style.fontSize = '11px';  // Smaller font
+        this.rejectionCounter.style.display = 'flex';
+        this.rejectionCounter.style.alignItems = 'center';
+        this.rejectionCounter.style.zIndex = '1000';
+        this.rejectionCounter.style.width = 'fit-content';  // Adjust width to content
+        
+        // Add warning icon
+        const warningIcon = document.createElement('div');
+        warningIcon.innerHTML = '⚠️';
+        warningIcon.style.marginRight = '4px';  // Smaller margin
+        warningIcon.style.fontSize = '12px';  // Smaller icon
+        this.rejectionCounter.appendChild(warningIcon);
+        
+        // Add counter text
+        const counterText = document.createElement('div');
+        counterText.textContent = 'Rejected: 0';
+        this.rejectionCounter.appendChild(counterText);
+        
+        this.container.appendChild(this.rejectionCounter);
+
+        // Optional title, e.g. the algorithm name when comparing
+        if (title) {
+            this.titleElement = document.createElement('div');
+            this.titleElement.className = 'simulation-title';
+            this.titleElement.style.padding = '6px 10px';
+            this.titleElement.textContent = title;
+            this.container.appendChild(this.titleElement);
+            this.rejectionCounter.style.top = '45px';
+        }
+
+        // Remapped clients after the last fleet change, for affinity algorithms
+        this.remapElement = document.createElement('div');
+        this.remapElement.style.position = 'absolute';
+        this.remapElement.style.top = `${parseInt(this.rejectionCounter.style.top) + 30}px`;
+        this.remapElement.style.left = '10px';
+        this.remapElement.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        this.remapElement.style.color = '#FFC107';
+        this.remapElement.style.padding = '6px 10px';
+        this.remapElement.style.borderRadius = '4px';
+        this.remapElement.style.fontFamily = 'Arial, sans-serif';
+        this.remapElement.style.fontSize = '11px';
+        this.remapElement.style.zIndex = '1000';
+        this.remapElement.style.display = 'none';
+        this.container.appendChild(this.remapElement);
+
+        // Subscribe to the engine
+        this.unsubscribers = [
+            this.engine.on('keysRemapped', result => this.showRemapped(result)),
+            this.engine.on('serversChanged', servers => this.initializeServers(servers)),
+            this.engine.on('requestAssigned', (request, server) => this.animateRequest(request, server)),
+            this.engine.on('requestRejected', (request, server, reason) => this.animateRejection(request, server, reason)),
+            this.engine.on('requestFailed', (request, server) => this.animateFailure(request, server)),
+            this.engine.on('requestTimedOut', request => this.animateTimeout(request)),
+            this.engine.on('serverHealthChanged', () => this.updateRejectionCounter()),
+            this.engine.on('scalingEvent', event => this.addScalingMarker(event)),
+            this.engine.on('reset', () => this.clearRequests()),
+            this.engine.on('tick', now => this.render(now))
+        ];
+    }
+
+    setupScene() {
+        // Add ambient light
+        const ambientLight = new THREE.AmbientLight(0xffffff, 0.4);
+        this.scene.add(ambientLight);
+
+        // Add directional lights for better shadows and highlights
+        const dirLight1 = new THREE.DirectionalLight(0xffffff, 0.6);
+        dirLight1.position.set(5, 5, 5);
+        this.scene.add(dirLight1);
+
+        const dirLight2 = new THREE.DirectionalLight(0xffffff, 0.4);
+        dirLight2.position.set(-5, 5, -5);
+        this.scene.add(dirLight2);
+
+        // Add point lights for LED glow effects
+        const pointLight = new THREE.PointLight(0x4CAF50, 0.5, 10);
+        pointLight.position.set(0, 12, 2);
+        this.scene.add(pointLight);
+
+        this.loadBalancerMesh = this.createBalancerMesh();
+        this.loadBalancerMesh.position.set(0, -5, 0);  // Moved load balancer up in screen
+        this.scene.add(this.loadBalancerMesh);
+        this.initializeServers(this.engine.servers);
+    }
+
+    // Balancer model; pool balancers get their own body colour
+    createBalancerMesh(color = 0x2196F3) {
+        const balancer = new THREE.Group();
+
+        // Create main body shape - made wider and taller
+        const shape = new THREE.Shape();
+        shape.moveTo(-3, -1);
+        shape.lineTo(3, -1);
+        shape.lineTo(3, 1);
+        shape.lineTo(-3, 1);
+        shape.lineTo(-3, -1);
+
+        // Enhanced extrude settings
+        const extrudeSettings = {
+            steps: 2,
+            depth: 1.5,
+            bevelEnabled: true,
+            bevelThickness: 0.2,
+            bevelSize: 0.2,
+            bevelSegments: 5
+        };
+
+        // Create main body with enhanced materials
+        const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+        const material = new THREE.MeshPhysicalMaterial({
+            color,
+            metalness: 0.9,
+            roughness: 0.3,
+            clearcoat: 0.5,
+            clearcoatRoughness: 0.2,
+            reflectivity: 0.8
+        });
+        const body = new THREE.Mesh(geometry, material);
+        balancer.add(body);
+
+        // Add more detailed ventilation pattern
+        const ventPattern = new THREE.Group();
+        const ventHoleGeo = new THREE.CircleGeometry(0.08, 8);
+        const ventHoleMat = new THREE.MeshPhysicalMaterial({
+            color: 0x000000,
+            metalness: 0.9,
+            roughness: 0.1
+        });
+
+        for(let x = -2.5; x <= 2.5; x += 0.3) {
+            for(let y = -0.7; y <= 0.7; y += 0.3) {
+                const vent = new THREE.Mesh(ventHoleGeo, ventHoleMat);
+                vent.position.set(x, y, 0.8);
+                ventPattern.add(vent);
+            }
+        }
+        balancer.add(ventPattern);
+
+        // Add larger network ports
+        const portGroup = new THREE.Group();
+        const portGeo = new THREE.BoxGeometry(0.3, 0.4, 0.2);
+        const portMat = new THREE.MeshPhysicalMaterial({
+            color: 0x303030,
+            metalness: 0.9,
+            roughness: 0.2
+        });
+
+        for(let i = 0; i < 4; i++) {
+            const port = new THREE.Mesh(portGeo, portMat);
+            port.position.set(-2.2 + i * 0.6, -1.1, 0.7);
+            portGroup.add(port);
+        }
+        balancer.add(portGroup);
+
+        // Add larger status display
+        const displayGeo = new THREE.PlaneGeometry(2, 0.6);
+        const displayMat = new THREE.MeshPhysicalMaterial({
+            color: 0x000000,
+            metalness: 0.0,
+            roughness: 0.1,
+            transmission: 0.5,
+            thickness: 0.2,
+            opacity: 0.7,
+            transparent: true
+        });
+        const display = new THREE.Mesh(displayGeo, displayMat);
+        display.position.set(1.5, 0, 0.8);
+        balancer.add(display);
+
+        // Add larger status LEDs
+        const ledGroup = new THREE.Group();
+        const ledGeo = new THREE.CircleGeometry(0.1, 16);
+        const ledMats = [
+            new THREE.MeshBasicMaterial({ 
+                color: 0x4CAF50,
+                emissive: 0x4CAF50,
+                emissiveIntensity: 0.5
+            }),
+            new THREE.MeshBasicMaterial({ 
+                color: 0xFFC107,
+                emissive: 0xFFC107,
+                emissiveIntensity: 0.5
+            }),
+            new THREE.MeshBasicMaterial({ 
+                color: 0x2196F3,
+                emissive: 0x2196F3,
+                emissiveIntensity: 0.5
+            })
+        ];
+
+        for(let i = 0; i < 3; i++) {
+            const led = new THREE.Mesh(ledGeo, ledMats[i]);
+            led.position.set(2.2, 0.5 - i * 0.3, 0.8);
+            ledGroup.add(led);
+        }
+        balancer.add(ledGroup);
+
+        return balancer;
+    }
+
+    initializeServers(servers) {
+        // Remove old server visuals
+        this.serverVisuals.forEach(visual => {
+            this.scene.remove(visual.mesh);
+            this.scene.remove(visual.cpuBar);
+            this.scene.remove(visual.memoryBar);
+            visual.queueMeshes.forEach(mesh => this.scene.remove(mesh));
+            this.container.removeChild(visual.statsElement);
+        });
+        this.serverVisuals.clear();
+        this.poolVisuals.forEach(visual => {
+            this.scene.remove(visual.mesh);
+            this.container.removeChild(visual.labelElement);
+        });
+        this.poolVisuals.clear();
+        this.zoneVisuals.forEach(visual => {
+            this.scene.remove(visual.mesh);
+            this.container.removeChild(visual.labelElement);
+        });
+        this.zoneVisuals = [];
+
+        // With pools the front balancer moves up to make room for a row of
+        // pool balancers, each above its own servers
+        const pools = this.engine.pools;
+        this.loadBalancerMesh.position.y = pools.length > 0 ? 2 : -5;
+        // With zones the servers of a zone sit together within their group
+        const zoned = this.engine.zones.length > 0;
+        const groups = (pools.length > 0
+            ? pools.map(pool => servers.filter(server => this.engine.getPool(server) === pool))
+            : [servers]).map(group => zoned ? [...group].sort((a, b) => a.zone - b.zone) : group);
+
+        // Calculate available space and required spacing
+        const viewWidth = 35;
+        const serverWidth = 4;  // Adjusted width
+        const minSpacing = 5;   // More spacing between servers
+        const poolSpacing = 8;  // Between the servers of neighbouring pools
+        const zoneSpacing = 7;  // Between neighbouring servers in different zones
+
+        // Servers are drawn in proportion to their capacity; an empty pool
+        // still takes up one server's width
+        const sizes = groups.map(group => group.map(server => this.getCapacityScale(server)));
+        const gaps = groups.map(group => group.slice(1).map((server, i) => zoned && server.zone !== group[i].zone ? zoneSpacing : minSpacing));
+        const contentWidths = sizes.map((groupSizes, g) =>
+            groupSizes.reduce((sum, size) => sum + size * serverWidth, 0) + gaps[g].reduce((sum, gap) => sum + gap, 0));
+        const groupWidths = contentWidths.map(width => Math.max(serverWidth, width));
+        const totalWidth = groupWidths.reduce((sum, width) => sum + width, 0) + (groups.length - 1) * poolSpacing;
+
+        // Calculate scale factor to fit everything in view
+        const scale = Math.min(1, viewWidth / totalWidth);
+        let x = -totalWidth * scale / 2;
+
+        // Create server visuals with proper spacing
+        groups.forEach((group, g) => {
+            let serverX = x + (groupWidths[g] - contentWidths[g]) * scale / 2;
+            group.forEach((server, i) => {
+                const scaledServerWidth = serverWidth * sizes[g][i] * scale;
+                const position = new THREE.Vector3(
+                    serverX + scaledServerWidth / 2,
+                    -15,  // Moved servers up in screen
+                    0
+                );
+                serverX += scaledServerWidth + (i < gaps[g].length ? gaps[g][i] : 0) * scale;
+                this.serverVisuals.set(server, this.createServerVisual(position, scale * sizes[g][i] * 1.5));
+            });
+            if (zoned) this.createZoneVisuals(group);
+            if (pools.length > 0) {
+                this.poolVisuals.set(pools[g], this.createPoolVisual(new THREE.Vector3(x + groupWidths[g] * scale / 2, -6, 0)));
+            }
+            x += (groupWidths[g] + poolSpacing) * scale;
+        });
+    }
+
+    // A panel behind each run of neighbouring servers in the same zone, with
+    // the zone's name above it
+    createZoneVisuals(group) {
+        const runs = [];
+        group.forEach((server, i) => {
+            if (i === 0 || server.zone !== group[i - 1].zone) runs.push({ zone: server.zone, visuals: [] });
+            runs[runs.length - 1].visuals.push(this.serverVisuals.get(server));
+        });
+        runs.forEach(({ zone, visuals }) => {
+            const padding = 1;
+            const left = Math.min(...visuals.map(visual => visual.mesh.position.x - 2 * visual.scale)) - padding;
+            const right = Math.max(...visuals.map(visual => visual.mesh.position.x + 2 * visual.scale)) + padding;
+            const top = -15 + Math.max(...visuals.map(visual => 3.5 * visual.scale)) + padding;
+            const bottom = -24.5;
+
+            const mesh = new THREE.Mesh(
+                new THREE.PlaneGeometry(right - left, top - bottom),
+                new THREE.MeshBasicMaterial({ color: ZONE_COLORS[zone % ZONE_COLORS.length], transparent: true, opacity: 0.12 })
+            );
+            mesh.position.set((left + right) / 2, (top + bottom) / 2, -0.5);
+            this.scene.add(mesh);
+
+            const labelElement = document.createElement('div');
+            labelElement.style.position = 'absolute';
+            labelElement.style.color = `#${ZONE_COLORS[zone % ZONE_COLORS.length].toString(16).padStart(6, '0')}`;
+            labelElement.style.fontFamily = 'Arial, sans-serif';
+            labelElement.style.fontSize = '9px';
+            labelElement.style.whiteSpace = 'nowrap';
+            labelElement.style.zIndex = '1000';
+            labelElement.textContent = this.engine.zones[zone] ? this.engine.zones[zone].name : `Zone ${zone + 1}`;
+            this.container.appendChild(labelElement);
+            this.zoneVisuals.push({ mesh, labelElement, corner: new THREE.Vector3(left, top, 0) });
+        });
+    }
+
+    updateZoneVisuals() {
+        this.zoneVisuals.forEach(visual => {
+            const vector = visual.corner.clone().project(this.camera);
+            visual.labelElement.style.left = `${(vector.x * 0.5 + 0.5) * this.container.clientWidth + 3}px`;
+            visual.labelElement.style.top = `${(-vector.y * 0.5 + 0.5) * this.container.clientHeight + 2}px`;
+        });
+    }
+
+    // Smaller balancer in front of a pool, with its name and load as a label
+    createPoolVisual(position) {
+        const mesh = this.createBalancerMesh(0x009688);
+        mesh.scale.set(0.45, 0.45, 0.45);
+        mesh.position.copy(position);
+        this.scene.add(mesh);
+
+        const labelElement = document.createElement('div');
+        labelElement.style.position = 'absolute';
+        labelElement.style.textAlign = 'center';
+        labelElement.style.color = '#FFFFFF';
+        labelElement.style.fontFamily = 'Arial, sans-serif';
+        labelElement.style.fontSize = '9px';
+        labelElement.style.lineHeight = '1.1';
+        labelElement.style.whiteSpace = 'nowrap';
+        labelElement.style.zIndex = '1000';
+        this.container.appendChild(labelElement);
+        return { mesh, labelElement };
+    }
+
+    updatePoolVisuals() {
+        this.poolVisuals.forEach((visual, pool) => {
+            const vector = visual.mesh.position.clone();
+            vector.y += 0.8;
+            vector.project(this.camera);
+            const x = (vector.x * 0.5 + 0.5) * this.container.clientWidth;
+            const y = (-vector.y * 0.5 + 0.5) * this.container.clientHeight;
+            visual.labelElement.style.transform = 'translate(-50%, -100%)';
+            visual.labelElement.style.left = `${x}px`;
+            visual.labelElement.style.top = `${y}px`;
+
+            // Pool and algorithm names come from scenarios and plugins, so they only go in as text
+            const name = document.createElement('div');
+            name.style.fontWeight = 'bold';
+            name.textContent = pool.name;
+            const algorithm = document.createElement('div');
+            algorithm.style.opacity = '0.8';
+            algorithm.textContent = pool.algorithmName || '';
+            const load = document.createElement('div');
+            if (pool.rotation.length > 0) {
+                load.textContent = `${pool.getOutstandingRequests()} req · CPU ${Math.round(pool.getUtilization().cpu)}%`;
+            } else {
+                load.textContent = 'no servers in rotation';
+                load.style.color = '#F44336';
+            }
+            visual.labelElement.replaceChildren(name, algorithm, load);
+        });
+    }
+
+    // Relative drawing size of a server; a standard 100/100 server is 1
+    getCapacityScale(server) {
+        const capacity = (server.maxCpu + server.maxMemory) / 200;
+        return Math.min(1.6, Math.max(0.6, Math.sqrt(capacity)));
+    }
+
+    createServerVisual(position, scale = 1) {
+        const visual = { mesh: null, border: null, breakerLight: null, cpuBar: null, memoryBar: null, statsElement: null, queueMeshes: [], scale };
+        visual.mesh = new THREE.Group();
+
+        // Create main server body - modern dark theme
+        const bodyGeo = new THREE.PlaneGeometry(4 * scale, 5 * scale);
+        const bodyMat = new THREE.MeshBasicMaterial({
+            color: 0x1A1A2E  // Dark blue-gray background
+        });
+        const body = new THREE.Mesh(bodyGeo, bodyMat);
+        visual.mesh.add(body);
+
+        // Add border with gradient effect
+        const borderGeo = new THREE.PlaneGeometry(4.02 * scale, 5.02 * scale);
+        const borderMat = new THREE.MeshBasicMaterial({
+            color: 0x7B68EE  // Medium slate blue - more vibrant
+        });
+        const border = new THREE.Mesh(borderGeo, borderMat);
+        border.position.z = -0.01;
+        visual.mesh.add(border);
+        visual.border = border;  // Recoloured to show the server's health
+
+        // Circuit breaker state, only shown with breakers on
+        const breakerLight = new THREE.Mesh(
+            new THREE.CircleGeometry(0.25 * scale, 16),
+            new THREE.MeshBasicMaterial({ color: BREAKER_COLORS.closed })
+        );
+        breakerLight.position.set(1.55 * scale, 2.05 * scale, 0.02);
+        breakerLight.visible = false;
+        visual.mesh.add(breakerLight);
+        visual.breakerLight = breakerLight;
+
+        // Add horizontal lines with dots
+        const lineGeo = new THREE.PlaneGeometry(3 * scale, 0.08 * scale);
+        const dotGeo = new THREE.CircleGeometry(0.04 * scale, 32);
+        const lineMat = new THREE.MeshBasicMaterial({
+            color: 0xFF6B6B  // Coral red - more vibrant
+        });
+
+        // Position lines and dots evenly
+        const positions = [-1.5, -0.5, 0.5, 1.5];
+        positions.forEach(y => {
+            // Add line
+            const line = new THREE.Mesh(lineGeo, lineMat);
+            line.position.set(0.2 * scale, y * scale, 0.01);
+            visual.mesh.add(line);
+
+            // Add dot
+            const dot = new THREE.Mesh(dotGeo, lineMat);
+            dot.position.set(-1.7 * scale, y * scale, 0.01);
+            visual.mesh.add(dot);
+        });
+
+        // Position the server
+        visual.mesh.position.copy(position);
+        this.scene.add(visual.mesh);
+
+        // Create usage bars with modern colors
+        const barGeometry = new THREE.PlaneGeometry(3.6 * scale, 0.2 * scale);
+        
+        // CPU bar - matching the border color
+        const cpuBarMat = new THREE.MeshBasicMaterial({
+            color: 0x7B68EE,
+            transparent: true,
+            opacity: 0.9
+        });
+        visual.cpuBar = new THREE.Mesh(barGeometry, cpuBarMat);
+        visual.cpuBar.position.set(position.x, position.y + 3 * scale, position.z + 0.02);
+        visual.cpuBar.scale.x = 0;
+        this.scene.add(visual.cpuBar);
+
+        // Memory bar - matching the line color
+        const memBarMat = new THREE.MeshBasicMaterial({
+            color: 0xFF6B6B,
+            transparent: true,
+            opacity: 0.9
+        });
+        visual.memoryBar = new THREE.Mesh(barGeometry, memBarMat);
+        visual.memoryBar.position.set(position.x, position.y + 2.4 * scale, position.z + 0.02);
+        visual.memoryBar.scale.x = 0;
+        this.scene.add(visual.memoryBar);
+
+        // Create stats element with matching theme and scaled font size
+        const statsElement = document.createElement('div');
+        statsElement.style.position = 'absolute';
+        statsElement.style.textAlign = 'center';
+        statsElement.style.color = '#FFFFFF';
+        statsElement.style.fontFamily = 'Arial, sans-serif';
+        statsElement.style.fontSize = `${Math.max(6, 8 * scale)}px`;  // Reduced base size from 12 to 8, min from 8 to 6
+        statsElement.style.fontWeight = 'normal';
+        statsElement.style.zIndex = '1000';
+        statsElement.style.lineHeight = '1.1';  // Reduced line height from 1.2 to 1.1
+        statsElement.innerHTML = `
+            <div style="margin-bottom: ${1 * scale}px">CPU: 0%</div>
+            <div>MEM: 0%</div>
+        `;
+        this.container.appendChild(statsElement);
+        visual.statsElement = statsElement;
+
+        return visual;
+    }
+
+    // Retries are drawn as rings, first attempts as discs
+    createRequestMesh(request) {
+        const geometry = request.attempt > 0 ? new THREE.RingGeometry(0.3, 0.5, 32) : new THREE.CircleGeometry(0.5, 32);
+        const material = new THREE.MeshBasicMaterial({ 
+            color: new THREE.Color(request.type ? request.type.color : '#FFFFFF')
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(this.loadBalancerMesh.position);
+        this.scene.add(mesh);
+        return mesh;
+    }
+
+    // Register a per-frame animation; `update(now)` returns true when finished
+    addAnimation(update, cleanup) {
+        this.animations.add({ update, cleanup });
+    }
+
+    runAnimations(now) {
+        this.animations.forEach(animation => {
+            if (animation.update(now)) {
+                animation.cleanup();
+                this.animations.delete(animation);
+            }
+        });
+    }
+
+    // Rejected at the load balancer, or at the server whose queue it timed out in
+    animateRejection(request, server, reason) {
+        const mesh = this.createRequestMesh(request);
+        const visual = server && this.serverVisuals.get(server);
+        if (reason === 'timeout' && visual) {
+            mesh.position.copy(visual.mesh.position);
+        }
+
+        this.updateRejectionCounter();
+        this.animatePulse(mesh, 0xFF6B6B);
+    }
+
+    // Dropped by a crashed server or answered with an error
+    animateFailure(request, server) {
+        const visual = this.serverVisuals.get(server);
+        if (!visual) return;
+        const mesh = this.createRequestMesh(request);
+        mesh.position.copy(visual.mesh.position);
+
+        this.updateRejectionCounter();
+        this.animatePulse(mesh, 0xFFC107);
+    }
+
+    // Its client stopped waiting; shown where the client's requests come in
+    animateTimeout(request) {
+        const mesh = this.createRequestMesh(request);
+        this.updateRejectionCounter();
+        this.animatePulse(mesh, 0x90A4AE);
+    }
+
+    // Fade a request mesh out with a pulse of `color` around it
+    animatePulse(mesh, color) {
+        const material = mesh.material;
+        const startTime = this.engine.now();
+        const duration = 500;
+        
+        // Create pulse effect
+        const pulseGeometry = new THREE.CircleGeometry(0.7, 32);
+        const pulseMaterial = new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.5
+        });
+        const pulse = new THREE.Mesh(pulseGeometry, pulseMaterial);
+        pulse.position.copy(mesh.position);
+        this.scene.add(pulse);
+        
+        const fadeOut = now => {
+            const elapsed = now - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+            
+            // Fade out request
+            material.opacity = 1 - progress;
+            material.transparent = true;
+            
+            // Pulse effect
+            pulse.scale.set(1 + progress, 1 + progress, 1);
+            pulseMaterial.opacity = 0.5 * (1 - progress);
+            
+            return progress >= 1;
+        };
+        
+        this.addAnimation(fadeOut, () => {
+            this.scene.remove(mesh);
+            this.scene.remove(pulse);
+        });
+    }
+
+    updateRejectionCounter() {
+        const { queueFull, timeout, unavailable } = this.engine.rejectionsByReason;
+        const { cpu, memory, both } = this.engine.rejectionsByResource;
+        let text = `Rejected: ${this.engine.totalRejectedRequests}`;
+        if (cpu + memory + both > 0) {
+            text += ` (out of CPU: ${cpu}, memory: ${memory}${both > 0 ? `, both: ${both}` : ''})`;
+        }
+        if (queueFull > 0 || timeout > 0) {
+            text += ` (queue full: ${queueFull}, timed out: ${timeout})`;
+        }
+        if (unavailable > 0) {
+            text += ` (no healthy servers: ${unavailable})`;
+        }
+        const { rateLimited, concurrency, shed } = this.engine.rejectionsByReason;
+        if (rateLimited + concurrency + shed > 0) {
+            text += ` (rate limited: ${rateLimited}, concurrency limit: ${concurrency}, shed: ${shed})`;
+        }
+        if (this.engine.failedRequests > 0) {
+            const { crashed, error, drained } = this.engine.failuresByReason;
+            text += ` · Failed: ${this.engine.failedRequests} (crashed: ${crashed}, errors: ${error}`;
+            text += drained > 0 ? `, drain timed out: ${drained})` : ')';
+        }
+        if (this.engine.ejections > 0 || this.engine.breakerTrips > 0) {
+            text += ` · Ejections: ${this.engine.ejections}, breaker trips: ${this.engine.breakerTrips}`;
+        }
+        const { retries, retriesDenied, clientTimeouts, lateAnswers, gaveUp } = this.engine;
+        if (clientTimeouts > 0) {
+            text += ` · Client timeouts: ${clientTimeouts} (answered late: ${lateAnswers})`;
+        }
+        if (retries > 0 || retriesDenied > 0) {
+            text += ` · Retries: ${retries}${retriesDenied > 0 ? ` (over budget: ${retriesDenied})` : ''}, gave up: ${gaveUp}`;
+        }
+        this.rejectionCounter.lastChild.textContent = text;
+    }
+
+    // Server under a mouse event, or null
+    findServerAt(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            (event.clientX - rect.left) / rect.width * 2 - 1,
+            -(event.clientY - rect.top) / rect.height * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.camera);
+        for (const [server, visual] of this.serverVisuals) {
+            if (raycaster.intersectObject(visual.mesh, true).length > 0) return server;
+        }
+        return null;
+    }
+
+    // Show the first requests of a queue as small squares, recycling meshes
+    syncQueueMeshes(meshes, queue, size, getPosition) {
+        const visible = Math.min(queue.length, MAX_VISIBLE_QUEUE);
+        while (meshes.length < visible) {
+            const mesh = new THREE.Mesh(
+                new THREE.PlaneGeometry(size, size),
+                new THREE.MeshBasicMaterial({ color: 0xFFFFFF })
+            );
+            this.scene.add(mesh);
+            meshes.push(mesh);
+        }
+        meshes.forEach((mesh, i) => {
+            mesh.visible = i < visible;
+            if (!mesh.visible) return;
+            const request = queue[i];
+            mesh.material.color.set(request.type ? request.type.color : '#FFFFFF');
+            mesh.position.copy(getPosition(i));
+        });
+    }
+
+    updateQueueVisuals() {
+        // Load balancer queue extends to the right of the load balancer
+        const lbPosition = this.loadBalancerMesh.position;
+        this.syncQueueMeshes(this.globalQueueMeshes, this.engine.globalQueue, 0.45, i =>
+            new THREE.Vector3(lbPosition.x + 4.2 + i * 0.6, lbPosition.y, lbPosition.z + 0.1));
+
+        // Server queues stack up above each server
+        this.serverVisuals.forEach((visual, server) => {
+            const position = visual.mesh.position;
+            const size = 0.3 * visual.scale;
+            this.syncQueueMeshes(visual.queueMeshes, server.queue, size, i =>
+                new THREE.Vector3(position.x, position.y + 3 * visual.scale + size * (1.5 + i * 1.3), position.z + 0.03));
+        });
+    }
+
+    animateRequest(request, server) {
+        const visual = this.serverVisuals.get(server);
+        if (!visual) return;
+
+        const mesh = this.createRequestMesh(request);
+        const startTime = this.engine.now();
+        // 1 second animation, longer for requests that cross zones
+        const duration = request.networkLatency > 0 ? 1600 : 1000;
+
+        // Hop by hop: front balancer, the server's pool balancer if any, server
+        const pool = this.engine.getPool(server);
+        const poolVisual = pool && this.poolVisuals.get(pool);
+        const waypoints = [
+            this.loadBalancerMesh.position.clone(),
+            ...(poolVisual ? [poolVisual.mesh.position.clone()] : []),
+            visual.mesh.position.clone()
+        ];
+        const hops = waypoints.length - 1;
+
+        const animate = now => {
+            const elapsed = now - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+            const hop = Math.min(Math.floor(progress * hops), hops - 1);
+            const hopProgress = progress * hops - hop;
+            const startPos = waypoints[hop];
+            const endPos = waypoints[hop + 1];
+
+            // Curved path animation
+            const currentPos = new THREE.Vector3();
+            currentPos.y = startPos.y + (endPos.y - startPos.y) * hopProgress;
+            currentPos.x = startPos.x + (endPos.x - startPos.x) * hopProgress;
+            // Add a slight horizontal curve based on vertical progress
+            const curve = Math.sin(hopProgress * Math.PI) * (endPos.x - startPos.x) * 0.2;
+            currentPos.x += curve;
+            
+            mesh.position.copy(currentPos);
+
+            return progress >= 1;
+        };
+
+        // Remove the request mesh when it reaches the server
+        this.addAnimation(animate, () => this.scene.remove(mesh));
+    }
+
+    updateServerVisuals() {
+        this.engine.servers.forEach(server => {
+            const visual = this.serverVisuals.get(server);
+            if (!visual) return;
+            const load = server.getUtilization();
+            visual.border.material.color.setHex(LIFECYCLE_COLORS[server.lifecycle] ||
+                (server.isEjected() ? EJECTED_COLOR : HEALTH_COLORS[server.getHealthStatus()]));
+            visual.breakerLight.visible = this.engine.breakerConfig.enabled;
+            visual.breakerLight.material.color.setHex(BREAKER_COLORS[server.breaker.state]);
+            
+            // Update CPU and Memory bars, left-aligned on the server. CPU can go
+            // past 100% under processor sharing; the bar stops at full.
+            const barOffset = 1.8 * visual.scale;
+            visual.cpuBar.scale.x = Math.min(1, load.cpu / 100);
+            visual.cpuBar.position.x = visual.mesh.position.x - (barOffset * (1 - visual.cpuBar.scale.x));
+
+            visual.memoryBar.scale.x = load.memory / 100;
+            visual.memoryBar.position.x = visual.mesh.position.x - (barOffset * (1 - visual.memoryBar.scale.x));
+
+            // Update HTML stats position - positioned below server
+            const vector = new THREE.Vector3(
+                visual.mesh.position.x,
+                visual.mesh.position.y - (2.5 * visual.scale + 0.75),
+                visual.mesh.position.z
+            );
+            vector.project(this.camera);
+            
+            const x = (vector.x * 0.5 + 0.5) * this.container.clientWidth;
+            const y = (-vector.y * 0.5 + 0.5) * this.container.clientHeight;
+            
+            visual.statsElement.style.transform = `translate(-50%, 0)`;
+            visual.statsElement.style.left = `${x}px`;
+            visual.statsElement.style.top = `${y}px`;
+            visual.statsElement.innerHTML = `
+                <div style="margin-bottom: 1px">CPU: ${Math.round(load.cpu)}%</div>
+                <div style="margin-bottom: 1px">MEM: ${Math.round(load.memory)}%</div>
+                <div style="margin-bottom: 1px">Requests: ${server.requests.length}</div>
+                <div>Avg Latency: ${Math.round(server.getAverageResponseTime())}ms</div>
+                ${server.queueLimit > 0 ? `<div>Queue: ${server.queue.length}/${server.queueLimit}</div>` : ''}
+                ${this.describeLifecycle(server)}
+                ${this.describeFault(server)}
+                ${this.describeOutlier(server)}
+                ${this.describeSpec(server)}
+            `;
+        });
+    }
+
+    updateStatsDisplay(stats) {
+        if (!this.statsElement) {
+            this.statsElement = document.createElement('div');
+            this.statsElement.style.position = 'absolute';
+            this.statsElement.style.bottom = '10px';
+            this.statsElement.style.left = '10px';  // Changed from 50% to 10px
+            this.statsElement.style.transform = 'none';  // Removed translateX
+            this.statsElement.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+            this.statsElement.style.color = 'white';
+            this.statsElement.style.padding = '10px';
+            this.statsElement.style.borderRadius = '6px';
+            this.statsElement.style.fontFamily = 'Arial, sans-serif';
+            this.statsElement.style.fontSize = '12px';
+            this.statsElement.style.boxShadow = '0 2px 4px rgba(0, 0, 0, 0.3)';
+            this.statsElement.style.width = '220px';
+            this.statsElement.style.zIndex = '1000';
+            
+            // Create canvas for graphs
+            this.graphCanvas = document.createElement('canvas');
+            this.graphCanvas.width = 220;
+            this.graphCanvas.height = 80;
+            this.graphCanvas.style.marginTop = '8px';
+            
+            this.statsElement.innerHTML = `
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <div style="font-size: 11px; opacity: 0.9;">Balance History</div>
+                    <div style="display: flex; gap: 12px; font-size: 11px;">
+                        <div style="display: flex; align-items: center;">
+                            <div style="width: 6px; height: 6px; background: #4CAF50; margin-right: 4px; border-radius: 50%;"></div>
+                            <span id="cpuValue-${this.containerId}">0</span>%
+                        </div>
+                        <div style="display: flex; align-items: center;">
+                            <div style="width: 6px; height: 6px; background: #FF6B6B; margin-right: 4px; border-radius: 50%;"></div>
+                            <span id="memValue-${this.containerId}">0</span>%
+                        </div>
+                    </div>
+                </div>
+            `;
+            
+            this.statsElement.appendChild(this.graphCanvas);
+
+            // Traffic plot: the pattern's rate against the arrivals actually seen
+            const trafficHeader = document.createElement('div');
+            trafficHeader.style.display = 'flex';
+            trafficHeader.style.justifyContent = 'space-between';
+            trafficHeader.style.fontSize = '11px';
+            trafficHeader.style.marginTop = '6px';
+            trafficHeader.innerHTML = `
+                <div style="opacity: 0.9;">Traffic</div>
+                <div>
+                    <span style="color: #2196F3;">●</span> <span id="rateValue-${this.containerId}">0</span> req/s<span id="retryRate-${this.containerId}"></span>
+                    · <span id="serverCount-${this.containerId}">0</span> servers
+                </div>
+            `;
+            this.statsElement.appendChild(trafficHeader);
+
+            this.trafficCanvas = document.createElement('canvas');
+            this.trafficCanvas.width = 220;
+            this.trafficCanvas.height = 60;
+            this.trafficCanvas.style.marginTop = '4px';
+            this.statsElement.appendChild(this.trafficCanvas);
+
+            // Latency percentiles of the requests completed in each second
+            const latencyHeader = document.createElement('div');
+            latencyHeader.style.display = 'flex';
+            latencyHeader.style.justifyContent = 'space-between';
+            latencyHeader.style.fontSize = '11px';
+            latencyHeader.style.marginTop = '6px';
+            latencyHeader.innerHTML = `
+                <div style="opacity: 0.9;">Latency</div>
+                <div>
+                    ${LATENCY_LINES.map(line => `<span style="color: ${line.color};">●</span> ${line.label}`).join(' ')}
+                    · p99 <span id="p99Value-${this.containerId}">0</span>ms<span id="crossZone-${this.containerId}"></span>
+                </div>
+            `;
+            this.statsElement.appendChild(latencyHeader);
+
+            this.latencyCanvas = document.createElement('canvas');
+            this.latencyCanvas.width = 220;
+            this.latencyCanvas.height = 60;
+            this.latencyCanvas.style.marginTop = '4px';
+            this.statsElement.appendChild(this.latencyCanvas);
+
+            // How each priority class fared, once there is more than one
+            this.priorityElement = document.createElement('div');
+            this.priorityElement.style.fontSize = '11px';
+            this.priorityElement.style.marginTop = '6px';
+            this.statsElement.appendChild(this.priorityElement);
+
+            this.container.appendChild(this.statsElement);
+        }
+
+        const cpuBalance = stats.cpuBalance;
+        const memoryBalance = stats.memoryBalance;
+
+        // Update current values
+        document.getElementById(`cpuValue-${this.containerId}`).textContent = cpuBalance;
+        document.getElementById(`memValue-${this.containerId}`).textContent = memoryBalance;
+
+        // Update history arrays
+        this.cpuBalanceHistory.push(cpuBalance);
+        this.memoryBalanceHistory.push(memoryBalance);
+        
+        if (this.cpuBalanceHistory.length > this.maxDataPoints) {
+            this.cpuBalanceHistory.shift();
+            this.memoryBalanceHistory.shift();
+        }
+
+        // Draw graphs
+        const ctx = this.graphCanvas.getContext('2d');
+        ctx.clearRect(0, 0, this.graphCanvas.width, this.graphCanvas.height);
+
+        // Set up graph area with smaller padding
+        const padding = {
+            left: 25,
+            right: 5,
+            top: 5,
+            bottom: 15
+        };
+        const graphWidth = this.graphCanvas.width - (padding.left + padding.right);
+        const graphHeight = this.graphCanvas.height - (padding.top + padding.bottom);
+
+        // Draw y-axis and labels with smaller font
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.font = '9px Arial';
+
+        // Draw y-axis line
+        ctx.beginPath();
+        ctx.moveTo(padding.left, padding.top);
+        ctx.lineTo(padding.left, this.graphCanvas.height - padding.bottom);
+        ctx.stroke();
+
+        // Draw y-axis labels and grid lines
+        for (let i = 0; i <= 100; i += 25) {
+            const y = padding.top + (graphHeight * (1 - i/100));
+            
+            // Grid line
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(this.graphCanvas.width - padding.right, y);
+            ctx.stroke();
+            
+            // Label
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.fillText(i + '%', padding.left - 3, y);
+        }
+
+        // Draw x-axis and time labels
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.font = '9px Arial';
+
+        // Draw x-axis line
+        ctx.beginPath();
+        ctx.moveTo(padding.left, this.graphCanvas.height - padding.bottom);
+        ctx.lineTo(this.graphCanvas.width - padding.right, this.graphCanvas.height - padding.bottom);
+        ctx.stroke();
+
+        // Draw x-axis time labels
+        const timePoints = [0, 50];
+        timePoints.forEach(point => {
+            const x = padding.left + (point * graphWidth / 50);
+            ctx.fillText(`${point}s`, x, this.graphCanvas.height - padding.bottom + 3);
+        });
+
+        // Function to draw a line graph
+        const drawLine = (data, color) => {
+            if (data.length < 2) return;  // Need at least 2 points to draw a line
+            
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            
+            data.forEach((value, index) => {
+                const x = padding.left + (index * (graphWidth / (this.maxDataPoints - 1)));
+                const y = padding.top + (graphHeight * (1 - value/100));
+                
+                if (index === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            
+            ctx.stroke();
+        };
+
+        // Draw CPU and Memory lines
+        drawLine(this.cpuBalanceHistory, '#4CAF50');
+        drawLine(this.memoryBalanceHistory, '#FF6B6B');
+
+        this.updateTrafficDisplay();
+        this.updateLatencyDisplay();
+        this.updatePriorityDisplay();
+    }
+
+    // Completed, rejected, shed and failed requests per priority; hidden
+    // while all traffic has one priority and nothing has been shed
+    updatePriorityDisplay() {
+        const outcomes = this.engine.outcomesByPriority;
+        const seen = Object.keys(PRIORITIES).filter(priority =>
+            Object.values(outcomes[priority]).some(count => count > 0));
+        if (seen.length < 2 && this.engine.rejectionsByReason.shed === 0) {
+            this.priorityElement.style.display = 'none';
+            return;
+        }
+        this.priorityElement.style.display = 'block';
+        const cell = 'style="text-align: right; padding-left: 8px;"';
+        this.priorityElement.innerHTML = `
+            <table style="width: 100%; border-collapse: collapse;">
+                <tr style="opacity: 0.9;"><td>Priority</td><td ${cell}>Done</td><td ${cell}>Rejected</td><td ${cell}>Shed</td><td ${cell}>Failed</td></tr>
+                ${seen.map(priority => {
+                    const { completed, rejected, shed, failed } = outcomes[priority];
+                    return `<tr><td>${PRIORITIES[priority]}</td><td ${cell}>${completed}</td><td ${cell}>${rejected}</td>` +
+                        `<td ${cell}>${shed}</td><td ${cell}>${failed}</td></tr>`;
+                }).join('')}
+            </table>
+        `;
+    }
+
+    // Sample the target and the measured arrival rate, retries included, and
+    // plot them over the run along with the rate of retries alone
+    updateTrafficDisplay() {
+        const now = this.engine.now();
+        document.getElementById(`rateValue-${this.containerId}`).textContent =
+            this.engine.running ? this.engine.getCurrentRate().toFixed(1) : '0';
+        document.getElementById(`serverCount-${this.containerId}`).textContent =
+            this.engine.servers.filter(server => server.lifecycle === 'active').length;
+        document.getElementById(`crossZone-${this.containerId}`).textContent = this.engine.zones.length > 0
+            ? ` · ${Math.round(this.engine.getCrossZoneShare())}% cross-zone` : '';
+        if (this.engine.startTime === null) return;
+
+        const sample = { time: now, requests: this.engine.requestCount, retries: this.engine.retries };
+        if (!this.lastTrafficSample) {
+            this.lastTrafficSample = sample;
+        } else if (this.engine.running && now - this.lastTrafficSample.time >= TRAFFIC_SAMPLE_INTERVAL) {
+            const elapsed = now - this.lastTrafficSample.time;
+            this.trafficHistory.push({
+                elapsed: now - this.engine.startTime,
+                target: this.engine.getCurrentRate(),
+                actual: (sample.requests - this.lastTrafficSample.requests) / elapsed * 1000,
+                retries: (sample.retries - this.lastTrafficSample.retries) / elapsed * 1000
+            });
+            this.lastTrafficSample = sample;
+        } else if (!this.engine.running) {
+            this.lastTrafficSample = sample;
+        }
+
+        const last = this.trafficHistory[this.trafficHistory.length - 1];
+        document.getElementById(`retryRate-${this.containerId}`).innerHTML = this.engine.retries > 0 && last
+            ? ` · <span style="color: #FF9800;">●</span> ${Math.round(last.retries)} retries/s` : '';
+
+        const maxRate = Math.max(1, this.engine.traffic.getMaxRate(),
+            ...this.trafficHistory.map(sample => sample.actual)) * 1.1;
+        this.drawTimeSeries(this.trafficCanvas, this.trafficHistory, [
+            { key: 'actual', color: 'rgba(255, 255, 255, 0.5)' },
+            { key: 'target', color: '#2196F3' },
+            { key: 'retries', color: '#FF9800' }
+        ], maxRate, value => Math.round(value));
+    }
+
+    // Sample latency percentiles of the requests completed in each interval
+    updateLatencyDisplay() {
+        if (this.engine.startTime === null) return;
+        const now = this.engine.now();
+        const latency = this.engine.latency;
+        if (!this.lastLatencySample || !this.engine.running) {
+            this.lastLatencySample = { time: now, histogram: latency.clone() };
+        } else if (now - this.lastLatencySample.time >= LATENCY_SAMPLE_INTERVAL) {
+            const interval = latency.since(this.lastLatencySample.histogram);
+            if (interval.count > 0) {
+                this.latencyHistory.push({ elapsed: now - this.engine.startTime, ...interval.getPercentiles() });
+            }
+            this.lastLatencySample = { time: now, histogram: latency.clone() };
+        }
+
+        const last = this.latencyHistory[this.latencyHistory.length - 1];
+        document.getElementById(`p99Value-${this.containerId}`).textContent = last ? Math.round(last[99]) : 0;
+
+        const maxLatency = Math.max(10, ...this.latencyHistory.map(sample => sample[99])) * 1.1;
+        this.drawTimeSeries(this.latencyCanvas, this.latencyHistory, LATENCY_LINES, maxLatency,
+            value => value >= 1000 ? `${(value / 1000).toFixed(1)}s` : `${Math.round(value)}`);
+    }
+
+    // Plot samples ({ elapsed, ...values }) over the run: x from 0 to the run
+    // time (or further once it is exceeded), y from 0 to maxValue
+    drawTimeSeries(canvas, history, lines, maxValue, formatValue) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const padding = { left: 25, right: 5, top: 5, bottom: 12 };
+        ctx.clearRect(0, 0, width, height);
+
+        const lastElapsed = history.length > 0 ? history[history.length - 1].elapsed : 0;
+        const maxTime = Math.max(this.engine.traffic.config.duration, lastElapsed);
+        const toX = elapsed => padding.left + elapsed / maxTime * (width - padding.left - padding.right);
+        const toY = value => padding.top + (1 - value / maxValue) * (height - padding.top - padding.bottom);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, padding.top);
+        ctx.lineTo(padding.left, height - padding.bottom);
+        ctx.lineTo(width - padding.right, height - padding.bottom);
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.font = '9px Arial';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(formatValue(maxValue), padding.left - 3, padding.top + 3);
+        ctx.fillText('0', padding.left - 3, height - padding.bottom);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText('0s', padding.left, height - padding.bottom + 2);
+        ctx.fillText(`${Math.round(maxTime / 1000)}s`, width - padding.right - 8, height - padding.bottom + 2);
+
+        this.scalingMarkers.forEach(({ elapsed, direction }) => {
+            const x = toX(elapsed);
+            ctx.strokeStyle = SCALING_MARKER_COLORS[direction];
+            ctx.lineWidth = 1;
+            ctx.setLineDash([2, 2]);
+            ctx.beginPath();
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, height - padding.bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        });
+
+        if (history.length < 2) return;
+        lines.forEach(({ key, color }) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            history.forEach((sample, i) => {
+                const x = toX(sample.elapsed);
+                const y = toY(sample[key]);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        });
+    }
+
+    addScalingMarker({ time, from, to }) {
+        if (this.engine.startTime === null) return;
+        this.scalingMarkers.push({ elapsed: time - this.engine.startTime, direction: to > from ? 'out' : 'in' });
+    }
+
+    showRemapped({ previousServers, servers, remapped, total }) {
+        const percent = total === 0 ? 0 : Math.round(remapped / total * 100);
+        this.remapElement.textContent =
+            `${previousServers} → ${servers} servers: ${remapped} of ${total} client keys remapped (${percent}%)`;
+        this.remapElement.style.display = 'block';
+    }
+
+    // Injected fault and health state, only shown when something is wrong
+    describeFault(server) {
+        const status = server.getHealthStatus();
+        if (server.fault.type === 'none' && status === 'healthy') return '';
+
+        let fault = FAULT_TYPES[server.fault.type];
+        if (server.fault.type === 'slow') fault += ` ${server.fault.slowdown}×`;
+        if (server.fault.type === 'flaky') fault += ` ${Math.round(server.fault.errorRate * 100)}%`;
+        const color = `#${HEALTH_COLORS[status].toString(16).padStart(6, '0')}`;
+        return `<div style="color: ${color}">${fault} · ${status}</div>`;
+    }
+
+    // Ejection and breaker state, only shown while they keep traffic away
+    describeOutlier(server) {
+        let text = '';
+        if (server.isEjected()) {
+            const remaining = Math.max(0, server.ejectedUntil - this.engine.now());
+            text += `<div style="color: #${EJECTED_COLOR.toString(16)}">Ejected ×${server.ejections} · ${(remaining / 1000).toFixed(1)}s</div>`;
+        }
+        if (this.engine.breakerConfig.enabled && server.breaker.state !== 'closed') {
+            const color = `#${BREAKER_COLORS[server.breaker.state].toString(16).padStart(6, '0')}`;
+            text += `<div style="color: ${color}">Breaker ${BREAKER_STATES[server.breaker.state].toLowerCase()}</div>`;
+        }
+        return text;
+    }
+
+    // Warm-up or drain progress for servers the autoscaler is changing
+    describeLifecycle(server) {
+        const color = `#${(LIFECYCLE_COLORS[server.lifecycle] || 0).toString(16).padStart(6, '0')}`;
+        if (server.lifecycle === 'starting') {
+            const remaining = Math.max(0, server.readyAt - this.engine.now());
+            return `<div style="color: ${color}">Starting · ${(remaining / 1000).toFixed(1)}s</div>`;
+        }
+        if (server.lifecycle === 'draining') {
+            const remaining = Math.max(0, server.drainDeadline - this.engine.now());
+            return `<div style="color: ${color}">Draining · ${server.getOutstandingRequests()} left · ${(remaining / 1000).toFixed(1)}s</div>`;
+        }
+        return '';
+    }
+
+    // Capacity, speed and weight line, only shown for non-standard servers
+    describeSpec(server) {
+        if (server.maxCpu === 100 && server.maxMemory === 100 && server.speed === 1 && server.weight === 1) {
+            return '';
+        }
+        return `<div style="opacity: 0.7">${server.maxCpu}/${server.maxMemory} · ${server.speed}× · w${server.weight}</div>`;
+    }
+
+    // Called on every engine tick
+    render(now) {
+        this.runAnimations(now);
+
+        // Update stats display
+        this.updateStatsDisplay(this.engine.getStats());
+
+        // Update server visuals
+        this.updateServerVisuals();
+        this.updatePoolVisuals();
+        this.updateZoneVisuals();
+        this.updateQueueVisuals();
+        
+        // Render the scene
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    resize() {
+        const aspect = this.container.clientWidth / this.container.clientHeight;
+        
+        this.camera.left = -45 * aspect;
+        this.camera.right = 45 * aspect;
+        this.camera.top = 15;
+        this.camera.bottom = -25;
+        
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+    }
+
+    // Detach from the engine and remove everything this view added to the page
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.clearRequests();
+        this.serverVisuals.clear();
+        this.renderer.dispose();
+        this.container.replaceChildren();
+    }
+
+    clearRequests() {
+        // Remove all request meshes from the scene
+        this.animations.forEach(animation => animation.cleanup());
+        this.animations.clear();
+
+        this.serverVisuals.forEach(visual => {
+            visual.cpuBar.scale.x = 0;
+            visual.memoryBar.scale.x = 0;
+            visual.queueMeshes.forEach(mesh => mesh.visible = false);
+        });
+        this.globalQueueMeshes.forEach(mesh => mesh.visible = false);
+
+        if (this.rejectionCounter) {
+            this.rejectionCounter.lastChild.textContent = `Rejected: 0`;
+        }
+        this.remapElement.style.display = 'none';
+        this.trafficHistory = [];
+        this.lastTrafficSample = null;
+        this.latencyHistory = [];
+        this.lastLatencySample = null;
+        this.scalingMarkers = [];
+    }
+}
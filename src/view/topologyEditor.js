@@ -0,0 +1,109 @@
+// File: src/view/topologyEditor.js
+import { MAX_POOLS } from '../core/topology.js';
+
+// Number of backend pools and each pool's name and algorithm.
+//   onChange(pools)   pools: [{ name, algorithm }], algorithm by name; fewer
+//                     than two pools means a single balancer
+//   onSpread(count)   spread the servers evenly over `count` pools
+export class TopologyEditor {
+    constructor(element, { onChange, onSpread }) {
+        this.element = element;
+        this.onChange = onChange;
+        this.onSpread = onSpread;
+        this.pools = [];
+        this.algorithmNames = [];
+    }
+
+    setPools(pools, algorithmNames = this.algorithmNames) {
+        this.pools = pools.map(pool => ({ ...pool }));
+        this.algorithmNames = algorithmNames;
+        this.render();
+    }
+
+    render() {
+        this.element.replaceChildren();
+
+        const countField = document.createElement('label');
+        countField.className = 'panel-field';
+        countField.innerHTML = '<span>Backend pools (1 = single balancer)</span>';
+        const countInput = document.createElement('input');
+        countInput.type = 'number';
+        countInput.min = 1;
+        countInput.max = MAX_POOLS;
+        countInput.step = 1;
+        countInput.value = Math.max(1, this.pools.length);
+        countInput.addEventListener('change', () => {
+            const count = Math.min(MAX_POOLS, Math.max(1, parseInt(countInput.value) || 1));
+            this.resize(count);
+        });
+        countField.appendChild(countInput);
+        this.element.appendChild(countField);
+        if (this.pools.length < 2) return;
+
+        const table = document.createElement('table');
+        table.className = 'panel-table';
+        table.innerHTML = '<thead><tr><th>#</th><th>Name</th><th>Algorithm</th></tr></thead>';
+        const body = document.createElement('tbody');
+        this.pools.forEach((pool, i) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `<td>${i + 1}</td>`;
+
+            const nameCell = document.createElement('td');
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = pool.name;
+            nameInput.addEventListener('change', () => {
+                pool.name = nameInput.value.trim() || `Pool ${i + 1}`;
+                nameInput.value = pool.name;
+                this.emitChange();
+            });
+            nameCell.appendChild(nameInput);
+            row.appendChild(nameCell);
+
+            const algorithmCell = document.createElement('td');
+            const algorithmSelect = document.createElement('select');
+            this.algorithmNames.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                algorithmSelect.appendChild(option);
+            });
+            algorithmSelect.value = pool.algorithm;
+            algorithmSelect.addEventListener('change', () => {
+                pool.algorithm = algorithmSelect.value;
+                this.emitChange();
+            });
+            algorithmCell.appendChild(algorithmSelect);
+            row.appendChild(algorithmCell);
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        this.element.appendChild(table);
+
+        const spreadButton = document.createElement('button');
+        spreadButton.className = 'small-button';
+        spreadButton.textContent = 'Spread servers evenly';
+        spreadButton.style.marginTop = '6px';
+        spreadButton.addEventListener('click', () => this.onSpread(this.pools.length));
+        this.element.appendChild(spreadButton);
+    }
+
+    // Keep the pools that stay, new ones start out round robin
+    resize(count) {
+        if (count < 2) {
+            this.pools = [];
+        } else {
+            const pools = this.pools.slice(0, count);
+            while (pools.length < count) {
+                pools.push({ name: `Pool ${pools.length + 1}`, algorithm: 'Round Robin' });
+            }
+            this.pools = pools;
+        }
+        this.render();
+        this.emitChange();
+    }
+
+    emitChange() {
+        this.onChange(this.pools.map(pool => ({ ...pool })));
+    }
+}
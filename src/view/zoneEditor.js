@@ -0,0 +1,113 @@
+// File: src/view/zoneEditor.js
+import { MAX_ZONES } from '../core/zones.js';
+
+// zone-a, zone-b, ...
+function defaultZoneName(index) {
+    return `zone-${String.fromCharCode(97 + index)}`;
+}
+
+// Number of availability zones and each zone's name and share of the clients.
+//   onChange(zones)   zones: [{ name, clientShare }]; fewer than two zones
+//                     turns locality off
+//   onSpread(count)   deal the servers out over `count` zones in turn
+export class ZoneEditor {
+    constructor(element, { onChange, onSpread }) {
+        this.element = element;
+        this.onChange = onChange;
+        this.onSpread = onSpread;
+        this.zones = [];
+    }
+
+    setZones(zones) {
+        this.zones = zones.map(zone => ({ ...zone }));
+        this.render();
+    }
+
+    render() {
+        this.element.replaceChildren();
+
+        const countField = document.createElement('label');
+        countField.className = 'panel-field';
+        countField.innerHTML = '<span>Availability zones (1 = off)</span>';
+        const countInput = document.createElement('input');
+        countInput.type = 'number';
+        countInput.min = 1;
+        countInput.max = MAX_ZONES;
+        countInput.step = 1;
+        countInput.value = Math.max(1, this.zones.length);
+        countInput.addEventListener('change', () => {
+            const count = Math.min(MAX_ZONES, Math.max(1, parseInt(countInput.value) || 1));
+            this.resize(count);
+        });
+        countField.appendChild(countInput);
+        this.element.appendChild(countField);
+        if (this.zones.length < 2) return;
+
+        const table = document.createElement('table');
+        table.className = 'panel-table';
+        table.innerHTML = '<thead><tr><th>#</th><th>Name</th><th>Clients (share)</th></tr></thead>';
+        const body = document.createElement('tbody');
+        this.zones.forEach((zone, i) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `<td>${i + 1}</td>`;
+
+            const nameCell = document.createElement('td');
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = zone.name;
+            nameInput.addEventListener('change', () => {
+                zone.name = nameInput.value.trim() || defaultZoneName(i);
+                nameInput.value = zone.name;
+                this.emitChange();
+            });
+            nameCell.appendChild(nameInput);
+            row.appendChild(nameCell);
+
+            const shareCell = document.createElement('td');
+            const shareInput = document.createElement('input');
+            shareInput.type = 'number';
+            shareInput.min = 0;
+            shareInput.max = 100;
+            shareInput.step = 1;
+            shareInput.value = zone.clientShare;
+            shareInput.addEventListener('change', () => {
+                const value = parseFloat(shareInput.value);
+                if (!isNaN(value)) zone.clientShare = Math.min(100, Math.max(0, value));
+                shareInput.value = zone.clientShare;
+                this.emitChange();
+            });
+            shareCell.appendChild(shareInput);
+            row.appendChild(shareCell);
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        this.element.appendChild(table);
+
+        const spreadButton = document.createElement('button');
+        spreadButton.className = 'small-button';
+        spreadButton.textContent = 'Spread servers evenly';
+        spreadButton.style.marginTop = '6px';
+        spreadButton.addEventListener('click', () => this.onSpread(this.zones.length));
+        this.element.appendChild(spreadButton);
+    }
+
+    // Keep the zones that stay; new ones start with a share of 50, as much as
+    // the first two get by default
+    resize(count) {
+        if (count < 2) {
+            this.zones = [];
+        } else {
+            const zones = this.zones.slice(0, count);
+            while (zones.length < count) {
+                zones.push({ name: defaultZoneName(zones.length), clientShare: 50 });
+            }
+            this.zones = zones;
+        }
+        this.render();
+        this.emitChange();
+    }
+
+    emitChange() {
+        this.onChange(this.zones.map(zone => ({ ...zone })));
+    }
+}
@@ -0,0 +1,80 @@
+// File: test/admission.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdmissionController, DEFAULT_ADMISSION_CONFIG } from '../src/core/admission.js';
+import { Request } from '../src/core/request.js';
+import { SimulationEngine } from '../src/core/engine.js';
+import { ManualClock } from '../src/core/clock.js';
+import { algorithms } from '../src/core/algorithms.js';
+import { createRandom } from '../src/core/random.js';
+
+let nextId = 0;
+function createRequest(clientId = 0, priority = 'normal') {
+    const request = new Request(nextId++, 10, 10, 100);
+    request.client = { id: clientId, ip: `10.0.0.${clientId}`, sessionId: `session-${clientId}`, zone: null };
+    request.priority = priority;
+    return request;
+}
+
+test('the rate limit lets a burst through, then refills at its rate', () => {
+    const admission = new AdmissionController({ ...DEFAULT_ADMISSION_CONFIG, rateLimit: 2, burst: 3 });
+    const random = createRandom('admission');
+    const outcomes = Array.from({ length: 4 }, () => admission.admit(createRequest(), 0, random));
+    assert.deepEqual(outcomes, [null, null, null, 'rateLimited']);
+    assert.equal(admission.admit(createRequest(), 400, random), 'rateLimited');
+    assert.equal(admission.admit(createRequest(), 500, random), null);
+});
+
+test('each client has a rate limit of its own', () => {
+    const admission = new AdmissionController({ ...DEFAULT_ADMISSION_CONFIG, clientRateLimit: 1, clientBurst: 1 });
+    const random = createRandom('admission');
+    assert.equal(admission.admit(createRequest(1), 0, random), null);
+    assert.equal(admission.admit(createRequest(1), 0, random), 'rateLimited');
+    assert.equal(admission.admit(createRequest(2), 0, random), null);
+});
+
+test('concurrency limits count admitted requests until they are released', () => {
+    const admission = new AdmissionController({ ...DEFAULT_ADMISSION_CONFIG, concurrencyLimit: 3, clientConcurrencyLimit: 2 });
+    const random = createRandom('admission');
+    const first = createRequest(1);
+    assert.equal(admission.admit(first, 0, random), null);
+    assert.equal(admission.admit(createRequest(1), 0, random), null);
+    assert.equal(admission.admit(createRequest(1), 0, random), 'concurrency');
+    assert.equal(admission.admit(createRequest(2), 0, random), null);
+    assert.equal(admission.admit(createRequest(3), 0, random), 'concurrency');
+
+    admission.release(first);
+    admission.release(first);  // Only counts once
+    assert.equal(admission.inFlight, 2);
+    assert.equal(admission.admit(createRequest(1), 0, random), null);
+});
+
+test('shedding drops low priority first and never high priority', () => {
+    const admission = new AdmissionController({ ...DEFAULT_ADMISSION_CONFIG, shedding: true, shedThreshold: 80 });
+    admission.observeLoad(85, 0);
+    assert.deepEqual(['high', 'normal', 'low'].map(priority => admission.shedProbability(priority)), [0, 0, 0.5]);
+    // Long after, the smoothed load has caught up
+    admission.observeLoad(95, 100000);
+    assert.deepEqual(['high', 'normal', 'low'].map(priority => admission.shedProbability(priority)), [0, 0.5, 1]);
+    // A moment of calm barely moves it
+    admission.observeLoad(0, 100010);
+    assert.ok(admission.load > 90);
+});
+
+test('the engine reports requests turned away by admission control', () => {
+    const clock = new ManualClock();
+    const engine = new SimulationEngine({ algorithm: new algorithms['Round Robin'].constructor(), clock, seed: 'admission' });
+    engine.setAdmissionConfig({ ...DEFAULT_ADMISSION_CONFIG, rateLimit: 20, burst: 10 });
+    engine.start(100);
+    clock.advance(5000);
+    engine.tick();
+    engine.stop();
+    clock.advance(10000);
+    engine.tick();
+
+    const summary = engine.getSummary();
+    assert.ok(summary.rejectionsByReason.rateLimited > 0);
+    // At most the burst plus the refill got through
+    assert.ok(summary.requests - summary.rejectionsByReason.rateLimited <= 10 + 20 * 5);
+    assert.equal(summary.completed + summary.rejected + summary.failed, summary.requests);
+});
@@ -0,0 +1,183 @@
+// File: test/algorithms.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { algorithms } from '../src/core/algorithms.js';
+import { createRandom } from '../src/core/random.js';
+import { Server } from '../src/core/server.js';
+import { Request } from '../src/core/request.js';
+
+function createServers(specs) {
+    return specs.map((spec, id) => new Server(id, { cpu: 100, memory: 100, speed: 1, weight: 1, ...spec }));
+}
+
+function createRequest(id, clientId = id) {
+    const request = new Request(id, 10, 10, 100);
+    request.client = { id: clientId, ip: `10.0.0.${clientId}`, sessionId: `session-${clientId}`, zone: null };
+    return request;
+}
+
+function createContext(seed = 'test') {
+    return { random: createRandom(seed), now: 0, state: {} };
+}
+
+// Fresh instances, so no test sees state another one left behind
+function createAlgorithm(name) {
+    return new algorithms[name].constructor();
+}
+
+test('every algorithm picks a server in range', () => {
+    Object.keys(algorithms).forEach(name => {
+        const algorithm = createAlgorithm(name);
+        const servers = createServers([{}, { weight: 2 }, { cpu: 50 }, {}]);
+        const context = createContext();
+        for (let i = 0; i < 50; i++) {
+            const index = algorithm.selectServer(servers, i % servers.length, createRequest(i, i % 7), context);
+            assert.ok(Number.isInteger(index) && index >= 0 && index < servers.length, `${name} picked ${index}`);
+            servers[index].addRequest(createRequest(1000 + i));
+        }
+    });
+});
+
+test('every algorithm is deterministic for a given random stream', () => {
+    Object.keys(algorithms).forEach(name => {
+        const picks = () => {
+            const algorithm = createAlgorithm(name);
+            const servers = createServers([{}, {}, {}, {}, {}]);
+            const context = createContext('same');
+            return Array.from({ length: 30 }, (_, i) => {
+                const index = algorithm.selectServer(servers, i % servers.length, createRequest(i, i % 11), context);
+                servers[index].addRequest(createRequest(1000 + i));
+                return index;
+            });
+        };
+        assert.deepEqual(picks(), picks(), name);
+    });
+});
+
+test('Round Robin takes turns and skips full servers', () => {
+    const algorithm = createAlgorithm('Round Robin');
+    const servers = createServers([{}, { memory: 5 }, {}]);
+    assert.equal(algorithm.selectServer(servers, 0, createRequest(0), createContext()), 0);
+    assert.equal(algorithm.selectServer(servers, 1, createRequest(1), createContext()), 2);
+});
+
+test('Least Requests picks the server with the fewest outstanding requests', () => {
+    const servers = createServers([{}, {}, {}]);
+    servers[0].addRequest(createRequest(0));
+    servers[1].addRequest(createRequest(1));
+    servers[1].addRequest(createRequest(2));
+    assert.equal(createAlgorithm('Least Requests').selectServer(servers, 0, createRequest(3), createContext()), 2);
+});
+
+test('Least Response Time follows the latency moving average as it decays', () => {
+    const algorithm = createAlgorithm('Least Response Time');
+    const servers = createServers([{}, {}, {}]);
+    servers.forEach(server => { server.latencyDecay = 1000; });
+    servers[0].observeLatency(50, 0);
+    servers[1].observeLatency(20, 0);
+    servers[2].observeLatency(80, 0);
+    const select = () => algorithm.selectServer(servers, 0, createRequest(0), createContext());
+    assert.equal(select(), 1);
+
+    // Slow answers from the fastest server pull its average up past the others
+    servers[1].observeLatency(200, 500);
+    assert.ok(servers[1].latencyEwma > 50);
+    assert.equal(select(), 0);
+    // Then fast ones bring it back, the older the slow answer the quicker
+    servers[1].observeLatency(10, 3000);
+    assert.ok(servers[1].latencyEwma < 50);
+    assert.equal(select(), 1);
+
+    // A server that hasn't answered yet is tried while idle, avoided while busy
+    const fresh = createServers([{}])[0];
+    servers.push(fresh);
+    assert.equal(select(), 3);
+    fresh.addRequest(createRequest(1));
+    assert.equal(select(), 1);
+});
+
+// Servers already running one request of the given CPU and memory each
+function createLoadedServers(specs, loads) {
+    const servers = createServers(specs);
+    loads.forEach(([cpu, memory], index) => servers[index].addRequest(new Request(100 + index, cpu, memory, 100)));
+    return servers;
+}
+
+test('the multi-resource algorithms weigh CPU and memory together', () => {
+    const select = (name, servers, cpu, memory, options = {}) => {
+        const algorithm = createAlgorithm(name);
+        Object.entries(options).forEach(([key, value]) => algorithm.setOption(key, value));
+        return algorithm.selectServer(servers, 0, new Request(0, cpu, memory, 100), createContext());
+    };
+
+    // Least Max Utilization avoids the server whose busier resource is fuller
+    const skewed = createLoadedServers([{}, {}], [[60, 0], [30, 40]]);
+    assert.equal(select('Least Max Utilization', skewed, 5, 5), 1);
+
+    const weighted = createLoadedServers([{}, {}], [[50, 0], [0, 40]]);
+    assert.equal(select('Weighted Resources', weighted, 5, 5), 1);
+    assert.equal(select('Weighted Resources', weighted, 5, 5, { memoryWeight: 2 }), 0);
+
+    // Best fit picks the fullest server the request still fits on, worst fit the emptiest
+    const packed = createLoadedServers([{}, {}, {}], [[50, 50], [10, 10], [95, 0]]);
+    assert.equal(select('Bin Packing', packed, 10, 10), 0);
+    assert.equal(select('Bin Packing', packed, 10, 10, { fit: 'worst' }), 1);
+});
+
+test('Dominant Resource balances by the request\'s larger share of each server', () => {
+    const select = (servers, cpu, memory) =>
+        createAlgorithm('Dominant Resource').selectServer(servers, 0, new Request(0, cpu, memory, 100), createContext());
+
+    // On equal servers memory-heavy requests go where memory is free, CPU-heavy where CPU is
+    const equal = createLoadedServers([{}, {}], [[0, 50], [50, 0]]);
+    assert.equal(select(equal, 2, 10), 1);
+    assert.equal(select(equal, 10, 2), 0);
+
+    // 10 CPU and 20 memory is mostly CPU on a server with 400 memory, so
+    // the busy CPU of server 0 counts rather than its free memory
+    const unequal = createLoadedServers([{ cpu: 100, memory: 400 }, { cpu: 400, memory: 100 }], [[50, 0], [0, 0]]);
+    assert.equal(select(unequal, 10, 20), 1);
+});
+
+test('Weighted Round Robin spreads picks in proportion to weight', () => {
+    const algorithm = createAlgorithm('Weighted Round Robin');
+    const servers = createServers([{ weight: 3 }, { weight: 1 }]);
+    const context = createContext();
+    const picks = Array.from({ length: 8 }, (_, i) => algorithm.selectServer(servers, 0, createRequest(i), context));
+    assert.deepEqual(picks, [0, 0, 1, 0, 0, 0, 1, 0]);
+
+    // The running scores belong to the run, so a new one starts over
+    algorithm.selectServer(servers, 0, createRequest(8), context);
+    const fresh = createContext();
+    assert.deepEqual(Array.from({ length: 4 }, (_, i) => algorithm.selectServer(servers, 0, createRequest(i), fresh)), [0, 0, 1, 0]);
+});
+
+test('Best of k with Memory remembers servers per run', () => {
+    const servers = createServers([{}, {}, {}, {}]);
+    // Server 3 is idle, the others busier the lower their index
+    servers.slice(0, 3).forEach((server, i) => {
+        for (let j = i; j < 3; j++) server.addRequest(createRequest(100 + i * 3 + j));
+    });
+    const picks = (algorithm, context) =>
+        Array.from({ length: 6 }, (_, i) => algorithm.selectServer(servers, 0, createRequest(i), context));
+
+    const algorithm = createAlgorithm('Best of k with Memory');
+    algorithm.setOption('choices', 1);
+    picks(algorithm, createContext('earlier run'));
+    // What the earlier run remembered doesn't leak into a new one
+    const fresh = createAlgorithm('Best of k with Memory');
+    fresh.setOption('choices', 1);
+    assert.deepEqual(picks(algorithm, createContext()), picks(fresh, createContext()));
+});
+
+test('hash-based algorithms send a client to the same server every time', () => {
+    ['Source IP Hash', 'Sticky Sessions', 'Ring Hash', 'Maglev'].forEach(name => {
+        const algorithm = createAlgorithm(name);
+        const servers = createServers([{}, {}, {}, {}]);
+        const context = createContext();
+        const first = algorithm.selectServer(servers, 0, createRequest(0, 42), context);
+        for (let i = 1; i < 10; i++) {
+            assert.equal(algorithm.selectServer(servers, i, createRequest(i, 42), context), first, name);
+        }
+    });
+});
@@ -0,0 +1,111 @@
+// File: test/autoscaler.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Autoscaler, DEFAULT_AUTOSCALING_CONFIG } from '../src/core/autoscaler.js';
+import { SimulationEngine } from '../src/core/engine.js';
+import { ManualClock } from '../src/core/clock.js';
+import { algorithms, RoundRobinAlgorithm } from '../src/core/algorithms.js';
+import { DEFAULT_SERVER_SPEC } from '../src/core/server.js';
+
+// The decision at `now` after a second at `cpu` % average CPU
+function decide(autoscaler, { current, active = current, cpu, now = 1000 }) {
+    autoscaler.observe(cpu, 1000);
+    return autoscaler.evaluate({ current, active }, now, now);
+}
+
+test('target tracking sizes the fleet to bring CPU to the target', () => {
+    const autoscaler = new Autoscaler({ ...DEFAULT_AUTOSCALING_CONFIG, policy: 'target', targetCpu: 60 });
+    assert.equal(decide(autoscaler, { current: 4, cpu: 90 }).desired, 6);
+    // Scaling in waits out the cooldown after scaling out
+    assert.equal(decide(autoscaler, { current: 6, cpu: 20, now: 2000 }).desired, 6);
+    assert.equal(decide(autoscaler, { current: 6, cpu: 20, now: 20000 }).desired, 2);
+});
+
+test('step scaling takes bigger steps for bigger breaches', () => {
+    const step = () => new Autoscaler({ ...DEFAULT_AUTOSCALING_CONFIG, policy: 'step', scaleOutThreshold: 80, scaleInThreshold: 30, stepSize: 1 });
+    assert.equal(decide(step(), { current: 4, cpu: 85 }).desired, 5);
+    assert.equal(decide(step(), { current: 4, cpu: 125 }).desired, 7);
+    assert.equal(decide(step(), { current: 4, cpu: 50 }).desired, 4);
+    assert.equal(decide(step(), { current: 4, cpu: 10 }).desired, 3);
+
+    // A second scale out waits for the cooldown
+    const autoscaler = step();
+    assert.equal(decide(autoscaler, { current: 4, cpu: 90 }).desired, 5);
+    assert.equal(decide(autoscaler, { current: 5, cpu: 90, now: 2000 }).desired, 5);
+    assert.equal(decide(autoscaler, { current: 5, cpu: 90, now: 7000 }).desired, 6);
+});
+
+test('the fleet stays within the limits whatever the policy wants', () => {
+    const autoscaler = new Autoscaler({ ...DEFAULT_AUTOSCALING_CONFIG, policy: 'target', targetCpu: 10, minServers: 2, maxServers: 5 });
+    assert.equal(decide(autoscaler, { current: 4, cpu: 100 }).desired, 5);
+    const idle = new Autoscaler({ ...DEFAULT_AUTOSCALING_CONFIG, policy: 'target', minServers: 2, maxServers: 5 });
+    assert.equal(decide(idle, { current: 4, cpu: 0 }).desired, 2);
+});
+
+test('scheduled scaling follows the latest entry and ignores cooldowns', () => {
+    const autoscaler = new Autoscaler({
+        ...DEFAULT_AUTOSCALING_CONFIG,
+        policy: 'scheduled',
+        schedule: [{ at: 1000, servers: 6 }, { at: 3000, servers: 3 }]
+    });
+    assert.equal(autoscaler.evaluate({ current: 4, active: 4 }, 500, 500).desired, 4);
+    assert.equal(autoscaler.evaluate({ current: 4, active: 4 }, 1000, 1000).desired, 6);
+    assert.equal(autoscaler.evaluate({ current: 6, active: 6 }, 3000, 3000).desired, 3);
+});
+
+test('the engine starts new servers after their warm-up', () => {
+    const clock = new ManualClock();
+    const engine = new SimulationEngine({ algorithm: new algorithms['Round Robin'].constructor(), clock, seed: 'scale' });
+    const events = [];
+    engine.on('scalingEvent', event => events.push(event));
+    engine.setAutoscalingConfig({
+        ...DEFAULT_AUTOSCALING_CONFIG, policy: 'scheduled', warmup: 2000, schedule: [{ at: 1000, servers: 6 }]
+    });
+    engine.start(10);
+    const lifecycles = () => engine.servers.map(server => server.lifecycle);
+
+    clock.advance(1500);
+    engine.tick();
+    assert.deepEqual(events.map(({ from, to }) => [from, to]), [[4, 6]]);
+    assert.equal(lifecycles().filter(lifecycle => lifecycle === 'starting').length, 2);
+    assert.equal(engine.rotation.length, 4);
+
+    clock.advance(2000);
+    engine.tick();
+    assert.ok(lifecycles().every(lifecycle => lifecycle === 'active'));
+    assert.equal(engine.rotation.length, 6);
+});
+
+test('new servers keep each pool at its share of the fleet and spread over its zones', () => {
+    const clock = new ManualClock();
+    const fleet = [
+        { ...DEFAULT_SERVER_SPEC, cpu: 200, memory: 200, pool: 0, zone: 0 },
+        { ...DEFAULT_SERVER_SPEC, cpu: 50, memory: 50, pool: 1, zone: 0 },
+        { ...DEFAULT_SERVER_SPEC, cpu: 50, memory: 50, pool: 1, zone: 0 }
+    ];
+    const engine = new SimulationEngine({ algorithm: new RoundRobinAlgorithm(), clock, fleet, seed: 'scale-spread' });
+    engine.setPools([
+        { name: 'web', algorithm: new RoundRobinAlgorithm(), algorithmName: 'Round Robin' },
+        { name: 'api', algorithm: new RoundRobinAlgorithm(), algorithmName: 'Round Robin' }
+    ]);
+    engine.setZones([{ name: 'a', clientShare: 50 }, { name: 'b', clientShare: 50 }]);
+    engine.setAutoscalingConfig({
+        ...DEFAULT_AUTOSCALING_CONFIG, policy: 'scheduled', warmup: 0, schedule: [{ at: 1000, servers: 6 }]
+    });
+    engine.start(10);
+    clock.advance(1500);
+    engine.tick();
+
+    // One more for web and two for api, each pool's new ones in zone b
+    const added = engine.servers.slice(3).map(({ pool, zone, maxCpu }) => ({ pool, zone, maxCpu }));
+    assert.deepEqual(added, [
+        { pool: 0, zone: 1, maxCpu: 200 },
+        { pool: 1, zone: 1, maxCpu: 50 },
+        { pool: 1, zone: 1, maxCpu: 50 }
+    ]);
+    assert.deepEqual(engine.pools.map(pool => pool.servers.length), [2, 4]);
+
+    // Without pools or zones they copy the last server in the fleet
+    const single = new SimulationEngine({ algorithm: new RoundRobinAlgorithm(), clock: new ManualClock(), fleet: fleet.slice(0, 2), seed: 'scale-single' });
+    assert.deepEqual(single.scaleOutSpec(), { ...fleet[1], pool: 0, zone: 0 });
+});
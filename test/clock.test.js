@@ -0,0 +1,29 @@
+// File: test/clock.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ManualClock, ScaledClock } from '../src/core/clock.js';
+
+test('a scaled clock follows its source at its speed', () => {
+    const source = new ManualClock();
+    const clock = new ScaledClock(source, 2);
+    source.advance(100);
+    assert.equal(clock.now(), 200);
+    // A new speed applies from the current reading on
+    clock.setSpeed(0.5);
+    source.advance(100);
+    assert.equal(clock.now(), 250);
+});
+
+test('a paused clock stands still until stepped or resumed', () => {
+    const source = new ManualClock();
+    const clock = new ScaledClock(source);
+    source.advance(100);
+    clock.pause();
+    source.advance(500);
+    assert.equal(clock.now(), 100);
+    assert.equal(clock.advance(50), 150);
+    assert.equal(clock.now(), 150);
+    clock.resume();
+    source.advance(10);
+    assert.equal(clock.now(), 160);
+});
@@ -0,0 +1,128 @@
+// File: test/engine.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationEngine } from '../src/core/engine.js';
+import { ManualClock } from '../src/core/clock.js';
+import { algorithms } from '../src/core/algorithms.js';
+
+// Run `algorithmName` for `duration` ms of simulated time at `rate` req/s,
+// then let everything in flight finish; returns the engine
+function run({ algorithmName = 'Least Requests', seed = 'seed', rate = 100, duration = 5000, setup = () => {} } = {}) {
+    const clock = new ManualClock();
+    const engine = new SimulationEngine({ algorithm: new algorithms[algorithmName].constructor(), clock, seed });
+    setup(engine);
+    engine.start(rate);
+    for (let t = 0; t < duration; t += 100) {
+        clock.advance(100);
+        engine.tick();
+    }
+    engine.stop();
+    clock.advance(10000);
+    engine.tick();
+    return engine;
+}
+
+test('a run accounts for every request', () => {
+    const summary = run().getSummary();
+    assert.ok(summary.requests > 0);
+    assert.equal(summary.completed + summary.rejected + summary.failed, summary.requests);
+});
+
+test('the same seed gives the same run, whatever the tick size', () => {
+    const a = run({ seed: 'abc' }).getSummary();
+    const b = run({ seed: 'abc' }).getSummary();
+    assert.deepEqual(a, b);
+
+    // Events are processed at their own times, not per tick
+    const clock = new ManualClock();
+    const engine = new SimulationEngine({ algorithm: new algorithms['Least Requests'].constructor(), clock, seed: 'abc' });
+    engine.start(100);
+    clock.advance(5000);
+    engine.tick();
+    engine.stop();
+    clock.advance(10000);
+    engine.tick();
+    // Only the balance integrals may differ, by rounding
+    const { cpuBalance, memoryBalance, ...rest } = engine.getSummary();
+    const { cpuBalance: cpuExpected, memoryBalance: memoryExpected, ...expected } = a;
+    assert.deepEqual(rest, expected);
+    assert.ok(Math.abs(cpuBalance - cpuExpected) < 1e-9 && Math.abs(memoryBalance - memoryExpected) < 1e-9);
+});
+
+test('different seeds give different runs', () => {
+    assert.notDeepEqual(run({ seed: 'one' }).getSummary(), run({ seed: 'two' }).getSummary());
+});
+
+test('the request stream does not depend on the algorithm', () => {
+    const requests = name => run({ algorithmName: name, seed: 'shared', rate: 1000 }).getSummary().requests;
+    assert.equal(requests('Round Robin'), requests('Power of Two Choices'));
+});
+
+test('every algorithm runs in the engine', () => {
+    Object.keys(algorithms).forEach(name => {
+        const summary = run({ algorithmName: name, rate: 300, duration: 2000 }).getSummary();
+        assert.ok(summary.completed > 0, name);
+    });
+});
+
+test('capacity rejections are broken down by the resource that ran out', () => {
+    const rejections = fleetSpec => {
+        const clock = new ManualClock();
+        const fleet = [fleetSpec, fleetSpec];
+        const engine = new SimulationEngine({ algorithm: new algorithms['Least Requests'].constructor(), clock, fleet, seed: 'resources' });
+        engine.start(200);
+        clock.advance(3000);
+        engine.tick();
+        const summary = engine.getSummary();
+        const total = Object.values(summary.rejectionsByResource).reduce((sum, count) => sum + count, 0);
+        assert.equal(total, summary.rejectionsByReason.capacity);
+        return summary.rejectionsByResource;
+    };
+
+    const lowMemory = rejections({ cpu: 1000, memory: 20, speed: 1, weight: 1 });
+    assert.ok(lowMemory.memory > 0);
+    assert.equal(lowMemory.cpu, 0);
+    const lowCpu = rejections({ cpu: 20, memory: 1000, speed: 1, weight: 1 });
+    assert.ok(lowCpu.cpu > 0);
+    assert.equal(lowCpu.memory, 0);
+});
+
+test('advancing to a time that is not finite throws instead of hanging', () => {
+    const engine = new SimulationEngine({ algorithm: new algorithms['Round Robin'].constructor(), clock: new ManualClock() });
+    engine.start(100);
+    assert.throws(() => engine.advanceTo(NaN));
+    assert.throws(() => engine.advanceTo(Infinity));
+    assert.throws(() => engine.tick(NaN));
+});
+
+test('starting again after a stop replays the run from the top', () => {
+    const setup = engine => {
+        engine.scheduleFault(1000, 0, { type: 'crash', slowdown: 1, errorRate: 0 });
+        engine.setAutoscalingConfig({ ...engine.autoscaler.config, policy: 'scheduled', schedule: [{ at: 2000, servers: 6 }] });
+    };
+    const expected = run({ seed: 'again', setup }).getSummary();
+
+    // Run once, stop, then start the same seed again the way the Start button does
+    const clock = new ManualClock();
+    const engine = new SimulationEngine({ algorithm: new algorithms['Least Requests'].constructor(), clock, seed: 'again' });
+    setup(engine);
+    const runFor = duration => {
+        engine.start(100);
+        for (let t = 0; t < duration; t += 100) {
+            clock.advance(100);
+            engine.tick();
+        }
+        engine.stop();
+        clock.advance(10000);
+        engine.tick();
+    };
+    runFor(3000);
+    engine.clearRequests();
+    engine.setSeed('again');
+    runFor(5000);
+
+    const { cpuBalance, memoryBalance, ...rest } = engine.getSummary();
+    const { cpuBalance: cpuExpected, memoryBalance: memoryExpected, ...others } = expected;
+    assert.deepEqual(rest, others);
+    assert.ok(Math.abs(cpuBalance - cpuExpected) < 1e-9 && Math.abs(memoryBalance - memoryExpected) < 1e-9);
+});
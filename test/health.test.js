@@ -0,0 +1,98 @@
+// File: test/health.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationEngine } from '../src/core/engine.js';
+import { ManualClock } from '../src/core/clock.js';
+import { algorithms } from '../src/core/algorithms.js';
+import { DEFAULT_HEALTH_CHECK_CONFIG, DEFAULT_FAULT } from '../src/core/health.js';
+
+// Engine with default health checks (a probe a second, out after 3 failed,
+// back after 2 passed) and a step function moving its clock on
+function createEngine(seed = 'health') {
+    const clock = new ManualClock();
+    const engine = new SimulationEngine({ algorithm: new algorithms['Round Robin'].constructor(), clock, seed, serviceModel: 'fixed' });
+    const advance = ms => {
+        clock.advance(ms);
+        engine.tick();
+    };
+    return { engine, advance };
+}
+
+const inRotation = (engine, id) => engine.rotation.some(server => server.id === id);
+
+test('health checks take a crashed server out of rotation and let it back once it recovers', () => {
+    const { engine, advance } = createEngine();
+    engine.start(20);
+    advance(500);
+    engine.injectFault(0, { ...DEFAULT_FAULT, type: 'crash' });
+    assert.equal(engine.servers[0].requests.length, 0);
+
+    // Probes at 1s and 2s fail, the third takes it out
+    advance(2000);
+    assert.equal(inRotation(engine, 0), true);
+    assert.equal(engine.servers[0].getHealthStatus(), 'failing');
+    advance(1000);
+    assert.equal(inRotation(engine, 0), false);
+
+    engine.injectFault(0, { ...DEFAULT_FAULT, type: 'none' });
+    advance(1000);
+    assert.equal(engine.servers[0].getHealthStatus(), 'recovering');
+    advance(1000);
+    assert.equal(inRotation(engine, 0), true);
+    assert.equal(engine.servers[0].getHealthStatus(), 'healthy');
+});
+
+test('a crash fails the requests running on the server', () => {
+    const { engine, advance } = createEngine();
+    engine.start(100);
+    advance(1000);
+    const running = engine.servers[0].requests.length;
+    assert.ok(running > 0);
+    engine.injectFault(0, { ...DEFAULT_FAULT, type: 'crash' });
+    assert.equal(engine.getSummary().failuresByReason.crashed, running);
+});
+
+test('a slow server takes longer and fails probes that time out', () => {
+    const { engine, advance } = createEngine();
+    engine.injectFault(0, { ...DEFAULT_FAULT, type: 'slow', slowdown: 10 });
+    engine.start(50);
+    advance(400);
+    const slow = engine.servers[0].requests[0];
+    const normal = engine.servers[1].requests[0];
+    assert.equal(slow.serviceTime, slow.processingTime * 10);
+    assert.equal(normal.serviceTime, normal.processingTime);
+
+    // 20 ms probes take 200 ms, over the 100 ms timeout
+    advance(2600);
+    assert.equal(inRotation(engine, 0), false);
+    assert.equal(inRotation(engine, 1), true);
+});
+
+test('a flaky server answers its share of requests with errors', () => {
+    const { engine, advance } = createEngine();
+    engine.setHealthCheckConfig({ ...DEFAULT_HEALTH_CHECK_CONFIG, enabled: false });
+    engine.injectFault(0, { ...DEFAULT_FAULT, type: 'flaky', errorRate: 1 });
+    engine.start(100);
+    advance(5000);
+    const [flaky, ...others] = engine.servers;
+    // Every request it finished was answered with an error
+    assert.ok(flaky.failedRequests > 0);
+    assert.equal(flaky.failedRequests, flaky.completedRequests);
+    assert.ok(others.every(server => server.failedRequests === 0 && server.completedRequests > 0));
+    assert.equal(engine.getSummary().failuresByReason.error, flaky.failedRequests);
+});
+
+test('turning health checks off trusts every server again', () => {
+    const { engine, advance } = createEngine();
+    engine.injectFault(0, { ...DEFAULT_FAULT, type: 'crash' });
+    engine.start(10);
+    advance(3000);
+    assert.equal(inRotation(engine, 0), false);
+
+    engine.setHealthCheckConfig({ ...DEFAULT_HEALTH_CHECK_CONFIG, enabled: false });
+    assert.equal(inRotation(engine, 0), true);
+    assert.equal(engine.healthChecker.nextCheckTime, Infinity);
+    // A crashed server in rotation refuses what it is sent
+    advance(2000);
+    assert.equal(engine.servers[0].completedRequests, 0);
+});
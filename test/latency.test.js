@@ -0,0 +1,71 @@
+// File: test/latency.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LatencyHistogram } from '../src/core/latency.js';
+import { createRandom } from '../src/core/random.js';
+
+// Exact percentile of `values`, by the same rank the histogram uses
+function exactPercentile(values, percentile) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.ceil(percentile / 100 * sorted.length) - 1];
+}
+
+function within(actual, expected, tolerance) {
+    return Math.abs(actual - expected) <= expected * tolerance;
+}
+
+test('percentiles are within the bucket resolution of the exact ones', () => {
+    const random = createRandom('latency');
+    // Log-normal-ish spread from about 1 ms to a few seconds
+    const values = Array.from({ length: 20000 }, () => Math.exp(Math.log(50) + 1.5 * (random() + random() + random() - 1.5) * 2));
+    const histogram = new LatencyHistogram();
+    values.forEach(value => histogram.record(value));
+
+    [1, 25, 50, 90, 99, 99.9].forEach(percentile => {
+        const expected = exactPercentile(values, percentile);
+        const actual = histogram.getPercentile(percentile);
+        assert.ok(within(actual, expected, 0.025), `p${percentile}: ${actual} vs ${expected}`);
+    });
+    assert.equal(histogram.count, values.length);
+    assert.ok(within(histogram.getMean(), values.reduce((sum, value) => sum + value, 0) / values.length, 1e-12));
+});
+
+test('the edge buckets never report outside what was recorded', () => {
+    const histogram = new LatencyHistogram();
+    assert.equal(histogram.getPercentile(50), 0);
+
+    // Everything under 1 ms shares the first bucket, whose middle is above
+    // all of them, so every percentile is capped at the slowest
+    [0, 0.2, 0.5].forEach(value => histogram.record(value));
+    assert.equal(histogram.counts.length, 1);
+    assert.equal(histogram.getPercentile(0.1), 0.5);
+    assert.equal(histogram.getPercentile(100), 0.5);
+
+    // A single value comes back exactly, whichever percentile is asked for
+    const single = new LatencyHistogram();
+    single.record(123.4);
+    [0.1, 50, 100].forEach(percentile => assert.equal(single.getPercentile(percentile), 123.4));
+
+    // The top bucket's estimate stays within a bucket's width of the slowest
+    const spread = new LatencyHistogram();
+    [10, 20, 30, 60001].forEach(value => spread.record(value));
+    assert.ok(spread.getPercentile(100) <= 60001);
+    assert.ok(within(spread.getPercentile(100), 60001, 0.025));
+    assert.equal(spread.getPercentile(99.9), spread.getPercentile(100));
+    assert.ok(within(spread.getPercentile(25), 10, 0.025));
+});
+
+test('the latencies since an earlier snapshot leave the earlier ones out', () => {
+    const histogram = new LatencyHistogram();
+    [5, 5, 5].forEach(value => histogram.record(value));
+    const earlier = histogram.clone();
+    [500, 600].forEach(value => histogram.record(value));
+
+    const delta = histogram.since(earlier);
+    assert.equal(delta.count, 2);
+    assert.equal(delta.sum, 1100);
+    assert.ok(delta.getPercentile(50) > 450);
+    // The clone stays as it was
+    assert.equal(earlier.count, 3);
+    assert.equal(new LatencyHistogram().since(new LatencyHistogram()).getPercentile(50), 0);
+});
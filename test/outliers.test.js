@@ -0,0 +1,185 @@
+// File: test/outliers.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, OutlierDetector, DEFAULT_CIRCUIT_BREAKER_CONFIG, DEFAULT_OUTLIER_CONFIG } from '../src/core/outliers.js';
+import { Server } from '../src/core/server.js';
+import { SimulationEngine } from '../src/core/engine.js';
+import { ManualClock } from '../src/core/clock.js';
+import { algorithms } from '../src/core/algorithms.js';
+import { DEFAULT_HEALTH_CHECK_CONFIG } from '../src/core/health.js';
+
+const breakerConfig = { ...DEFAULT_CIRCUIT_BREAKER_CONFIG, enabled: true, failureThreshold: 50, windowSize: 4, minimumRequests: 4, openDuration: 1000, halfOpenRequests: 2 };
+
+function createServers(count) {
+    return Array.from({ length: count }, (_, id) => new Server(id, { cpu: 100, memory: 100, speed: 1, weight: 1 }));
+}
+
+test('a breaker opens once enough of the recent answers are errors', () => {
+    const breaker = new CircuitBreaker();
+    [true, false, true].forEach(success => assert.equal(breaker.record({}, success, 0, breakerConfig), false));
+    assert.equal(breaker.state, 'closed');
+    // Half of the last four is enough
+    assert.equal(breaker.record({}, false, 100, breakerConfig), true);
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.allowsRequest(breakerConfig), false);
+    assert.equal(breaker.allowsRequest({ ...breakerConfig, enabled: false }), true);
+});
+
+test('a half-open breaker closes when its trials succeed and opens again when one fails', () => {
+    const breaker = new CircuitBreaker();
+    breaker.open(0);
+    assert.equal(breaker.nextTransitionTime(breakerConfig), 1000);
+    assert.equal(breaker.update(999, breakerConfig), false);
+    assert.equal(breaker.update(1000, breakerConfig), true);
+    assert.equal(breaker.state, 'halfOpen');
+
+    const trials = [{}, {}];
+    trials.forEach(trial => {
+        assert.equal(breaker.allowsRequest(breakerConfig), true);
+        breaker.onAssigned(trial);
+    });
+    assert.equal(breaker.allowsRequest(breakerConfig), false);
+    // Answers to requests sent before don't count
+    assert.equal(breaker.record({}, false, 1100, breakerConfig), false);
+    assert.equal(breaker.record(trials[0], true, 1100, breakerConfig), false);
+    assert.equal(breaker.record(trials[1], true, 1200, breakerConfig), true);
+    assert.equal(breaker.state, 'closed');
+
+    breaker.open(2000);
+    breaker.update(3000, breakerConfig);
+    const trial = {};
+    breaker.onAssigned(trial);
+    assert.equal(breaker.record(trial, false, 3100, breakerConfig), true);
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.openedAt, 3100);
+});
+
+test('errors in a row eject a server, but only up to the ejection limit', () => {
+    const detector = new OutlierDetector({ ...DEFAULT_OUTLIER_CONFIG, enabled: true, consecutiveErrors: 3, maxEjectionPercent: 10 });
+    const servers = createServers(4);
+    assert.equal(detector.record(servers[0], false, 0, servers, 0), false);
+    detector.record(servers[0], true, 10, servers, 0);  // A success starts the count over
+    [false, false].forEach(() => detector.record(servers[0], false, 0, servers, 0));
+    assert.equal(detector.record(servers[0], false, 0, servers, 500), true);
+    assert.equal(servers[0].ejectedUntil, 500 + DEFAULT_OUTLIER_CONFIG.baseEjectionTime);
+
+    // One server may always be ejected, a second would be over 10%
+    [false, false].forEach(() => detector.record(servers[1], false, 0, servers, 0));
+    assert.equal(detector.record(servers[1], false, 0, servers, 600), false);
+    assert.equal(servers[1].isEjected(), false);
+});
+
+test('a sweep ejects servers whose success rate or latency is far off the rest', () => {
+    const detector = new OutlierDetector({
+        ...DEFAULT_OUTLIER_CONFIG, enabled: true, successRateFactor: 1, latencyFactor: 3, minimumHosts: 3, requestVolume: 10, maxEjectionPercent: 50
+    });
+    const servers = createServers(5);
+    servers.forEach((server, i) => {
+        const errors = i === 0 ? 8 : 0;   // Server 0 mostly fails
+        const latency = i === 1 ? 500 : 50;  // Server 1 is slow
+        server.outlierStats = { successes: 20 - errors, errors, latency: (20 - errors) * latency };
+    });
+    const ejected = detector.sweep(servers, 1000);
+    assert.deepEqual(ejected.map(server => server.id).sort(), [0, 1]);
+    assert.equal(detector.nextSweepTime, 1000 + DEFAULT_OUTLIER_CONFIG.interval);
+    // Every sweep starts a new interval
+    assert.ok(servers.every(server => server.outlierStats.successes === 0));
+});
+
+test('repeat ejections last longer, up to the maximum', () => {
+    const detector = new OutlierDetector({ ...DEFAULT_OUTLIER_CONFIG, enabled: true, baseEjectionTime: 1000, maxEjectionTime: 2500 });
+    const [server] = createServers(1);
+    [1000, 2000, 2500].forEach(duration => {
+        server.ejectedUntil = null;
+        assert.equal(detector.eject(server, [server], 0), true);
+        assert.equal(server.ejectedUntil, duration);
+    });
+});
+
+test('the engine opens the breaker of a server that keeps failing', () => {
+    const clock = new ManualClock();
+    const engine = new SimulationEngine({ algorithm: new algorithms['Round Robin'].constructor(), clock, seed: 'breakers' });
+    engine.setCircuitBreakerConfig(breakerConfig);
+    engine.injectFault(0, { type: 'flaky', slowdown: 1, errorRate: 1 });
+    engine.start(50);
+    clock.advance(3000);
+    engine.tick();
+
+    assert.ok(engine.getSummary().breakerTrips > 0);
+    assert.notEqual(engine.servers[0].breaker.state, 'closed');
+    assert.ok(engine.servers.slice(1).every(server => server.breaker.state === 'closed'));
+});
+
+// One server whose breaker is half-open at 1500 ms with its only trial
+// queued at 1600 behind a request that runs until 2000. Each request takes
+// 60% CPU and 1 s, so a second one has to queue.
+function createHalfOpenEngine() {
+    const clock = new ManualClock();
+    const requestTypes = [{
+        name: 'Big', cpu: 60, memory: 10, mix: 1, priority: 'normal',
+        duration: { distribution: 'uniform', min: 1000, max: 1000, mean: 1000, sigma: 1 }
+    }];
+    const engine = new SimulationEngine({ algorithm: new algorithms['Round Robin'].constructor(), clock, numServers: 1, requestTypes, seed: 'half-open' });
+    engine.setHealthCheckConfig({ ...DEFAULT_HEALTH_CHECK_CONFIG, enabled: false });
+    engine.setQueueConfig({ serverQueueSize: 5, queueTimeout: 200 });
+    engine.setCircuitBreakerConfig({ ...breakerConfig, windowSize: 1, minimumRequests: 1, openDuration: 500, halfOpenRequests: 1 });
+    const at = time => {
+        clock.advance(time - engine.time);
+        engine.tick();
+    };
+    const server = engine.servers[0];
+
+    // The first request fails at 1000 and opens the breaker; the second one
+    // waits for it, then runs until 2000
+    engine.injectFault(0, { type: 'flaky', slowdown: 1, errorRate: 1 });
+    engine.createRequest();
+    at(900);
+    engine.createRequest();
+    at(1100);
+    assert.equal(server.breaker.state, 'open');
+    engine.injectFault(0, { type: 'none', slowdown: 1, errorRate: 0 });
+
+    at(1600);
+    assert.equal(server.breaker.state, 'halfOpen');
+    const trial = engine.createRequest();
+    assert.ok(server.queue.includes(trial));
+    assert.ok(server.breaker.trials.has(trial));
+    at(1650);
+    assert.equal(server.breaker.allowsRequest(engine.breakerConfig), false);
+    return { engine, at, server };
+}
+
+test('a half-open trial that times out in the queue lets another trial through', () => {
+    const { engine, at, server } = createHalfOpenEngine();
+    at(1800);
+    assert.equal(engine.rejectionsByReason.timeout, 1);
+    assert.equal(server.breaker.trials.size, 0);
+    assert.equal(server.breaker.allowsRequest(engine.breakerConfig), true);
+
+    // The next request is the new trial and closes the breaker once answered
+    at(1900);
+    engine.createRequest();
+    assert.equal(engine.rejectionsByReason.unavailable, 0);
+    at(3000);
+    assert.equal(server.breaker.state, 'closed');
+});
+
+test('a half-open trial dropped from a shrinking queue frees its slot', () => {
+    const { engine, server } = createHalfOpenEngine();
+    engine.setQueueConfig({ serverQueueSize: 0 });
+    assert.equal(engine.rejectionsByReason.queueFull, 1);
+    assert.equal(server.breaker.trials.size, 0);
+    assert.equal(server.breaker.state, 'halfOpen');
+    engine.createRequest();
+    assert.equal(engine.rejectionsByReason.unavailable, 0);
+});
+
+test('draining a half-open trial frees its slot without reopening the breaker', () => {
+    const { engine, at, server } = createHalfOpenEngine();
+    engine.setDrainTimeout(10);
+    engine.removeServer(server);
+    at(1660);
+    assert.equal(engine.failuresByReason.drained, 2);
+    assert.equal(server.breaker.trials.size, 0);
+    assert.equal(server.breaker.state, 'halfOpen');
+});
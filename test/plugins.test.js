@@ -0,0 +1,103 @@
+// File: test/plugins.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Server } from '../src/core/server.js';
+import { Request } from '../src/core/request.js';
+import { algorithms } from '../src/core/algorithms.js';
+import {
+    validateDefinition, createPluginAlgorithm, compileDefinition, trialRun,
+    registerAlgorithm, registerAlgorithmSource, unregisterAlgorithm, getPluginAlgorithms
+} from '../src/core/plugins.js';
+
+const selectFirst = () => 0;
+
+test('validateDefinition says what is wrong with a definition', () => {
+    const cases = [
+        [null, /must return an object/],
+        [{ selectServer: selectFirst }, /name must be a non-empty string/],
+        [{ name: '  ', selectServer: selectFirst }, /name must be a non-empty string/],
+        [{ name: 'X' }, /selectServer must be a function/],
+        [{ name: 'X', selectServer: selectFirst, onRequestCompleted: 1 }, /onRequestCompleted must be a function/],
+        [{ name: 'X', selectServer: selectFirst, options: {} }, /options must be an array/],
+        [{ name: 'X', selectServer: selectFirst, options: [{ type: 'number', default: 1 }] }, /options\[0\] needs a key/],
+        [{ name: 'X', selectServer: selectFirst, options: [{ key: 'k', type: 'text' }] }, /type must be 'number' or 'select'/],
+        [{ name: 'X', selectServer: selectFirst, options: [{ key: 'k', type: 'number', default: '1' }] }, /default must be a number/],
+        [{ name: 'X', selectServer: selectFirst, options: [{ key: 'k', type: 'select', default: 'c', choices: [{ value: 'a' }] }] }, /including the default/]
+    ];
+    cases.forEach(([definition, message]) => assert.throws(() => validateDefinition(definition), message));
+
+    validateDefinition({
+        name: 'Fine',
+        selectServer: selectFirst,
+        onRequestFailed() {},
+        options: [
+            { key: 'slack', type: 'number', default: 5 },
+            { key: 'mode', type: 'select', default: 'a', choices: [{ value: 'a', label: 'A' }] }
+        ]
+    });
+});
+
+// Round robin takes the server at currentIndex when it has room
+test('a plugin that throws or returns a bad index falls back to round robin', () => {
+    const servers = [new Server(0), new Server(1), new Server(2)];
+    const request = new Request(0, 10, 10, 100, 0);
+    const returning = value => createPluginAlgorithm({ name: 'Bad', selectServer: () => value });
+
+    [-1, 3, 1.5, '1', undefined].forEach(value => {
+        const algorithm = returning(value);
+        assert.equal(algorithm.selectServer(servers, 1, request, {}), 1);
+        assert.equal(algorithm.errorCount, 1);
+        assert.match(algorithm.lastError, /not an index between 0 and 2/);
+    });
+
+    const throwing = createPluginAlgorithm({ name: 'Throws', selectServer() { throw new Error('boom'); } });
+    assert.equal(throwing.selectServer(servers, 2, request, {}), 2);
+    assert.equal(throwing.lastError, 'boom');
+
+    // A valid index goes through, and the definition sees its options
+    const good = createPluginAlgorithm({
+        name: 'Good',
+        options: [{ key: 'pick', type: 'number', default: 2 }],
+        selectServer() { return this.options.pick; }
+    });
+    assert.equal(good.selectServer(servers, 0, request, {}), 2);
+    good.setOption('pick', 1);
+    assert.equal(good.selectServer(servers, 0, request, {}), 1);
+    assert.equal(good.errorCount, 0);
+});
+
+test('the trial run turns away code that fails, and clears the error count', () => {
+    const failing = createPluginAlgorithm({
+        name: 'Fails on completion',
+        selectServer: selectFirst,
+        onRequestCompleted() { throw new Error('no'); }
+    });
+    assert.throws(() => trialRun(failing), /Failed \d+ times in a test run, last: no/);
+    assert.equal(failing.errorCount, 0);
+
+    // The crashed server in the trial fleet isn't a reason to reject
+    trialRun(createPluginAlgorithm({ name: 'First', selectServer: selectFirst }));
+
+    assert.throws(() => compileDefinition('return {'), /The code doesn't run/);
+    assert.throws(() => registerAlgorithmSource('return { name: "Wrong index", selectServer: () => 99 };'), /not an index/);
+    assert.equal(Object.hasOwn(algorithms, 'Wrong index'), false);
+});
+
+test('registering keeps built-in names and replaces an earlier plugin of the same name', () => {
+    assert.throws(() => registerAlgorithm({ name: 'Round Robin', selectServer: selectFirst }), /is a built-in algorithm/);
+    assert.throws(() => registerAlgorithm({ name: ' Round Robin ', selectServer: selectFirst }), /is a built-in algorithm/);
+    assert.equal(getPluginAlgorithms().length, 0);
+
+    const first = registerAlgorithmSource('return { name: "Mine", selectServer: () => 0 };');
+    assert.equal(algorithms.Mine, first);
+    assert.equal(first.source, 'return { name: "Mine", selectServer: () => 0 };');
+    const second = registerAlgorithm({ name: 'Mine', selectServer: () => 1 });
+    assert.equal(algorithms.Mine, second);
+    assert.equal(getPluginAlgorithms().length, 1);
+
+    // Built-ins can't be removed this way
+    unregisterAlgorithm('Round Robin');
+    assert.ok(algorithms['Round Robin']);
+    unregisterAlgorithm('Mine');
+    assert.equal(Object.hasOwn(algorithms, 'Mine'), false);
+});
@@ -0,0 +1,97 @@
+// File: test/recorder.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationEngine } from '../src/core/engine.js';
+import { ManualClock } from '../src/core/clock.js';
+import { algorithms } from '../src/core/algorithms.js';
+import { RunRecorder, toCSV, requestsToCSV } from '../src/core/recorder.js';
+
+function createEngine(seed = 'recorder') {
+    const clock = new ManualClock();
+    const engine = new SimulationEngine({ algorithm: new algorithms['Round Robin'].constructor(), clock, seed, serviceModel: 'fixed' });
+    const advance = ms => {
+        clock.advance(ms);
+        engine.tick();
+    };
+    return { engine, advance };
+}
+
+test('the recorder logs every attempt and samples once a simulated second', () => {
+    const { engine, advance } = createEngine();
+    const recorder = new RunRecorder(engine);
+    engine.start(20);
+    for (let i = 0; i < 30; i++) advance(100);
+
+    const entries = [...recorder.requests.values()];
+    assert.equal(entries.length, engine.requestCount);
+    assert.deepEqual(entries.map(entry => entry.id), [...entries.map(entry => entry.id)].sort((a, b) => a - b));
+    const completed = entries.filter(entry => entry.outcome === 'completed');
+    assert.equal(completed.length, engine.completedRequests);
+    completed.forEach(entry => {
+        assert.equal(typeof entry.server, 'number');
+        assert.ok(entry.finish >= entry.start && entry.start >= entry.arrival);
+        assert.ok(entry.latency > 0);
+    });
+
+    assert.equal(recorder.samples.length, 3);
+    assert.deepEqual(recorder.samples.map(sample => sample.time), [1, 2, 3]);
+    assert.equal(recorder.samples.reduce((sum, sample) => sum + sample.arrived, 0), engine.requestCount);
+    assert.equal(recorder.samples[0].servers.length, engine.servers.length);
+
+    const rows = recorder.getTimeseriesRows({ algorithm: 'Round Robin' });
+    assert.equal(rows[0].algorithm, 'Round Robin');
+    assert.equal(rows[0].server1_requests, recorder.samples[0].servers[0].requests);
+    assert.equal('servers' in rows[0], false);
+
+    engine.clearRequests();
+    assert.equal(recorder.requests.size, 0);
+    assert.equal(recorder.samples.length, 0);
+    recorder.dispose();
+});
+
+test('the request log keeps only the latest attempts and counts the dropped ones', () => {
+    const { engine, advance } = createEngine();
+    const recorder = new RunRecorder(engine, 10);
+    engine.start(50);
+    for (let i = 0; i < 20; i++) advance(100);
+
+    assert.ok(engine.requestCount > 10);
+    assert.equal(recorder.requests.size, 10);
+    assert.equal(recorder.droppedRequests, engine.requestCount - 10);
+    // The newest attempts are the ones kept, and dropped ones never come back
+    const ids = [...recorder.requests.keys()];
+    assert.equal(ids[ids.length - 1], engine.requestCount - 1);
+    assert.ok(ids.every(id => id >= recorder.firstLoggedId));
+    assert.equal(recorder.toJSON().droppedRequests, recorder.droppedRequests);
+
+    engine.clearRequests();
+    assert.equal(recorder.droppedRequests, 0);
+    recorder.dispose();
+});
+
+test('toCSV quotes what needs it and leaves empty cells for missing values', () => {
+    const csv = toCSV([
+        { name: 'plain', value: 1.23456 },
+        { name: 'with, comma', value: null },
+        { name: 'with "quotes"\nand a line', extra: true }
+    ]);
+    assert.equal(csv, [
+        'name,value,extra',
+        'plain,1.235,',
+        '"with, comma",,',
+        '"with ""quotes""\nand a line",,true',
+        ''
+    ].join('\n'));
+    assert.equal(toCSV([]), '\n');
+    assert.equal(toCSV([{ a: 1, b: 2 }], ['b']), 'b\n2\n');
+});
+
+test('requestsToCSV puts extra columns first and the log columns in a fixed order', () => {
+    const csv = requestsToCSV([{ outcome: 'completed', id: 7, algorithm: 'Random' }]);
+    const [header, row] = csv.split('\n');
+    const columns = header.split(',');
+    assert.equal(columns[0], 'algorithm');
+    assert.equal(columns[1], 'id');
+    assert.equal(row.split(',')[columns.indexOf('outcome')], 'completed');
+    assert.equal(row.split(',')[columns.indexOf('server')], '');
+});
@@ -0,0 +1,90 @@
+// File: test/retries.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RetryPolicy, DEFAULT_RETRY_CONFIG } from '../src/core/retries.js';
+import { SimulationEngine } from '../src/core/engine.js';
+import { ManualClock } from '../src/core/clock.js';
+import { algorithms } from '../src/core/algorithms.js';
+import { createRandom } from '../src/core/random.js';
+
+test('only causes that are switched on are retried, up to the limit', () => {
+    const policy = new RetryPolicy({ ...DEFAULT_RETRY_CONFIG, maxRetries: 2, retryOnTimeout: false });
+    assert.equal(policy.allows({ attempt: 0 }, 'rejection'), true);
+    assert.equal(policy.allows({ attempt: 1 }, 'error'), true);
+    assert.equal(policy.allows({ attempt: 2 }, 'error'), false);
+    assert.equal(policy.allows({ attempt: 0 }, 'timeout'), false);
+    assert.equal(new RetryPolicy().allows({ attempt: 0 }, 'rejection'), false);
+});
+
+test('the backoff doubles up to its maximum, and jitter waits a random part of it', () => {
+    const policy = new RetryPolicy({ ...DEFAULT_RETRY_CONFIG, backoff: 100, maxBackoff: 500, jitter: false });
+    assert.deepEqual([1, 2, 3, 4].map(retry => policy.backoff(retry)), [100, 200, 400, 500]);
+
+    const jittered = new RetryPolicy({ ...DEFAULT_RETRY_CONFIG, backoff: 100, maxBackoff: 500, jitter: true });
+    const random = createRandom('jitter');
+    const delays = Array.from({ length: 50 }, () => jittered.backoff(3, random));
+    assert.ok(delays.every(delay => delay >= 0 && delay < 400));
+    assert.ok(new Set(delays).size > 1);
+});
+
+test('the budget caps retries at a share of the requests over its window', () => {
+    const policy = new RetryPolicy({ ...DEFAULT_RETRY_CONFIG, budget: true, budgetPercent: 20, budgetMinPerSecond: 0 });
+    for (let i = 0; i < 10; i++) policy.recordRequest(0);
+    assert.deepEqual([0, 0, 0].map(now => policy.withdraw(now)), [true, true, false]);
+    // Once the window has moved past them, neither requests nor retries count
+    for (let i = 0; i < 5; i++) policy.recordRequest(10000);
+    assert.equal(policy.withdraw(10000), true);
+    assert.equal(policy.withdraw(10000), false);
+
+    // Without a budget every retry is granted
+    const unlimited = new RetryPolicy();
+    assert.ok(Array.from({ length: 100 }, () => unlimited.withdraw(0)).every(Boolean));
+});
+
+// An overloaded fleet with `retries` and `queues`; returns the summary
+function overload(retries, queues = {}) {
+    const clock = new ManualClock();
+    const duration = { distribution: 'uniform', min: 100, max: 500, mean: 250, sigma: 1 };
+    const requestTypes = [{ name: 'A', cpu: 8, memory: 4, color: '#2196F3', duration, mix: 1, priority: 'normal' }];
+    // Fixed durations, so full servers turn requests away
+    const engine = new SimulationEngine({
+        algorithm: new algorithms['Least Requests'].constructor(), clock, seed: 'retries', requestTypes, serviceModel: 'fixed'
+    });
+    engine.setRetryConfig({ ...DEFAULT_RETRY_CONFIG, ...retries });
+    engine.setQueueConfig(queues);
+    engine.start(200);
+    for (let t = 0; t < 5000; t += 100) {
+        clock.advance(100);
+        engine.tick();
+    }
+    engine.stop();
+    clock.advance(10000);
+    engine.tick();
+    return engine.getSummary();
+}
+
+test('retries without a budget pile onto an overloaded fleet, the budget holds them back', () => {
+    const off = overload({});
+    const storm = overload({ maxRetries: 3, backoff: 50 });
+    const budgeted = overload({ maxRetries: 3, backoff: 50, budget: true });
+    assert.equal(off.retries, 0);
+    // Retries come on top of the same first attempts
+    assert.equal(storm.requests - storm.retries, off.requests);
+    assert.equal(budgeted.requests - budgeted.retries, off.requests);
+
+    assert.ok(storm.retries > off.requests);
+    assert.equal(storm.retriesDenied, 0);
+    assert.ok(budgeted.retries < storm.retries / 2);
+    assert.ok(budgeted.retriesDenied > 0);
+});
+
+test('clients stop waiting after their timeout, and late answers are counted', () => {
+    const summary = overload({ timeout: 400 }, { serverQueueSize: 20, queueTimeout: 5000 });
+    assert.ok(summary.clientTimeouts > 0);
+    assert.equal(summary.retries, 0);
+    // Every timed out attempt is given up on, as nothing retries it
+    assert.ok(summary.gaveUp >= summary.clientTimeouts);
+    // Latency only counts answers a client was still waiting for
+    assert.ok(summary.lateAnswers > 0);
+    assert.ok(summary.p99Latency <= 400);
+});
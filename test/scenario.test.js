@@ -0,0 +1,109 @@
+// File: test/scenario.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeScenario, encodeScenario, decodeScenario, SCENARIO_VERSION } from '../src/core/scenario.js';
+import { DEFAULT_REQUEST_TYPES, DEFAULT_QUEUE_CONFIG, DEFAULT_DRAIN_TIMEOUT } from '../src/core/engine.js';
+import { DEFAULT_SERVER_SPEC, DEFAULT_LATENCY_DECAY } from '../src/core/server.js';
+import { DEFAULT_TRAFFIC_CONFIG } from '../src/core/traffic.js';
+import { DEFAULT_CLIENTS } from '../src/core/clients.js';
+import { DEFAULT_ADMISSION_CONFIG } from '../src/core/admission.js';
+import { DEFAULT_RETRY_CONFIG } from '../src/core/retries.js';
+import { DEFAULT_NETWORK_CONFIG } from '../src/core/zones.js';
+import { DEFAULT_HEALTH_CHECK_CONFIG } from '../src/core/health.js';
+import { DEFAULT_OUTLIER_CONFIG, DEFAULT_CIRCUIT_BREAKER_CONFIG } from '../src/core/outliers.js';
+import { DEFAULT_AUTOSCALING_CONFIG } from '../src/core/autoscaler.js';
+import { algorithms } from '../src/core/algorithms.js';
+
+// A complete scenario to fill in what imported data leaves out
+const defaults = {
+    version: SCENARIO_VERSION,
+    seed: 'seed',
+    algorithms: ['Round Robin'],
+    algorithmOptions: Object.fromEntries(Object.entries(algorithms)
+        .filter(([, algorithm]) => algorithm.constructor.optionSchema.length > 0)
+        .map(([name, algorithm]) => [name, { ...new algorithm.constructor().options }])),
+    runTime: 60,
+    serviceModel: 'fixed',
+    traffic: { ...DEFAULT_TRAFFIC_CONFIG },
+    fleet: [{ ...DEFAULT_SERVER_SPEC }],
+    requestTypes: DEFAULT_REQUEST_TYPES,
+    clients: { ...DEFAULT_CLIENTS },
+    queues: { ...DEFAULT_QUEUE_CONFIG },
+    admission: { ...DEFAULT_ADMISSION_CONFIG },
+    retries: { ...DEFAULT_RETRY_CONFIG },
+    pools: [],
+    zones: [],
+    network: { ...DEFAULT_NETWORK_CONFIG },
+    drainTimeout: DEFAULT_DRAIN_TIMEOUT,
+    latencyDecay: DEFAULT_LATENCY_DECAY,
+    healthChecks: { ...DEFAULT_HEALTH_CHECK_CONFIG },
+    outlierDetection: { ...DEFAULT_OUTLIER_CONFIG },
+    circuitBreakers: { ...DEFAULT_CIRCUIT_BREAKER_CONFIG },
+    faultSchedule: [],
+    autoscaling: { ...DEFAULT_AUTOSCALING_CONFIG }
+};
+
+test('a scenario survives encoding and merging unchanged', () => {
+    assert.deepEqual(mergeScenario(decodeScenario(encodeScenario(defaults)), defaults), defaults);
+});
+
+test('anything that is not a scenario is refused', () => {
+    assert.throws(() => mergeScenario([], defaults));
+    assert.throws(() => mergeScenario({ seed: 'x' }, defaults));
+    assert.throws(() => mergeScenario({ version: SCENARIO_VERSION + 1 }, defaults));
+});
+
+test('missing or mistyped fields fall back to the defaults', () => {
+    const scenario = mergeScenario({
+        version: 1, algorithms: ['No such algorithm'], serviceModel: 'magic', runTime: 'long',
+        traffic: { pattern: 'chaos', rate: NaN }, fleet: [], clients: { count: '5' }
+    }, defaults);
+    assert.deepEqual(scenario.algorithms, defaults.algorithms);
+    assert.equal(scenario.serviceModel, 'fixed');
+    assert.equal(scenario.runTime, 60);
+    assert.deepEqual(scenario.traffic, defaults.traffic);
+    assert.deepEqual(scenario.fleet, defaults.fleet);
+    assert.equal(scenario.clients.count, DEFAULT_CLIENTS.count);
+});
+
+test('numbers are kept to the ranges the controls allow', () => {
+    const scenario = mergeScenario({
+        version: 1,
+        runTime: 1e9,
+        traffic: { rate: 0, peakRate: -5 },
+        fleet: [{ cpu: 0, memory: -100, speed: 0, weight: 1e6, pool: -1, zone: 2.6 }],
+        requestTypes: [{ cpu: -1, memory: 500, mix: -10, duration: { mean: 0, sigma: 100 } }],
+        clients: { count: 0.4 },
+        retries: { backoff: 2000, maxBackoff: 500 },
+        circuitBreakers: { windowSize: 5, minimumRequests: 50 },
+        autoscaling: { minServers: 8, maxServers: 4, evaluationInterval: 0 },
+        algorithmOptions: { 'Power of Two Choices': { choices: 0, metric: 'vibes' } }
+    }, defaults);
+    assert.equal(scenario.runTime, 3600);
+    assert.equal(scenario.traffic.rate, 0.1);
+    assert.equal(scenario.traffic.peakRate, 0.1);
+    assert.deepEqual(scenario.fleet, [{ cpu: 10, memory: 10, speed: 0.1, weight: 100, pool: 0, zone: 3 }]);
+    const [type] = scenario.requestTypes;
+    assert.deepEqual([type.cpu, type.memory, type.mix, type.duration.mean, type.duration.sigma], [0, 100, 0, 1, 3]);
+    assert.equal(scenario.clients.count, 1);
+    assert.equal(scenario.retries.maxBackoff, 2000);
+    assert.equal(scenario.circuitBreakers.minimumRequests, 5);
+    assert.deepEqual([scenario.autoscaling.minServers, scenario.autoscaling.maxServers], [8, 8]);
+    assert.equal(scenario.autoscaling.evaluationInterval, 100);
+    assert.deepEqual(scenario.algorithmOptions['Power of Two Choices'], { choices: 1, metric: 'requests' });
+});
+
+test('schedules come out in time order without entries that cannot happen', () => {
+    const scenario = mergeScenario({
+        version: 1,
+        faultSchedule: [
+            { at: 5000, serverId: 1, fault: { type: 'crash' } },
+            { at: -1, serverId: 0, fault: { type: 'crash' } },
+            { at: 1000, serverId: 0, fault: { type: 'slow', slowdown: 0 } }
+        ],
+        autoscaling: { schedule: [{ at: 20000, servers: 2 }, { at: 10000, servers: 6 }, { at: 0, servers: -1 }] }
+    }, defaults);
+    assert.deepEqual(scenario.faultSchedule.map(({ at }) => at), [1000, 5000]);
+    assert.equal(scenario.faultSchedule[0].fault.slowdown, 1);
+    assert.deepEqual(scenario.autoscaling.schedule, [{ at: 10000, servers: 6 }, { at: 20000, servers: 2 }]);
+});
@@ -0,0 +1,100 @@
+// File: test/server.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Server } from '../src/core/server.js';
+import { Request } from '../src/core/request.js';
+
+test('canHandleRequest checks CPU and memory headroom', () => {
+    const server = new Server(0, { cpu: 20, memory: 10, speed: 1, weight: 1 });
+    assert.equal(server.canHandleRequest(new Request(0, 10, 5, 100)), true);
+    server.addRequest(new Request(1, 15, 2, 100));
+    assert.equal(server.canHandleRequest(new Request(2, 10, 1, 100)), false);
+    assert.equal(server.getExhaustedResource(new Request(3, 10, 1, 100)), 'cpu');
+    assert.equal(server.getExhaustedResource(new Request(4, 1, 9, 100)), 'memory');
+    assert.equal(server.getExhaustedResource(new Request(5, 10, 9, 100)), 'both');
+});
+
+test('canHandleRequest ignores CPU under processor sharing', () => {
+    const server = new Server(0, { cpu: 20, memory: 10, speed: 1, weight: 1 });
+    server.setServiceModel('shared', 0);
+    server.addRequest(new Request(0, 15, 2, 100));
+    assert.equal(server.canHandleRequest(new Request(1, 10, 1, 100)), true);
+    assert.equal(server.canHandleRequest(new Request(2, 10, 9, 100)), false);
+});
+
+test('updateRequests returns the requests finished by then and records their latency', () => {
+    const server = new Server(0, { cpu: 100, memory: 100, speed: 2, weight: 1 });
+    const short = new Request(0, 10, 10, 100, 0);
+    const long = new Request(1, 10, 10, 400, 0);
+    server.addRequest(short);
+    server.addRequest(long);
+    assert.equal(server.nextCompletionTime(), 50);  // Twice as fast
+
+    assert.deepEqual(server.updateRequests(49), []);
+    assert.deepEqual(server.updateRequests(50), [short]);
+    assert.deepEqual(server.requests, [long]);
+    assert.equal(server.completedRequests, 1);
+    assert.equal(server.totalResponseTime, 50);
+    assert.deepEqual(server.updateRequests(200), [long]);
+    assert.equal(server.nextCompletionTime(), Infinity);
+});
+
+test('updateRequests slows oversubscribed requests down under processor sharing', () => {
+    const server = new Server(0, { cpu: 100, memory: 100, speed: 1, weight: 1 });
+    server.setServiceModel('shared', 0);
+    // 150% CPU asked for: each runs at 2/3 speed
+    server.addRequest(new Request(0, 75, 10, 100, 0));
+    server.addRequest(new Request(1, 75, 10, 100, 0));
+    assert.equal(server.nextCompletionTime(), 150);
+    assert.equal(server.updateRequests(149).length, 0);
+    const done = server.updateRequests(150);
+    assert.equal(done.length, 2);
+    assert.equal(done[0].getLatency(), 150);
+});
+
+test('queued requests start when there is room and expire after the timeout', () => {
+    const server = new Server(0, { cpu: 10, memory: 100, speed: 1, weight: 1 });
+    server.queueLimit = 2;
+    server.addRequest(new Request(0, 10, 1, 100, 0));
+    const waiting = new Request(1, 10, 1, 100, 0);
+    const stale = new Request(2, 10, 1, 100, 0);
+    server.enqueue(waiting, 10);
+    server.enqueue(stale, 0);
+    assert.equal(server.canQueueRequest(), false);
+    assert.deepEqual(server.startQueuedRequests(50), []);
+
+    server.updateRequests(100);
+    assert.deepEqual(server.startQueuedRequests(100), [waiting]);
+    assert.equal(waiting.startTime, 100);
+    assert.deepEqual(server.expireQueuedRequests(1000, 1000), [stale]);
+    assert.deepEqual(server.queue, []);
+});
+
+test('the latency moving averages forget old answers at the decay rate', () => {
+    const server = new Server(0);
+    server.latencyDecay = 1000;
+    server.observeLatency(100, 0);
+    assert.equal(server.latencyEwma, 100);
+    assert.equal(server.peakLatencyEwma, 100);
+
+    // One decay time later the old average keeps 1/e of its weight
+    server.observeLatency(200, 1000);
+    const expected = 100 / Math.E + 200 * (1 - 1 / Math.E);
+    assert.ok(Math.abs(server.latencyEwma - expected) < 1e-9);
+    // Peak EWMA jumps straight to a slower answer
+    assert.equal(server.peakLatencyEwma, 200);
+
+    // and decays like the plain average after faster ones
+    server.observeLatency(50, 2000);
+    assert.ok(Math.abs(server.latencyEwma - (expected / Math.E + 50 * (1 - 1 / Math.E))) < 1e-9);
+    assert.ok(Math.abs(server.peakLatencyEwma - (200 / Math.E + 50 * (1 - 1 / Math.E))) < 1e-9);
+
+    // An answer at the same instant leaves the plain average alone but still
+    // raises the peak; after a long gap the latest answer is all that counts
+    server.observeLatency(5000, 2000);
+    assert.ok(server.latencyEwma < 100);
+    assert.equal(server.peakLatencyEwma, 5000);
+    server.observeLatency(10, 1e6);
+    assert.ok(Math.abs(server.latencyEwma - 10) < 1e-6);
+    assert.ok(Math.abs(server.peakLatencyEwma - 10) < 1e-6);
+});
@@ -0,0 +1,84 @@
+// File: test/topology.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationEngine } from '../src/core/engine.js';
+import { ManualClock } from '../src/core/clock.js';
+import { RoundRobinAlgorithm, LeastRequestsAlgorithm } from '../src/core/algorithms.js';
+import { DEFAULT_SERVER_SPEC } from '../src/core/server.js';
+import { DEFAULT_CIRCUIT_BREAKER_CONFIG } from '../src/core/outliers.js';
+
+function createEngine(fleet) {
+    const clock = new ManualClock();
+    const engine = new SimulationEngine({ algorithm: new RoundRobinAlgorithm(), clock, fleet, seed: 'pools' });
+    return { engine, clock };
+}
+
+test('shrinking a fleet without pools drains and removes servers', () => {
+    const { engine, clock } = createEngine(null);
+    engine.start(200);
+    clock.advance(1000);
+    engine.tick();
+    engine.setNumServers(2);
+    assert.equal(engine.rotation.length, 2);
+
+    engine.stop();
+    clock.advance(10000);
+    engine.tick();
+    assert.equal(engine.servers.length, 2);
+});
+
+test('removing an idle server without pools takes it out of the fleet', () => {
+    const { engine, clock } = createEngine(null);
+    const server = engine.servers[3];
+    engine.removeServer(server);
+    clock.advance(100);
+    engine.tick();
+    assert.ok(!engine.servers.includes(server));
+});
+
+test('with pools the front algorithm picks a pool and the pool picks a server', () => {
+    const fleet = [0, 0, 1, 1, 1].map(pool => ({ ...DEFAULT_SERVER_SPEC, pool }));
+    const { engine, clock } = createEngine(fleet);
+    engine.setPools([
+        { name: 'web', algorithm: new RoundRobinAlgorithm(), algorithmName: 'Round Robin' },
+        { name: 'api', algorithm: new LeastRequestsAlgorithm(), algorithmName: 'Least Requests' }
+    ]);
+    assert.deepEqual(engine.pools.map(pool => pool.servers.length), [2, 3]);
+    assert.deepEqual(engine.rotation, engine.pools);
+
+    engine.start(100);
+    clock.advance(2000);
+    engine.tick();
+    assert.ok(engine.pools.every(pool => pool.completedRequests > 0));
+
+    // A pool that loses its servers drops out of the front rotation
+    engine.setNumServers(2);
+    assert.deepEqual(engine.rotation.map(pool => pool.name), ['web']);
+});
+
+test('requests still running when the drain timeout runs out fail as drained', () => {
+    const { engine, clock } = createEngine(null);
+    const failed = [];
+    engine.on('requestFailed', (request, server, reason) => failed.push([server.id, reason]));
+    engine.setDrainTimeout(5);
+    engine.setCircuitBreakerConfig({ ...DEFAULT_CIRCUIT_BREAKER_CONFIG, enabled: true });
+    engine.start(200);
+    clock.advance(1000);
+    engine.tick();
+    engine.stop();
+
+    const server = engine.servers.find(candidate => candidate.requests.length > 0);
+    const running = server.requests.length;
+    engine.removeServer(server);
+    assert.equal(engine.rotation.includes(server), false);
+    assert.ok(engine.servers.includes(server));
+
+    clock.advance(5);
+    engine.tick();
+    assert.equal(engine.failuresByReason.drained, running);
+    assert.deepEqual(failed, Array.from({ length: running }, () => [server.id, 'drained']));
+    assert.equal(engine.servers.includes(server), false);
+    // The load balancer gave up on them, the server isn't to blame
+    assert.ok(server.breaker.outcomes.length > 0);
+    assert.ok(server.breaker.outcomes.every(success => success));
+});
@@ -0,0 +1,44 @@
+// File: test/traffic.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TrafficGenerator } from '../src/core/traffic.js';
+import { createRandom } from '../src/core/random.js';
+
+// Arrival times from the start of the run until the generator has none left
+// or `limit` ms have passed
+function arrivals(config, limit = 60000) {
+    const traffic = new TrafficGenerator(config);
+    const random = createRandom('traffic');
+    const times = [];
+    for (let time = traffic.nextArrival(0, random); time < limit; time = traffic.nextArrival(time, random)) {
+        times.push(time);
+    }
+    return times;
+}
+
+test('the rate follows the pattern', () => {
+    const ramp = new TrafficGenerator({ pattern: 'ramp', rate: 10, peakRate: 20, duration: 1000 });
+    assert.equal(ramp.rateAt(500), 15);
+    assert.equal(ramp.rateAt(2000), 20);
+    const step = new TrafficGenerator({ pattern: 'step', rate: 10, peakRate: 20, stepAt: 1000 });
+    assert.equal(step.rateAt(999), 10);
+    assert.equal(step.rateAt(1000), 20);
+});
+
+test('a Poisson process arrives at about its rate', () => {
+    const count = arrivals({ pattern: 'poisson', rate: 100 }).length;
+    assert.ok(count > 5600 && count < 6400, String(count));
+});
+
+test('traffic that ramps or steps down to nothing runs out of arrivals', () => {
+    const ramp = arrivals({ pattern: 'ramp', rate: 50, peakRate: 0, duration: 2000 }, Infinity);
+    assert.ok(ramp.length > 0 && ramp.every(time => time < 2000));
+    const step = arrivals({ pattern: 'step', rate: 50, peakRate: 0, stepAt: 2000 }, Infinity);
+    assert.ok(step.length > 0 && step.every(time => time < 2000));
+    assert.equal(new TrafficGenerator({ pattern: 'ramp', rate: 50, peakRate: 0, duration: 2000 }).nextArrival(2000, Math.random), Infinity);
+});
+
+test('traffic that starts at nothing still picks up', () => {
+    const times = arrivals({ pattern: 'ramp', rate: 0, peakRate: 50, duration: 2000 }, 4000);
+    assert.ok(times.length > 50);
+});
@@ -0,0 +1,117 @@
+// File: test/zones.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationEngine } from '../src/core/engine.js';
+import { ManualClock } from '../src/core/clock.js';
+import { algorithms, RoundRobinAlgorithm } from '../src/core/algorithms.js';
+import { Server, DEFAULT_SERVER_SPEC } from '../src/core/server.js';
+import { Request } from '../src/core/request.js';
+import { ClientPopulation } from '../src/core/clients.js';
+
+// Servers in the given zones, each with `requests` running requests of 10% CPU
+function createServers(zones, requests = zones.map(() => 0)) {
+    return zones.map((zone, id) => {
+        const server = new Server(id, { ...DEFAULT_SERVER_SPEC, zone });
+        for (let i = 0; i < requests[id]; i++) server.addRequest(new Request(100 * id + i, 10, 10, 100));
+        return server;
+    });
+}
+
+function requestFrom(zone) {
+    const request = new Request(0, 10, 10, 100);
+    request.client = { id: 0, ip: '10.0.0.0', sessionId: 'session-0', zone };
+    return request;
+}
+
+test('clients are spread over zones by their shares and keep their zone', () => {
+    const population = new ClientPopulation({ count: 1000, skew: 0 });
+    population.assignZones([75, 25]);
+    const zones = population.clients.map(client => client.zone);
+    const inFirst = zones.filter(zone => zone === 0).length;
+    assert.ok(inFirst > 700 && inFirst < 800, `${inFirst} of 1000 in the first zone`);
+    assert.ok(zones.every(zone => zone === 0 || zone === 1));
+
+    population.assignZones([75, 25]);
+    assert.deepEqual(population.clients.map(client => client.zone), zones);
+    population.assignZones([0, 100]);
+    assert.ok(population.clients.every(client => client.zone === 1));
+    // Fewer than two zones is no zones at all
+    population.assignZones([100]);
+    assert.ok(population.clients.every(client => client.zone === null));
+});
+
+test('cross-zone requests pay the network latency and cost', () => {
+    const completed = [];
+    const run = serverZone => {
+        const clock = new ManualClock();
+        const fleet = [0, 1].map(() => ({ ...DEFAULT_SERVER_SPEC, zone: serverZone }));
+        const engine = new SimulationEngine({ algorithm: new RoundRobinAlgorithm(), clock, fleet, seed: 'zones' });
+        // Every client in the first zone
+        engine.setZones([{ name: 'a', clientShare: 100 }, { name: 'b', clientShare: 0 }]);
+        engine.setNetworkConfig({ crossZoneLatency: 25, crossZoneCost: 2 });
+        engine.on('requestCompleted', request => completed.push(request));
+        engine.start(20);
+        clock.advance(3000);
+        engine.tick();
+        return engine.getSummary();
+    };
+
+    const remote = run(1);
+    assert.ok(remote.crossZoneRequests > 0);
+    assert.equal(remote.crossZoneRequests, remote.requests - remote.rejected);
+    assert.equal(remote.crossZoneShare, 100);
+    assert.equal(remote.crossZoneCost, remote.crossZoneRequests / 1000 * 2);
+    completed.forEach(request => {
+        assert.equal(request.networkLatency, 25);
+        assert.equal(request.getLatency(), request.startTime - request.arrivalTime + request.serviceTime + 25);
+    });
+
+    completed.length = 0;
+    const local = run(0);
+    assert.equal(local.crossZoneRequests, 0);
+    assert.equal(local.crossZoneShare, 0);
+    assert.equal(local.crossZoneCost, 0);
+    assert.ok(completed.every(request => request.networkLatency === 0));
+});
+
+test('with fewer than two zones nothing counts as cross-zone', () => {
+    const clock = new ManualClock();
+    const fleet = [0, 1].map(zone => ({ ...DEFAULT_SERVER_SPEC, zone }));
+    const engine = new SimulationEngine({ algorithm: new RoundRobinAlgorithm(), clock, fleet, seed: 'no-zones' });
+    engine.setZones([{ name: 'only', clientShare: 100 }]);
+    assert.deepEqual(engine.zones, []);
+    engine.start(20);
+    clock.advance(1000);
+    engine.tick();
+    assert.equal(engine.getSummary().crossZoneRequests, 0);
+    assert.equal(engine.getCrossZoneShare(), 0);
+});
+
+test('Zone-aware Least Requests stays in the client\'s zone while a server there has room', () => {
+    const algorithm = new algorithms['Zone-aware Least Requests'].constructor();
+    // The remote server is idle, the local ones busy
+    const servers = createServers([0, 1, 1], [0, 3, 2]);
+    assert.equal(algorithm.selectServer(servers, 0, requestFrom(1)), 2);
+    assert.equal(algorithm.selectServer(servers, 0, requestFrom(0)), 0);
+    // Clients without a zone go anywhere
+    assert.equal(algorithm.selectServer(servers, 0, requestFrom(null)), 0);
+
+    // Full local servers send the request to the least busy one anywhere
+    const full = createServers([0, 1, 1], [1, 10, 10]);
+    assert.equal(algorithm.selectServer(full, 0, requestFrom(1)), 0);
+});
+
+test('Locality with Spillover leaves the zone only above its CPU threshold', () => {
+    const algorithm = new algorithms['Locality with Spillover'].constructor();
+    algorithm.setOption('threshold', 50);
+    // Local servers at 40% and 60% CPU, remote at 10%
+    const servers = createServers([0, 1, 1], [1, 6, 4]);
+    assert.equal(algorithm.selectServer(servers, 0, requestFrom(1)), 2);
+
+    // Past the threshold everywhere in the zone, the least busy server wins
+    const busy = createServers([0, 1, 1], [1, 6, 5]);
+    assert.equal(algorithm.selectServer(busy, 0, requestFrom(1)), 0);
+
+    // A zone with no servers spills over straight away
+    assert.equal(algorithm.selectServer(createServers([0, 0], [3, 2]), 0, requestFrom(1)), 1);
+});